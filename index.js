@@ -1,34 +1,114 @@
+require('dotenv').config();
+const { getConfig, enabledFeatures, FEATURES, ConfigError } = require('./lib/config');
+const { getPromptRegistry } = require('./lib/prompts/registry');
+
+// Validate the configuration and the prompt templates it selects before
+// anything reads them; exit on bad values
+let config;
+try {
+  config = getConfig();
+  getPromptRegistry();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const express = require('express');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
-const PDFDocument = require('pdfkit');
-require('dotenv').config();
+const { createReport } = require('./lib/report');
+const { localizeSeverity, severityCode, severityLabel } = require('./lib/severity');
+const { LANGUAGES, resolveLanguage, t } = require('./lib/i18n');
+const { buildAnalyzePrompt, buildImagePrompt, buildDrugPrompt, buildChatPrompt, buildTranscriptionPrompt, buildVoicePrompt } = require('./lib/prompts');
+const { createHistoryStore, paginateHistory } = require('./lib/history');
+const { evaluateRedFlags, withEarlierFlags, applyRedFlags } = require('./lib/redFlags');
+const { createProvider } = require('./lib/providers');
+const { localizeDrugAnalysis, normalizeDrugAnalysis } = require('./lib/drugInteractions');
+const { KNOWLEDGE_BASE, checkInteractionsOffline, crossCheckAnalysis } = require('./lib/drugKnowledgeBase');
+const { imageUpload } = require('./lib/imageUpload');
+const { audioUpload } = require('./lib/audioUpload');
+const { applyVisualFindings } = require('./lib/imageAnalysis');
+const { openEventStream, partialStringArray } = require('./lib/streaming');
+const { structuredConfig, generateStructured, completeStructured } = require('./lib/structuredOutput');
+const { analyzeTrends } = require('./lib/trends');
+const { PROFILE_FIELDS, emptyProfile, normalizeProfile, mergeProfile, applyProfileFields } = require('./lib/profile');
+const { MAX_MEDICATIONS, normalizeMedication, findByName, medicationNames, medicationCalendar } = require('./lib/medications');
+const { FHIR_CONTENT_TYPE, historyToBundle, bundleToProfile } = require('./lib/fhir');
+const { logPrivacy, logText, logMessage } = require('./lib/privacy');
+const { log, requestContext } = require('./lib/logger');
+const {
+  CONTENT_TYPE: METRICS_CONTENT_TYPE,
+  registry,
+  trackRequests,
+  observeModelCall,
+  observeResult,
+  updateCircuitStates
+} = require('./lib/metrics');
+const {
+  AuthError,
+  createAuthStore,
+  publicUser,
+  register,
+  login,
+  authenticate,
+  requireUser,
+  requireSessionOwner,
+  sendAuthError,
+  setSessionCookie,
+  clearSessionCookie
+} = require('./lib/auth');
+const {
+  ShareError,
+  createShareStore,
+  createShare,
+  openShare,
+  shareStatus,
+  publicShare,
+  sendShareError
+} = require('./lib/share');
+const { renderSharedEntry, renderPinForm, renderUnavailable } = require('./lib/share/page');
+const {
+  BatchError,
+  sendBatchError,
+  createJobQueue,
+  readCases,
+  normalizeCases,
+  sortResults,
+  publicJob,
+  resultsCsv
+} = require('./lib/batch');
+const {
+  normalizeAnswers,
+  normalizeClarifyingQuestions,
+  findConversation,
+  latestVersion,
+  conversationText,
+  earlierRedFlags,
+  describeConversation
+} = require('./lib/conversation');
 
 const app = express();
-// Use port 3000 (Replit maps this to external port 80)
-const PORT = 3000;
+// PORT defaults to 3000 (Replit maps this to external port 80)
+const PORT = config.server.port;
 
 // Middleware
+// Request ID (X-Request-Id) for every log line, then metrics and the access log
+app.use(requestContext());
+app.use(trackRequests());
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+// Images go through multipart uploads (lib/imageUpload), so JSON bodies stay small
+app.use(express.json({ limit: '1mb', type: ['application/json', FHIR_CONTENT_TYPE] }));
 app.use(express.static('public'));
 
-// File upload
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
-
 // Gemini AI
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const GEMINI_API_KEY = config.gemini.apiKey;
 if (!GEMINI_API_KEY) {
-  console.error('❌ GEMINI_API_KEY missing. Add it to .env file');
+  log.error('❌ GEMINI_API_KEY missing. Add it to .env file');
 } else {
-  console.log(`✅ Gemini API Key configured: ${GEMINI_API_KEY.substring(0, 10)}...`);
+  log.info('✅ Gemini API Key configured');
 }
 
-const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null;
-
 // Gemini models
 const GEMINI_MODELS = {
   FLASH: "gemini-2.5-flash",
@@ -36,288 +116,625 @@ const GEMINI_MODELS = {
   FALLBACK: "gemini-1.5-flash"
 };
 
+// LLM provider (gemini or mock); null means local fallbacks only. Calls
+// fall through the requested model, then FALLBACK, then the route's local
+// fallback; failing models are skipped for a cooldown.
+const llm = createProvider({
+  models: [GEMINI_MODELS.FLASH, GEMINI_MODELS.VISION],
+  fallbackModels: [GEMINI_MODELS.FALLBACK],
+  onCall: observeModelCall
+});
+
+// Overall model availability for /api/health
+function modelHealth(models) {
+  if (!llm) return 'unavailable (local fallbacks only)';
+  const open = models.filter(model => model.state === 'open').length;
+  if (open === 0) return 'available';
+  return open < models.length ? 'degraded' : 'unavailable';
+}
+
+// Routes of a disabled feature (ENABLE_* or features.* in CONFIG_FILE) answer 404
+function requireFeature(feature) {
+  return (req, res, next) => {
+    if (config.features[feature]) return next();
+    const language = resolveLanguage((req.body && req.body.language) || req.query.language);
+    res.status(404).json({
+      success: false,
+      code: 'FEATURE_DISABLED',
+      feature,
+      error: t(language, 'errors.featureDisabled')
+    });
+  };
+}
+
+// /api/health endpoint groups that belong to an optional feature
+const ENDPOINT_FEATURES = {
+  analyzeStream: 'streaming',
+  chat: 'chat',
+  voice: 'voice',
+  transcribe: 'voice',
+  testVoice: 'voice',
+  image: 'image',
+  drugs: 'drugs',
+  medications: 'drugs',
+  trends: 'trends',
+  fhir: 'fhir',
+  report: 'pdf',
+  metrics: 'metrics',
+  share: 'sharing',
+  batch: 'batch'
+};
+
+// Reported as the model when /api/drugs is answered without Gemini
+const OFFLINE_DRUG_MODEL = `Offline knowledge base ${KNOWLEDGE_BASE.version}`;
+
 // Storage
-const symptomHistory = new Map();
+const historyStore = createHistoryStore();
+const authStore = createAuthStore();
+const shareStore = createShareStore();
+
+// Batch cases are counted in the metrics like any analysis but not stored:
+// they belong to the patients on the forms, not to whoever submits them
+const batchQueue = createJobQueue(async (item, job) => {
+  const { analysis, model, parseStatus, promptTemplate } = await analyzeCase({ ...item, assignment: `${job.id}:${item.index}` });
+  await recordHistory(null, { type: 'analysis', analysis, model });
+  return { ...item, status: 'done', analysis, model, parseStatus, promptTemplate };
+});
+
+// Sets req.user from the session cookie or bearer token (null = anonymous)
+app.use(authenticate(authStore));
 
 // ==================== API ENDPOINTS ====================
 
 // 1. Health Check
 app.get('/api/health', (req, res) => {
+  const models = llm ? llm.status() : [];
+  const endpoints = {
+    auth: 'POST /api/auth/register, POST /api/auth/login, POST /api/auth/logout, GET /api/auth/me',
+    profile: 'GET /api/profile, PUT /api/profile',
+    analyze: 'POST /api/analyze',
+    analyzeStream: 'GET|POST /api/analyze/stream (Server-Sent Events)',
+    batch: 'POST /api/analyze/batch (JSON array or CSV), GET /api/jobs/:id, GET /api/jobs/:id/results?format=json|csv',
+    chat: 'POST /api/chat/:sessionId, GET /api/chat/:sessionId?entryId=',
+    voice: 'POST /api/voice',
+    transcribe: 'POST /api/transcribe (multipart audio: webm, ogg or wav)',
+    image: 'POST /api/analyze-image',
+    drugs: 'POST /api/drugs',
+    medications: 'GET/POST /api/medications/:sessionId, PUT/DELETE /api/medications/:sessionId/:id, GET /api/medications/:sessionId/calendar.ics',
+    trends: 'GET /api/history/:sessionId/trends?days=',
+    fhir: 'GET /api/history/:sessionId/fhir (FHIR R4 Bundle export), POST /api/profile/fhir (import)',
+    history: 'GET /api/history/:sessionId?page=&limit=, DELETE /api/history/:sessionId[/:entryId]',
+    report: 'POST /api/report, GET /api/report/:sessionId',
+    share: 'POST /api/share, GET /api/share, DELETE /api/share/:token, GET /s/:token (read-only view)',
+    testVoice: 'GET /api/test-voice',
+    metrics: 'GET /metrics (Prometheus)'
+  };
+
   res.json({
     status: 'healthy',
-    service: 'HealthVision AI Assistant',
-    version: '3.0.0',
+    service: config.app.name,
+    version: config.app.version,
     gemini: {
       model: GEMINI_MODELS.FLASH,
-      status: GEMINI_API_KEY ? 'API Key configured' : 'API Key missing',
+      roles: { primary: GEMINI_MODELS.FLASH, vision: GEMINI_MODELS.VISION, fallback: GEMINI_MODELS.FALLBACK },
+      provider: llm ? llm.name : 'none',
+      status: modelHealth(models),
+      apiKey: GEMINI_API_KEY ? 'configured' : 'missing',
+      models,
       hackathon: 'Gemini 3 Ready'
     },
-    features: ['voice', 'image', 'drugs', 'history', 'pdf', 'multi-language'],
-    supported_languages: ['en', 'es', 'fr', 'ar', 'hi'],
-    endpoints: {
-      analyze: 'POST /api/analyze',
-      voice: 'POST /api/voice',
-      image: 'POST /api/analyze-image',
-      drugs: 'POST /api/drugs',
-      history: 'GET /api/history/:sessionId',
-      testVoice: 'GET /api/test-voice'
-    }
+    prompts: getPromptRegistry().describe(),
+    features: enabledFeatures(config),
+    disabled_features: Object.keys(FEATURES).filter(feature => !config.features[feature]),
+    supported_languages: LANGUAGES,
+    endpoints: Object.fromEntries(Object.entries(endpoints)
+      .filter(([name]) => !ENDPOINT_FEATURES[name] || config.features[ENDPOINT_FEATURES[name]]))
   });
 });
 
-// 2. Main Analysis - WITH COMPLETE LANGUAGE SUPPORT
-app.post('/api/analyze', async (req, res) => {
+
+// 1a. Accounts - local email/password accounts. The token is returned in the
+// body (for `Authorization: Bearer`) and set as an HttpOnly cookie.
+app.post('/api/auth/register', async (req, res) => {
   try {
-    const { symptoms, age, gender, duration, language = 'en' } = req.body;
+    const { user, token } = await register(authStore, req.body);
+    setSessionCookie(req, res, token);
+    log.info('👤 Account created');
+    res.status(201).json({ success: true, user: publicUser(user), token });
+  } catch (error) {
+    if (error instanceof AuthError) return sendAuthError(req, res, error.code, error.status);
+    log.error('❌ Registration error:', error);
+    res.status(500).json({ success: false, error: 'Registration failed' });
+  }
+});
 
-    if (!symptoms || symptoms.trim().length < 3) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Please describe your symptoms (minimum 3 characters)' 
-      });
-    }
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { user, token } = await login(authStore, req.body);
+    setSessionCookie(req, res, token);
+    res.json({ success: true, user: publicUser(user), token });
+  } catch (error) {
+    if (error instanceof AuthError) return sendAuthError(req, res, error.code, error.status);
+    log.error('❌ Login error:', error);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+});
 
-    console.log(`🔍 Analyzing in ${language}: "${symptoms.substring(0, 50)}${symptoms.length > 50 ? '...' : ''}"`);
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.authToken) await authStore.revokeToken(req.authToken);
+    clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    log.error('❌ Logout error:', error);
+    res.status(500).json({ success: false, error: 'Logout failed' });
+  }
+});
 
-    // If no API key, use fallback
-    if (!GEMINI_API_KEY || !genAI) {
-      console.log('⚠️ No API key - using fallback response');
-      return res.json({
-        success: true,
-        sessionId: uuidv4(),
-        analysis: getFallbackResponse(symptoms, age, gender, duration, language),
-        model: 'Fallback',
-        note: 'Add GEMINI_API_KEY to .env for AI analysis',
-        language: language
-      });
-    }
+// The signed-in user, or anonymous: true
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, user: publicUser(req.user), anonymous: !req.user });
+});
 
-    try {
-      const model = genAI.getGenerativeModel({ 
-        model: GEMINI_MODELS.FLASH,
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 1200,
-        }
-      });
+// 1b. Health profile - age, conditions, medications, allergies and so on,
+// merged into every analysis and drug check of the signed-in user
+app.get('/api/profile', requireUser, (req, res) => {
+  res.json({ success: true, profile: { ...emptyProfile(), ...req.user.profile }, fields: PROFILE_FIELDS });
+});
 
-      // Language-specific prompts
-      const languagePrompts = {
-        en: `You are a medical AI assistant. Analyze these symptoms in English:
-
-SYMPTOMS: "${symptoms}"
-${age ? `AGE: ${age}` : ''}
-${gender ? `GENDER: ${gender}` : ''}
-${duration ? `DURATION: ${duration}` : ''}
-
-Provide a detailed medical analysis. Return ONLY valid JSON in this exact format:
-{
-  "possibleConditions": ["Condition 1", "Condition 2", "Condition 3"],
-  "severity": "Low or Medium or High or Emergency",
-  "recommendations": ["Specific recommendation 1", "Specific recommendation 2", "Specific recommendation 3"],
-  "requiresImmediateCare": true or false,
-  "whenToSeeDoctor": "Specific timeframe and criteria",
-  "selfCareTips": ["Practical tip 1", "Practical tip 2", "Practical tip 3"]
-}
+// Replaces the whole profile; fields left out are cleared
+app.put('/api/profile', requireUser, async (req, res) => {
+  const language = resolveLanguage(req.body.language);
+  const { profile, errors } = normalizeProfile(req.body);
 
-IMPORTANT: Make it specific to these exact symptoms. Do not give generic advice.`,
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_PROFILE',
+      fields: errors,
+      error: t(language, 'errors.invalidProfile', { fields: errors.join(', ') })
+    });
+  }
 
-        es: `Eres un asistente médico de IA. Analiza estos síntomas en español:
+  try {
+    const user = await authStore.updateUser(req.user.id, { profile: { ...profile, updatedAt: new Date().toISOString() } });
+    res.json({ success: true, profile: user.profile, fields: PROFILE_FIELDS });
+  } catch (error) {
+    log.error('❌ Profile save error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save profile' });
+  }
+});
 
-SÍNTOMAS: "${symptoms}"
-${age ? `EDAD: ${age}` : ''}
-${gender ? `GÉNERO: ${gender}` : ''}
-${duration ? `DURACIÓN: ${duration}` : ''}
+// Pre-fills the profile from a FHIR R4 Bundle (Patient, MedicationStatement,
+// AllergyIntolerance, Condition, weight/height/pregnancy Observations).
+// Imported values are added to the stored profile, which is returned.
+app.post('/api/profile/fhir', requireFeature('fhir'), requireUser, async (req, res) => {
+  const language = resolveLanguage(req.query.language);
+  const { issues, fields, imported, skipped } = bundleToProfile(req.body);
 
-Proporciona un análisis médico detallado. Devuelve SOLAMENTE JSON válido en este formato exacto:
-{
-  "possibleConditions": ["Condición 1", "Condición 2", "Condición 3"],
-  "severity": "Baja o Media o Alta o Emergencia",
-  "recommendations": ["Recomendación específica 1", "Recomendación específica 2", "Recomendación específica 3"],
-  "requiresImmediateCare": true o false,
-  "whenToSeeDoctor": "Plazo específico y criterios",
-  "selfCareTips": ["Consejo práctico 1", "Consejo práctico 2", "Consejo práctico 3"]
-}
+  if (issues) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_FHIR',
+      issues,
+      error: t(language, 'errors.invalidFhir', { count: issues.length })
+    });
+  }
+
+  const { profile, errors } = normalizeProfile(applyProfileFields(req.user.profile, fields));
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_PROFILE',
+      fields: errors,
+      error: t(language, 'errors.invalidProfile', { fields: errors.join(', ') })
+    });
+  }
+
+  try {
+    const user = await authStore.updateUser(req.user.id, { profile: { ...profile, updatedAt: new Date().toISOString() } });
+    log.info(`🏥 FHIR import: ${Object.keys(fields).join(', ') || 'nothing'} imported`);
+    res.json({ success: true, profile: user.profile, fieldsImported: Object.keys(fields), imported, skipped });
+  } catch (error) {
+    log.error('❌ FHIR import error:', error);
+    res.status(500).json({ success: false, error: 'Failed to import profile' });
+  }
+});
 
-IMPORTANTE: Hazlo específico para estos síntomas exactos. No des consejos genéricos.`,
+// 1c. Prometheus metrics (ENABLE_METRICS)
+app.get('/metrics', requireFeature('metrics'), (req, res) => {
+  if (llm) updateCircuitStates(llm.status());
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(registry.render());
+});
 
-        fr: `Vous êtes un assistant médical IA. Analysez ces symptômes en français:
+// 2. Main Analysis - WITH COMPLETE LANGUAGE SUPPORT
+app.post('/api/analyze', async (req, res) => {
+  try {
+    const { symptoms, duration } = req.body;
+    const language = resolveLanguage(req.body.language);
+    // Stored profile fills in what the request leaves out
+    const { values: profile, profileFieldsUsed } = mergeProfile(req.user && req.user.profile, req.body);
+    const { age, gender } = profile;
 
-SYMPTÔMES: "${symptoms}"
-${age ? `ÂGE: ${age}` : ''}
-${gender ? `GENRE: ${gender}` : ''}
-${duration ? `DURÉE: ${duration}` : ''}
+    if (typeof symptoms !== 'string' || symptoms.trim().length < 3) {
+      return res.status(400).json({ 
+        success: false, 
+        error: t(language, 'errors.symptomsRequired')
+      });
+    }
 
-Fournissez une analyse médicale détaillée. Retournez UNIQUEMENT du JSON valide dans ce format exact:
-{
-  "possibleConditions": ["Condition 1", "Condition 2", "Condition 3"],
-  "severity": "Faible ou Moyenne ou Élevée ou Urgence",
-  "recommendations": ["Recommandation spécifique 1", "Recommandation spécifique 2", "Recommandation spécifique 3"],
-  "requiresImmediateCare": true ou false,
-  "whenToSeeDoctor": "Délai spécifique et critères",
-  "selfCareTips": ["Conseil pratique 1", "Conseil pratique 2", "Conseil pratique 3"]
-}
+    log.info(`🔍 Analyzing in ${language}: ${logText(symptoms)}`);
+    const { analysis, model, provider, parseStatus, promptTemplate, note } = await analyzeCase({
+      symptoms, age, gender, duration, profile, language, assignment: promptAssignment(req)
+    });
 
-IMPORTANT: Rendez-le spécifique à ces symptômes exacts. Ne donnez pas de conseils génériques.`,
+    // Store in history
+    const sessionId = historySessionId(req);
+    const entry = await recordHistory(sessionId, {
+      type: 'analysis', symptoms, age, gender, duration, language, analysis, model, parseStatus, promptTemplate
+    });
 
-        ar: `أنت مساعد طبي بالذكاء الاصطناعي. حلل هذه الأعراض باللغة العربية:
+    res.json({
+      success: true,
+      sessionId,
+      entryId: entry && entry.id,
+      analysis,
+      profileFieldsUsed,
+      model,
+      provider,
+      parseStatus,
+      promptTemplate,
+      note,
+      language: language
+    });
 
-الأعراض: "${symptoms}"
-${age ? `العمر: ${age}` : ''}
-${gender ? `الجنس: ${gender}` : ''}
-${duration ? `المدة: ${duration}` : ''}
+  } catch (error) {
+    log.error('❌ Server error in /api/analyze:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error: ' + error.message
+    });
+  }
+});
 
-قدم تحليلاً طبيًا مفصلاً. أعد JSON صالحًا فقط بهذا التنسيق الدقيق:
-{
-  "possibleConditions": ["حالة 1", "حالة 2", "حالة 3"],
-  "severity": "منخفضة أو متوسطة أو عالية أو طارئة",
-  "recommendations": ["توصية محددة 1", "توصية محددة 2", "توصية محددة 3"],
-  "requiresImmediateCare": true أو false,
-  "whenToSeeDoctor": "إطار زمني ومعايير محددة",
-  "selfCareTips": ["نصيحة عملية 1", "نصيحة عملية 2", "نصيحة عملية 3"]
+// 2a. Streaming analysis over Server-Sent Events (GET with query or POST with JSON).
+// Events: triage -> recommendations (partial, repeated) -> analysis, or fallback
+// if there is no provider or the model fails partway through.
+async function streamAnalysis(req, res) {
+  try {
+    await runStreamAnalysis(req, res);
+  } catch (error) {
+    // Anything the stream's own fallback didn't catch: a 500 before the
+    // stream has opened, an `error` event after
+    log.error('❌ Server error in /api/analyze/stream:', error);
+    const language = resolveLanguage((req.method === 'GET' ? req.query : req.body || {}).language);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, error: t(language, 'errors.serverError') });
+    }
+    if (!res.writableEnded) {
+      res.write(`event: error\ndata: ${JSON.stringify({ error: t(language, 'errors.serverError') })}\n\n`);
+      res.end();
+    }
+  }
 }
 
-هام: اجعلها محددة لهذه الأعراض بالضبط. لا تقدم نصائح عامة.`,
+async function runStreamAnalysis(req, res) {
+  const input = req.method === 'GET' ? req.query : req.body;
+  const { symptoms, duration } = input;
+  const language = resolveLanguage(input.language);
+  const { values: profile, profileFieldsUsed } = mergeProfile(req.user && req.user.profile, input);
+  const { age, gender } = profile;
 
-        hi: `आप एक मेडिकल एआई सहायक हैं। इन लक्षणों का हिंदी में विश्लेषण करें:
+  // Repeated query parameters (?symptoms=a&symptoms=b) arrive as arrays
+  if (typeof symptoms !== 'string' || symptoms.trim().length < 3) {
+    return res.status(400).json({ success: false, error: t(language, 'errors.symptomsRequired') });
+  }
 
-लक्षण: "${symptoms}"
-${age ? `आयु: ${age}` : ''}
-${gender ? `लिंग: ${gender}` : ''}
-${duration ? `अवधि: ${duration}` : ''}
+  const stream = openEventStream(res);
+  const sessionId = historySessionId(req);
 
-विस्तृत चिकित्सा विश्लेषण प्रदान करें। केवल इस सटीक प्रारूप में वैध JSON लौटाएं:
-{
-  "possibleConditions": ["स्थिति 1", "स्थिति 2", "स्थिति 3"],
-  "severity": "कम या मध्यम या उच्च या आपातकालीन",
-  "recommendations": ["विशिष्ट सिफारिश 1", "विशिष्ट सिफारिश 2", "विशिष्ट सिफारिश 3"],
-  "requiresImmediateCare": true या false,
-  "whenToSeeDoctor": "विशिष्ट समय सीमा और मानदंड",
-  "selfCareTips": ["व्यावहारिक सुझाव 1", "व्यावहारिक सुझाव 2", "व्यावहारिक सुझाव 3"]
-}
+  const sendFallback = async (note, reason) => {
+    const analysis = applyRedFlags(getFallbackResponse(symptoms, age, gender, duration, language), triage, language);
+    const entry = await recordHistory(sessionId, { type: 'analysis', symptoms, age, gender, duration, language, analysis, model: 'Fallback' });
+    stream.send('fallback', { sessionId, entryId: entry && entry.id, analysis, profileFieldsUsed, model: 'Fallback', note, reason, language });
+  };
 
-महत्वपूर्ण: इन विशिष्ट लक्षणों के लिए विशिष्ट बनाएं। सामान्य सलाह न दें।`
-      };
+  log.info(`📡 Streaming analysis in ${language}: ${logText(symptoms)}`);
 
-      const prompt = languagePrompts[language] || languagePrompts.en;
+  // Red flags are known before the model starts, so the UI can warn immediately
+  const triage = evaluateRedFlags({ symptoms, age, duration, pregnant: profile.pregnant, language });
+  stream.send('triage', {
+    severity: triage.severity,
+    severityLabel: triage.severity && severityLabel(triage.severity, language),
+    requiresImmediateCare: triage.requiresImmediateCare,
+    flags: triage.flags,
+    profileFieldsUsed
+  });
 
-      console.log(`📤 Calling Gemini API in ${language}...`);
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
-      console.log('📥 Received response (first 200 chars):', responseText.substring(0, 200));
+  try {
+    if (!llm) {
+      await sendFallback(t(language, 'notes.noProvider'), 'no-provider');
+      return;
+    }
 
-      // Extract JSON from response
-      let jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        console.log('⚠️ No JSON found in response, using fallback');
-        throw new Error('Invalid response format');
+    let received = '';
+    let sent = 0;
+    const { prompt, template: promptTemplate } = buildAnalyzePrompt({
+      symptoms, age, gender, duration, profile, language, assignment: promptAssignment(req)
+    });
+    const request = {
+      task: 'analyze',
+      model: GEMINI_MODELS.FLASH,
+      prompt,
+      generationConfig: { temperature: 0.1, maxOutputTokens: 1200 }
+    };
+    const streamed = await llm.stream({
+      ...request,
+      generationConfig: structuredConfig('analysis', request.generationConfig),
+      onText: (chunk) => {
+        received += chunk;
+        const recommendations = partialStringArray(received, 'recommendations');
+        if (recommendations.length > sent) {
+          sent = recommendations.length;
+          stream.send('recommendations', { recommendations });
+        }
       }
+    });
 
-      let jsonString = jsonMatch[0];
-      let analysis;
+    // Same schema check and repair as /api/analyze once the stream has finished
+    const result = await completeStructured(llm, { ...request, type: 'analysis', text: streamed.text, resultModel: streamed.model });
+    if (!result.data) {
+      await sendFallback(t(language, 'notes.providerError'), 'invalid-output');
+      return;
+    }
 
-      try {
-        // Clean JSON string
-        jsonString = jsonString.trim();
-        jsonString = jsonString.replace(/```json/g, '').replace(/```/g, '');
-        jsonString = jsonString.replace(/'/g, '"');
-        jsonString = jsonString.replace(/(\w+):/g, '"$1":'); // Ensure keys are quoted
-
-        analysis = JSON.parse(jsonString);
-        console.log('✅ Successfully parsed JSON response');
-      } catch (parseError) {
-        console.error('❌ JSON parse error:', parseError.message);
-        console.log('Raw JSON string:', jsonString.substring(0, 200));
-
-        // Try to extract data manually
-        analysis = extractAnalysisFromText(responseText, symptoms, language);
-      }
+    const analysis = applyRedFlags(validateAndNormalizeAnalysis(result.data, symptoms, language), triage, language);
+    const entry = await recordHistory(sessionId, {
+      type: 'analysis', symptoms, age, gender, duration, language, analysis, model: result.model, parseStatus: result.parseStatus, promptTemplate
+    });
 
-      // Validate and normalize the analysis
-      analysis = validateAndNormalizeAnalysis(analysis, symptoms, language);
+    stream.send('analysis', {
+      sessionId,
+      entryId: entry && entry.id,
+      analysis,
+      profileFieldsUsed,
+      model: result.model,
+      provider: llm.name,
+      parseStatus: result.parseStatus,
+      promptTemplate,
+      note: t(language, 'notes.analysisBy', { model: result.model }),
+      language
+    });
+  } catch (error) {
+    log.error('❌ Streaming analysis error:', logMessage(error.message));
+    try {
+      await sendFallback(t(language, 'notes.providerError'), 'provider-error');
+    } catch (fallbackError) {
+      log.error('❌ Streaming fallback error:', fallbackError);
+      stream.send('error', { error: t(language, 'errors.serverError') });
+    }
+  } finally {
+    stream.close();
+  }
+}
 
-      // Store in history
-      const sessionId = req.body.userId || uuidv4();
-      if (!symptomHistory.has(sessionId)) {
-        symptomHistory.set(sessionId, []);
-      }
+app.get('/api/analyze/stream', requireFeature('streaming'), streamAnalysis);
+app.post('/api/analyze/stream', requireFeature('streaming'), streamAnalysis);
 
-      symptomHistory.get(sessionId).push({
-        id: uuidv4(),
-        timestamp: new Date().toISOString(),
-        symptoms,
-        age,
-        gender,
-        duration,
-        language,
-        analysis
-      });
+// 2b. Follow-up conversation - refines a stored analysis with the user's answers.
+// POST { entryId?, answers?: [{ question, answer }] | [answer], message?, language }
+// Each turn is a new version of the analysis; earlier versions stay in history.
+app.post('/api/chat/:sessionId', requireFeature('chat'), requireSessionOwner, async (req, res) => {
+  const { sessionId } = req.params;
+  const language = resolveLanguage(req.body.language);
 
-      res.json({
-        success: true,
-        sessionId,
-        analysis,
-        model: GEMINI_MODELS.FLASH,
-        note: `Analysis by Gemini 2.5 Flash (${language})`,
-        language: language
-      });
+  try {
+    const conversation = findConversation(await historyStore.all(sessionId), req.body.entryId);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: t(language, 'errors.analysisNotFound') });
+    }
 
-    } catch (geminiError) {
-      console.error('❌ Gemini API error:', geminiError.message);
+    const { base, turns, conversationId } = conversation;
+    const previous = latestVersion(conversation);
+    const message = typeof req.body.message === 'string' ? req.body.message.trim().slice(0, 2000) : '';
+    const answers = normalizeAnswers(req.body.answers, previous.clarifyingQuestions);
+    const current = { clarifyingQuestions: previous.clarifyingQuestions, answers, message };
+    const version = previous.version + 1;
+
+    // Red flags see everything the user has said so far, not just the first
+    // description, and keep every flag an earlier version raised
+    const { values: profile } = mergeProfile(req.user && req.user.profile, {}, ['pregnant']);
+    const triage = withEarlierFlags(evaluateRedFlags({
+      symptoms: conversationText(conversation, current),
+      age: base.age,
+      duration: base.duration,
+      pregnant: profile.pregnant,
+      language
+    }), earlierRedFlags(conversation), language);
+
+    let analysis = localizeSeverity(previous.analysis, language);
+    let clarifyingQuestions = [];
+    let changes = '';
+    let model = 'Fallback';
+    let parseStatus;
+    let promptTemplate;
+    let note = t(language, 'notes.noProvider');
+
+    if (llm) {
+      try {
+        const { prompt, template } = buildChatPrompt({
+          symptoms: base.symptoms,
+          age: base.age,
+          gender: base.gender,
+          duration: base.duration,
+          analysis: previous.analysis,
+          version: previous.version,
+          exchanges: [...turns, current],
+          language,
+          assignment: promptAssignment(req)
+        });
 
-      // Return fallback
-      res.json({
-        success: true,
-        sessionId: uuidv4(),
-        analysis: getFallbackResponse(symptoms, age, gender, duration, language),
-        model: 'Fallback',
-        note: 'Gemini API error - using fallback analysis',
-        language: language
-      });
+        log.info(`💬 Follow-up v${version} with ${llm.name} in ${language} (${answers.length} answers)`);
+        const result = await generateStructured(llm, {
+          type: 'chat',
+          task: 'chat',
+          model: GEMINI_MODELS.FLASH,
+          prompt,
+          generationConfig: { temperature: 0.1, maxOutputTokens: 1500 }
+        });
+        parseStatus = result.parseStatus;
+        if (!result.data) throw new Error('Invalid response format');
+
+        ({ clarifyingQuestions, changes, ...analysis } = result.data);
+        clarifyingQuestions = normalizeClarifyingQuestions(clarifyingQuestions);
+        changes = typeof changes === 'string' ? changes.trim() : '';
+        analysis = validateAndNormalizeAnalysis(analysis, base.symptoms, language);
+        model = result.model;
+        promptTemplate = template;
+        note = t(language, 'notes.analysisBy', { model });
+      } catch (chatError) {
+        // Keep the previous version; only the red flags below can change it
+        log.error('❌ Follow-up error:', logMessage(chatError.message));
+        note = t(language, 'notes.providerError');
+      }
     }
 
+    analysis = applyRedFlags(analysis, triage, language);
+
+    const entry = await recordHistory(sessionId, {
+      type: 'followup',
+      conversationId,
+      version,
+      symptoms: base.symptoms,
+      age: base.age,
+      gender: base.gender,
+      duration: base.duration,
+      language,
+      message,
+      answers,
+      clarifyingQuestions,
+      changes,
+      analysis,
+      model,
+      parseStatus,
+      promptTemplate
+    });
+
+    res.json({
+      success: true,
+      sessionId,
+      conversationId,
+      entryId: entry && entry.id,
+      version,
+      previousVersion: previous.version,
+      analysis,
+      clarifyingQuestions,
+      changes,
+      model,
+      parseStatus,
+      promptTemplate,
+      note,
+      language
+    });
   } catch (error) {
-    console.error('❌ Server error in /api/analyze:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error: ' + error.message
+    log.error('❌ Server error in /api/chat:', error);
+    res.status(500).json({ success: false, error: t(language, 'errors.serverError') });
+  }
+});
+
+// All versions of a conversation (?entryId= any entry of it, default the latest)
+app.get('/api/chat/:sessionId', requireFeature('chat'), requireSessionOwner, async (req, res) => {
+  const language = resolveLanguage(req.query.language);
+  try {
+    const conversation = findConversation(await historyStore.all(req.params.sessionId), req.query.entryId);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: t(language, 'errors.analysisNotFound') });
+    }
+    res.json({ success: true, sessionId: req.params.sessionId, ...describeConversation(conversation) });
+  } catch (error) {
+    log.error('❌ Conversation read error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load conversation' });
+  }
+});
+
+// 2c. Batch analysis - a JSON array or CSV of intake cases (see lib/batch) runs as a
+// background job; poll /api/jobs/:id, then fetch the results, Emergency first
+app.post('/api/analyze/batch', requireFeature('batch'), express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), (req, res) => {
+  const language = resolveLanguage((req.body && req.body.language) || req.query.language);
+  try {
+    const { cases, invalidCases } = normalizeCases(readCases(req.body), language);
+    if (invalidCases.length) return sendBatchError(req, res, 'INVALID_CASES', 400, { invalidCases });
+    if (batchQueue.pending() >= config.batch.maxPendingJobs) return sendBatchError(req, res, 'QUEUE_FULL', 429);
+
+    const job = batchQueue.create({ ownerId: req.user ? req.user.id : null, language, cases });
+    log.info(`📦 Batch job ${job.id} queued with ${cases.length} cases`);
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      success: true,
+      job: publicJob(job),
+      statusUrl: `/api/jobs/${job.id}`,
+      resultsUrl: `/api/jobs/${job.id}/results`
     });
+  } catch (error) {
+    if (error instanceof BatchError) return sendBatchError(req, res, error.code, error.status);
+    log.error('❌ Batch submit error:', error);
+    res.status(500).json({ success: false, error: t(language, 'errors.serverError') });
   }
 });
 
+// A job submitted while signed in is only visible to that user
+function requireJob(req, res, next) {
+  const job = batchQueue.get(req.params.jobId);
+  if (!job || (job.ownerId && (!req.user || req.user.id !== job.ownerId))) {
+    return sendBatchError(req, res, 'JOB_NOT_FOUND', 404);
+  }
+  req.job = job;
+  next();
+}
+
+app.get('/api/jobs/:jobId', requireFeature('batch'), requireJob, (req, res) => {
+  res.json({ success: true, job: publicJob(req.job), resultsUrl: `/api/jobs/${req.job.id}/results` });
+});
+
+// ?format=csv (or Accept: text/csv) for a spreadsheet; results so far while the job runs
+app.get('/api/jobs/:jobId/results', requireFeature('batch'), requireJob, (req, res) => {
+  const job = req.job;
+  const csv = req.query.format ? req.query.format === 'csv' : req.accepts(['json', 'csv']) === 'csv';
+
+  if (csv) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="batch-${job.id}.csv"`);
+    return res.send(resultsCsv(job.results));
+  }
+
+  res.json({ success: true, job: publicJob(job), complete: job.status === 'completed', results: sortResults(job.results) });
+});
+
 // 3. Voice Output - WITH LANGUAGE SUPPORT
-app.post('/api/voice', async (req, res) => {
+app.post('/api/voice', requireFeature('voice'), async (req, res) => {
   try {
-    const { text, language = 'en' } = req.body;
+    const { text } = req.body;
+    const language = resolveLanguage(req.body.language);
 
     if (!text) {
-      return res.status(400).json({ error: 'Text required' });
+      return res.status(400).json({ error: t(language, 'errors.textRequired') });
     }
 
-    // Language codes for speech synthesis
-    const languageCodes = {
-      en: 'en-US',
-      es: 'es-ES',
-      fr: 'fr-FR',
-      ar: 'ar-SA',
-      hi: 'hi-IN'
-    };
+    // Language code for speech synthesis
+    const langCode = t(language, 'language.speechCode');
 
-    const langCode = languageCodes[language] || 'en-US';
-
-    // If we have Gemini API, we can optimize the text for speech
-    if (GEMINI_API_KEY && genAI) {
+    // If we have an LLM provider, we can optimize the text for speech
+    if (llm) {
       try {
-        const model = genAI.getGenerativeModel({ model: GEMINI_MODELS.FLASH });
-        const prompt = `Optimize this medical text for speech synthesis in ${language}. Make it clear, with pauses, and easy to understand when spoken:\n\n"${text.substring(0, 500)}"`;
+        const { prompt, template: promptTemplate } = buildVoicePrompt({ text, language, assignment: promptAssignment(req) });
 
-        const result = await model.generateContent(prompt);
-        const optimizedText = result.response.text();
+        const result = await llm.generate({ task: 'voice', model: GEMINI_MODELS.FLASH, prompt });
+        const optimizedText = result.text;
 
         return res.json({
           success: true,
           text: optimizedText,
           language: langCode,
+          promptTemplate,
           instructions: 'Use browser SpeechSynthesis API',
           exampleCode: `const utterance = new SpeechSynthesisUtterance('${optimizedText.substring(0, 50)}...');
 utterance.lang = '${langCode}';
@@ -325,7 +742,7 @@ utterance.rate = 1.0;
 window.speechSynthesis.speak(utterance);`
         });
       } catch (aiError) {
-        console.log('Voice optimization failed, using original text:', aiError.message);
+        log.info('Voice optimization failed, using original text:', logMessage(aiError.message));
       }
     }
 
@@ -338,7 +755,7 @@ window.speechSynthesis.speak(utterance);`
     });
 
   } catch (error) {
-    console.error('Voice error:', error);
+    log.error('Voice error:', error);
     res.json({
       success: true,
       text: req.body.text || '',
@@ -347,179 +764,544 @@ window.speechSynthesis.speak(utterance);`
   }
 });
 
-// 4. Image Analysis
-app.post('/api/analyze-image', upload.single('image'), async (req, res) => {
+// 3a. Voice Input - a recorded description (see lib/audioUpload) transcribed by the
+// multimodal model, for browsers without speech recognition
+app.post('/api/transcribe', requireFeature('voice'), audioUpload, async (req, res) => {
+  const language = resolveLanguage(req.body.language);
+  const unavailable = status => res.status(status).json({
+    success: false,
+    code: 'TRANSCRIPTION_UNAVAILABLE',
+    error: t(language, 'errors.transcriptionUnavailable')
+  });
+
+  if (!llm) return unavailable(503);
+
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image uploaded' });
-    }
+    log.info(`🎙️ Transcribing ${req.audio.mimeType} (${req.audio.bytes} bytes) with ${llm.name}, hint ${language}`);
+    const { prompt, template: promptTemplate } = buildTranscriptionPrompt({ language, assignment: promptAssignment(req) });
+    const result = await generateStructured(llm, {
+      type: 'transcript',
+      task: 'transcribe',
+      model: GEMINI_MODELS.VISION,
+      prompt: [
+        prompt,
+        { inlineData: { data: req.audio.data.toString('base64'), mimeType: req.audio.mimeType } }
+      ],
+      generationConfig: { temperature: 0, maxOutputTokens: 1000 }
+    });
+    if (!result.data) return unavailable(502);
+
+    const transcript = result.data.transcript.trim();
+    // The prompt asks for an ISO 639-1 code; anything else ("Spanish") counts
+    // as not detected, and only a supported language replaces the hint
+    const detected = isoLanguageCode(result.data.language);
+    const supported = LANGUAGES.includes(detected);
+    log.info(`🎙️ Transcript (${detected || 'unknown'}): ${logText(transcript)}`);
+
+    res.json({
+      success: true,
+      transcript,
+      language: supported ? detected : language,
+      detectedLanguage: detected,
+      supported,
+      model: result.model,
+      provider: llm.name,
+      parseStatus: result.parseStatus,
+      promptTemplate
+    });
+  } catch (error) {
+    log.error('❌ Transcription error:', logMessage(error.message));
+    unavailable(502);
+  }
+});
+
+// "es", "es-MX" or "ES_mx" -> "es"; null for anything that isn't an ISO 639-1 code
+function isoLanguageCode(value) {
+  const match = String(value || '').trim().match(/^([a-z]{2})(?:[-_][a-z0-9]{2,8})*$/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// 4. Image Analysis - one or more validated, metadata-free images (see lib/imageUpload),
+// returned in the same structure as /api/analyze plus visualFindings
+app.post('/api/analyze-image', requireFeature('image'), imageUpload, async (req, res) => {
+  const { symptoms, duration } = req.body;
+  const language = resolveLanguage(req.body.language);
+  const { values: profile, profileFieldsUsed } = mergeProfile(req.user && req.user.profile, req.body);
+  const { age } = profile;
 
-    const { symptoms, language = 'en' } = req.body;
+  try {
+    const sessionId = historySessionId(req);
+    const images = req.images.map(({ name, mimeType, width, height, bytes }) => ({ name, mimeType, width, height, bytes }));
+
+    // The user's own description still goes through the red-flag rules
+    const triage = evaluateRedFlags({ symptoms, age, duration, pregnant: profile.pregnant, language });
+
+    if (!llm) {
+      const analysis = applyRedFlags(
+        applyVisualFindings(getFallbackResponse(symptoms, age, null, duration, language), null, language),
+        triage,
+        language
+      );
+      await recordHistory(sessionId, { type: 'image', symptoms, age, duration, language, images, analysis, model: 'Fallback' });
 
-    if (!GEMINI_API_KEY || !genAI) {
       return res.json({
         success: true,
-        analysis: 'Please add Gemini API key to .env file for image analysis',
+        sessionId,
+        analysis,
+        profileFieldsUsed,
+        images,
         model: 'Fallback',
+        note: t(language, 'notes.noProvider'),
         language: language
       });
     }
 
     try {
-      const model = genAI.getGenerativeModel({ 
-        model: GEMINI_MODELS.VISION,
-        generationConfig: { maxOutputTokens: 500 }
-      });
-
-      const imageBase64 = req.file.buffer.toString('base64');
-
-      const imagePart = {
+      const imageParts = req.images.map(image => ({
         inlineData: {
-          data: imageBase64,
-          mimeType: req.file.mimetype
+          data: image.data.toString('base64'),
+          mimeType: image.mimeType
         }
-      };
-
-      const prompt = language === 'es' ? `Analiza esta imagen médica: ${symptoms || 'Sin descripción'}` :
-                    language === 'fr' ? `Analysez cette image médicale: ${symptoms || 'Pas de description'}` :
-                    `Analyze this medical image: ${symptoms || 'No description provided'}`;
+      }));
 
-      const result = await model.generateContent([prompt, imagePart]);
+      const { prompt, template: promptTemplate } = buildImagePrompt({
+        symptoms, age, duration, profile, imageCount: imageParts.length, language, assignment: promptAssignment(req)
+      });
+      const result = await generateStructured(llm, {
+        type: 'image',
+        task: 'image',
+        model: GEMINI_MODELS.VISION,
+        prompt: [prompt, ...imageParts],
+        generationConfig: { temperature: 0.1, maxOutputTokens: 1200 }
+      });
+      const analysis = parseImageAnalysis(result, symptoms, triage, language);
+      await recordHistory(sessionId, {
+        type: 'image', symptoms, age, duration, language, images, analysis, model: result.model, parseStatus: result.parseStatus, promptTemplate
+      });
 
       res.json({
         success: true,
-        analysis: result.response.text(),
-        model: GEMINI_MODELS.VISION,
+        sessionId,
+        analysis,
+        profileFieldsUsed,
+        images,
+        model: result.model,
+        provider: llm.name,
+        parseStatus: result.parseStatus,
+        promptTemplate,
         language: language
       });
 
     } catch (visionError) {
-      console.error('Vision error:', visionError);
+      log.error('Vision error:', logMessage(visionError.message));
 
-      // Fallback to text analysis
-      const model = genAI.getGenerativeModel({ model: GEMINI_MODELS.FLASH });
-      const fallbackPrompt = language === 'es' ? `Analiza basado en descripción: ${symptoms || 'Sin descripción'}` :
-                           language === 'fr' ? `Analysez basé sur la description: ${symptoms || 'Pas de description'}` :
-                           `Analyze based on description: ${symptoms || 'No description provided'}`;
-
-      const result = await model.generateContent(fallbackPrompt);
+      // Fallback to text analysis of the description
+      const { prompt: fallbackPrompt, template: promptTemplate } = buildImagePrompt({
+        symptoms, age, duration, profile, imageCount: 0, language, assignment: promptAssignment(req)
+      });
+      const result = await generateStructured(llm, {
+        type: 'image',
+        task: 'image',
+        model: GEMINI_MODELS.FLASH,
+        prompt: fallbackPrompt,
+        generationConfig: { temperature: 0.1, maxOutputTokens: 1200 }
+      });
+      const analysis = parseImageAnalysis(result, symptoms, triage, language);
+      await recordHistory(sessionId, {
+        type: 'image', symptoms, age, duration, language, images, analysis, model: result.model, parseStatus: result.parseStatus, promptTemplate
+      });
 
       res.json({
         success: true,
-        analysis: result.response.text(),
-        model: GEMINI_MODELS.FLASH,
-        note: language === 'es' ? 'Usado análisis de texto (visión no disponible)' :
-              language === 'fr' ? 'Utilisé analyse de texte (vision non disponible)' :
-              'Used text analysis (vision unavailable)',
+        sessionId,
+        analysis,
+        profileFieldsUsed,
+        images,
+        model: result.model,
+        provider: llm.name,
+        parseStatus: result.parseStatus,
+        promptTemplate,
+        note: t(language, 'notes.visionUnavailable'),
         language: language
       });
     }
 
   } catch (error) {
-    console.error('Image analysis error:', error);
+    log.error('Image analysis error:', logMessage(error.message));
     res.json({
       success: true,
-      analysis: language === 'es' ? 'Análisis de imagen no disponible. Por favor describe los síntomas en texto.' :
-                language === 'fr' ? 'Analyse d\'image non disponible. Veuillez décrire les symptômes en texte.' :
-                'Image analysis service unavailable. Please describe symptoms in text.',
+      analysis: applyVisualFindings(
+        applyRedFlags(
+          getFallbackResponse(symptoms, age, null, duration, language),
+          evaluateRedFlags({ symptoms, age, duration, pregnant: profile.pregnant, language }),
+          language
+        ),
+        null,
+        language
+      ),
+      note: t(language, 'notes.imageUnavailable'),
       fallback: true,
       language: language
     });
   }
 });
 
-// 5. Drug Interactions
-app.post('/api/drugs', async (req, res) => {
-  try {
-    const { medicines, conditions, allergies, language = 'en' } = req.body;
+// 5. Drug Interactions - structured, risk-graded result
+app.post('/api/drugs', requireFeature('drugs'), async (req, res) => {
+  const language = resolveLanguage(req.body.language);
 
-    if (!medicines || !Array.isArray(medicines) || medicines.length === 0) {
-      return res.status(400).json({ error: 'Medicines array required with at least one medicine' });
-    }
+  if (!Array.isArray(req.body.medicines) || req.body.medicines.length === 0) {
+    return res.status(400).json({ error: t(language, 'errors.medicinesRequired') });
+  }
 
-    if (!GEMINI_API_KEY || !genAI) {
-      return res.json({
-        success: true,
-        analysis: language === 'es' ? 'La verificación de interacciones de medicamentos requiere una clave API de Gemini en el archivo .env' :
-                  language === 'fr' ? 'La vérification des interactions médicamenteuses nécessite une clé API Gemini dans le fichier .env' :
-                  'Drug interaction check requires Gemini API key in .env file',
-        model: 'Fallback',
-        language: language
-      });
-    }
+  res.json(await checkDrugs(req, req.body, language));
+});
 
-    const model = genAI.getGenerativeModel({ model: GEMINI_MODELS.FLASH });
+// 5a. Medication schedule - dose, frequency, reminder times and dates per
+// medicine, stored on the signed-in user. The schedule is the Drug Checker's
+// list: it joins every drug check, and adding a medicine (or renaming one)
+// re-runs the check against the rest of the list (interactionCheck).
+app.get('/api/medications/:sessionId', requireFeature('drugs'), requireSessionOwner, (req, res) => {
+  res.json({ success: true, medications: req.user.medications || [] });
+});
 
-    const prompts = {
-      en: `Check drug interactions for medications: ${medicines.join(', ')}
-      ${conditions ? `\nMedical conditions: ${conditions}` : ''}
-      ${allergies ? `\nAllergies: ${allergies}` : ''}
+// POST { name, dose, frequency, interval, times, daysOfWeek, startDate, endDate,
+// notes, conditions?, allergies?, language } (see lib/medications)
+app.post('/api/medications/:sessionId', requireFeature('drugs'), requireSessionOwner, async (req, res) => {
+  const language = resolveLanguage(req.body.language);
+  const medications = req.user.medications || [];
+  const { medication, errors } = normalizeMedication(req.body);
 
-      Provide safety analysis and recommendations in English.`,
+  if (errors.length > 0) return sendMedicationError(res, language, errors);
+  if (findByName(medications, medication.name)) {
+    return res.status(409).json({
+      success: false,
+      code: 'MEDICATION_EXISTS',
+      error: t(language, 'errors.medicationExists', { name: medication.name })
+    });
+  }
+  if (medications.length >= MAX_MEDICATIONS) {
+    return res.status(400).json({
+      success: false,
+      code: 'TOO_MANY_MEDICATIONS',
+      error: t(language, 'errors.tooManyMedications', { max: MAX_MEDICATIONS })
+    });
+  }
 
-      es: `Verifica interacciones de medicamentos para: ${medicines.join(', ')}
-      ${conditions ? `\nCondiciones médicas: ${conditions}` : ''}
-      ${allergies ? `\nAlergias: ${allergies}` : ''}
+  try {
+    const user = await authStore.updateUser(req.user.id, { medications: [...medications, medication] });
+    log.info(`💊 Medication added to the schedule (${user.medications.length} total), re-running the interaction check`);
+    const interactionCheck = await checkDrugs(req, scheduleCheckRequest(req.body), language);
+    res.status(201).json({ success: true, medication, medications: user.medications, interactionCheck });
+  } catch (error) {
+    log.error('❌ Medication save error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save medication' });
+  }
+});
 
-      Proporciona análisis de seguridad y recomendaciones en español.`,
+// Changes the given fields of one medication
+app.put('/api/medications/:sessionId/:medicationId', requireFeature('drugs'), requireSessionOwner, async (req, res) => {
+  const language = resolveLanguage(req.body.language);
+  const medications = req.user.medications || [];
+  const existing = medications.find(m => m.id === req.params.medicationId);
+  if (!existing) {
+    return res.status(404).json({ success: false, code: 'MEDICATION_NOT_FOUND', error: t(language, 'errors.medicationNotFound') });
+  }
 
-      fr: `Vérifiez les interactions médicamenteuses pour: ${medicines.join(', ')}
-      ${conditions ? `\nConditions médicales: ${conditions}` : ''}
-      ${allergies ? `\nAllergies: ${allergies}` : ''}
+  const { medication, errors } = normalizeMedication(req.body, existing);
+  if (errors.length > 0) return sendMedicationError(res, language, errors);
+  const duplicate = findByName(medications, medication.name);
+  if (duplicate && duplicate.id !== existing.id) {
+    return res.status(409).json({
+      success: false,
+      code: 'MEDICATION_EXISTS',
+      error: t(language, 'errors.medicationExists', { name: medication.name })
+    });
+  }
 
-      Fournissez une analyse de sécurité et des recommandations en français.`
-    };
+  try {
+    const user = await authStore.updateUser(req.user.id, {
+      medications: medications.map(m => (m.id === existing.id ? medication : m))
+    });
+    const renamed = medication.name.toLowerCase() !== existing.name.toLowerCase();
+    const interactionCheck = renamed ? await checkDrugs(req, scheduleCheckRequest(req.body), language) : null;
+    res.json({ success: true, medication, medications: user.medications, interactionCheck });
+  } catch (error) {
+    log.error('❌ Medication save error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save medication' });
+  }
+});
 
-    const prompt = prompts[language] || prompts.en;
-    const result = await model.generateContent(prompt);
+app.delete('/api/medications/:sessionId/:medicationId', requireFeature('drugs'), requireSessionOwner, async (req, res) => {
+  const language = resolveLanguage(req.query.language);
+  const medications = req.user.medications || [];
+  if (!medications.some(m => m.id === req.params.medicationId)) {
+    return res.status(404).json({ success: false, code: 'MEDICATION_NOT_FOUND', error: t(language, 'errors.medicationNotFound') });
+  }
 
-    res.json({
-      success: true,
-      analysis: result.response.text(),
-      model: GEMINI_MODELS.FLASH,
-      language: language
+  try {
+    const user = await authStore.updateUser(req.user.id, {
+      medications: medications.filter(m => m.id !== req.params.medicationId)
     });
+    res.json({ success: true, deleted: 1, medications: user.medications });
+  } catch (error) {
+    log.error('❌ Medication delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete medication' });
+  }
+});
+
+// iCalendar file with a recurring reminder per medicine and time of day
+app.get('/api/medications/:sessionId/calendar.ics', requireFeature('drugs'), requireSessionOwner, (req, res) => {
+  const language = resolveLanguage(req.query.language);
+  const medications = req.user.medications || [];
 
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="healthvision-medications.ics"');
+  res.send(medicationCalendar(medications, { language }));
+  log.info(`📅 Medication calendar exported (${medications.length} medicines)`);
+});
+
+// 6. History
+app.get('/api/history/:sessionId', requireSessionOwner, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await paginateHistory(historyStore, req.params.sessionId, { page, limit });
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('Drug interaction error:', error);
-    res.json({
-      success: true,
-      analysis: language === 'es' ? 'Verificación de interacciones de medicamentos no disponible. Consulte a un farmacéutico o médico.' :
-                language === 'fr' ? 'Vérification des interactions médicamenteuses non disponible. Consultez un pharmacien ou un médecin.' :
-                'Drug interaction check unavailable. Please consult a pharmacist or doctor.',
-      fallback: true,
-      language: language
+    log.error('❌ History read error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load history' });
+  }
+});
+
+// FHIR R4 Bundle of the history and profile for EHR systems: symptom
+// Observations, provisional Conditions with Provenance, MedicationStatements
+// and AllergyIntolerances
+app.get('/api/history/:sessionId/fhir', requireFeature('fhir'), requireSessionOwner, async (req, res) => {
+  try {
+    const entries = await historyStore.all(req.params.sessionId);
+    const bundle = historyToBundle({
+      entries,
+      user: req.user,
+      profile: req.user.profile,
+      aiModels: Object.values(GEMINI_MODELS)
     });
+    const filename = `healthvision-${new Date().toISOString().slice(0, 10)}.fhir.json`;
+
+    res.setHeader('Content-Type', `${FHIR_CONTENT_TYPE}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(JSON.stringify(bundle, null, 2));
+    log.info(`🏥 FHIR export: ${bundle.entry.length} resources`);
+  } catch (error) {
+    log.error('❌ FHIR export error:', error);
+    res.status(500).json({ success: false, error: 'FHIR export failed' });
   }
 });
 
-// 6. History
-app.get('/api/history/:sessionId', (req, res) => {
-  const history = symptomHistory.get(req.params.sessionId) || [];
-  res.json({
-    success: true,
-    count: history.length,
-    history: history.slice(-10).reverse()
-  });
+// Recurring and worsening symptoms over the last ?days= (default 30), with a
+// severity timeline, a plain-language summary and escalationAdvised
+app.get('/api/history/:sessionId/trends', requireFeature('trends'), requireSessionOwner, async (req, res) => {
+  try {
+    const language = resolveLanguage(req.query.language);
+    const entries = await historyStore.all(req.params.sessionId);
+    const trends = analyzeTrends(entries, { days: req.query.days, language });
+    res.json({ success: true, ...trends, language });
+  } catch (error) {
+    log.error('❌ Trends error:', error);
+    res.status(500).json({ success: false, error: 'Failed to analyze trends' });
+  }
 });
 
-// 7. Test Voice
-app.get('/api/test-voice', (req, res) => {
-  const { language = 'en' } = req.query;
+app.delete('/api/history/:sessionId', requireSessionOwner, async (req, res) => {
+  try {
+    const deleted = await historyStore.deleteSession(req.params.sessionId);
+    await shareStore.revokeEntry(req.user.id);
+    log.info(`🗑️ Deleted ${deleted} history entries`);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    log.error('❌ History delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete history' });
+  }
+});
 
-  const testMessages = {
-    en: 'HealthVision AI voice output is working correctly.',
-    es: 'La salida de voz de HealthVision AI funciona correctamente.',
-    fr: 'La sortie vocale de HealthVision AI fonctionne correctement.',
-    ar: 'الإخراج الصوتي لـ HealthVision AI يعمل بشكل صحيح.',
-    hi: 'HealthVision AI वॉयस आउटपुट सही ढंग से काम कर रहा है।'
-  };
+app.delete('/api/history/:sessionId/:entryId', requireSessionOwner, async (req, res) => {
+  try {
+    const deleted = await historyStore.deleteEntry(req.params.sessionId, req.params.entryId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'History entry not found' });
+    }
+    await shareStore.revokeEntry(req.user.id, req.params.entryId);
+    res.json({ success: true, deleted: 1 });
+  } catch (error) {
+    log.error('❌ History delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete history entry' });
+  }
+});
+
+// 6a. Share links - a read-only, expiring link to one history entry for a
+// family member or GP, viewed at /s/:token without the session ID.
+// POST { entryId, expiresInHours?, pin?, language }. Only the token's hash
+// is stored, so the link is returned once.
+app.post('/api/share', requireFeature('sharing'), requireUser, async (req, res) => {
+  try {
+    const { entryId, expiresInHours, pin } = req.body;
+    const entry = entryId ? await historyStore.get(req.user.id, String(entryId)) : null;
+    if (!entry) throw new ShareError('ENTRY_NOT_FOUND', 404);
+
+    const language = req.body.language ? resolveLanguage(req.body.language) : undefined;
+    const { token, share } = await createShare(shareStore, { user: req.user, entry, expiresInHours, pin, language });
+    log.info(`🔗 Share ${share.id} created (${entry.type || 'analysis'} entry, expires ${share.expiresAt}${share.pinHash ? ', PIN protected' : ''})`);
+    res.status(201).json({ success: true, token, url: shareUrl(req, token), share: publicShare(share) });
+  } catch (error) {
+    if (error instanceof ShareError) return sendShareError(req, res, error.code, error.status);
+    log.error('❌ Share error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create share link' });
+  }
+});
+
+// The signed-in user's links with their status and access log
+app.get('/api/share', requireFeature('sharing'), requireUser, async (req, res) => {
+  try {
+    const shares = await shareStore.listByOwner(req.user.id);
+    res.json({ success: true, shares: shares.map(publicShare) });
+  } catch (error) {
+    log.error('❌ Share list error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load share links' });
+  }
+});
+
+// Revokes a link by its token or its id from GET /api/share
+app.delete('/api/share/:token', requireFeature('sharing'), requireUser, async (req, res) => {
+  try {
+    const share = await shareStore.revoke(req.user.id, req.params.token);
+    if (!share) return sendShareError(req, res, 'NOT_FOUND', 404);
+    log.info(`🔗 Share ${share.id} revoked`);
+    res.json({ success: true, share: publicShare(share) });
+  } catch (error) {
+    log.error('❌ Share revoke error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke share link' });
+  }
+});
+
+// Read-only page for a link (GET), or after its PIN form (POST). Unknown,
+// expired, revoked and locked links all get the same 404 page.
+async function viewShare(req, res) {
+  const pin = req.body && req.body.pin;
+  const language = resolveLanguage(req.query.language);
+  setShareHeaders(res);
+
+  try {
+    const { status, share, attemptsLeft } = await openShare(shareStore, req.params.token, { pin });
+    const shareLanguage = resolveLanguage(req.query.language || (share && share.language));
+    const entry = status === 'ok' ? await historyStore.get(share.ownerId, share.entryId) : null;
+
+    if (status === 'pin_required' || status === 'wrong_pin') {
+      const action = `/s/${encodeURIComponent(req.params.token)}${req.query.language ? `?language=${shareLanguage}` : ''}`;
+      return res.status(status === 'wrong_pin' ? 401 : 200).send(renderPinForm({ language: shareLanguage, action, attemptsLeft }));
+    }
+    if (!entry) {
+      if (share) log.info(`🔗 Share ${share.id} refused (${status === 'ok' ? 'entry deleted' : shareStatus(share)})`);
+      return res.status(404).send(renderUnavailable({ language: share ? shareLanguage : language }));
+    }
+
+    log.info(`🔗 Share ${share.id} viewed`);
+    // The PDF button posts the PIN again, so it never appears in a URL
+    const pdfAction = config.features.pdf ? `/s/${encodeURIComponent(req.params.token)}/report.pdf?language=${shareLanguage}` : null;
+    res.send(renderSharedEntry({ entry, share, language: shareLanguage, pdfAction, pin }));
+  } catch (error) {
+    log.error('❌ Share view error:', error);
+    res.status(500).send(renderUnavailable({ language }));
+  }
+}
+
+app.get('/s/:token', requireFeature('sharing'), viewShare);
+app.post('/s/:token', requireFeature('sharing'), express.urlencoded({ extended: false, limit: '1kb' }), viewShare);
+
+// PDF report of a shared entry, without the session ID (POST { pin } for
+// PIN-protected links)
+async function shareReport(req, res) {
+  setShareHeaders(res);
+  try {
+    const pin = req.body && req.body.pin;
+    const { status, share } = await openShare(shareStore, req.params.token, { pin, outcome: 'pdf' });
+    const entry = status === 'ok' ? await historyStore.get(share.ownerId, share.entryId) : null;
+    const language = resolveLanguage(req.query.language || (share && share.language));
+    if (!entry) return res.status(404).send(renderUnavailable({ language }));
+
+    log.info(`🔗 Share ${share.id} PDF downloaded`);
+    sendReport(res, { entries: [entry], language });
+  } catch (error) {
+    log.error('❌ Share report error:', error);
+    res.status(500).send(renderUnavailable({ language: resolveLanguage(req.query.language) }));
+  }
+}
+
+app.get('/s/:token/report.pdf', requireFeature('sharing'), requireFeature('pdf'), shareReport);
+app.post('/s/:token/report.pdf', requireFeature('sharing'), requireFeature('pdf'), express.urlencoded({ extended: false, limit: '1kb' }), shareReport);
+
+// 7. PDF Report
+// Single analysis: POST { analysis, symptoms, age, gender, duration, drugCheck, language }
+// Whole session:   POST { sessionId, entryId?, language } or GET /api/report/:sessionId
+app.post('/api/report', requireFeature('pdf'), async (req, res) => {
+  try {
+    const { analysis, sessionId, entryId, drugCheck } = req.body;
+    const language = resolveLanguage(req.body.language);
+
+    let entries;
+    if (analysis) {
+      const { symptoms, age, gender, duration } = req.body;
+      entries = [{
+        type: 'analysis',
+        timestamp: new Date().toISOString(),
+        symptoms,
+        age,
+        gender,
+        duration,
+        analysis: validateAndNormalizeAnalysis(analysis, symptoms, language)
+      }];
+    } else if (sessionId) {
+      if (!req.user) return sendAuthError(req, res, 'SIGN_IN_REQUIRED', 401);
+      if (sessionId !== req.user.id) return sendAuthError(req, res, 'NOT_FOUND', 404);
+      entries = await getReportEntries(sessionId, entryId);
+      if (!entries) {
+        return res.status(404).json({ success: false, error: 'History entry not found' });
+      }
+    } else {
+      return res.status(400).json({ success: false, error: 'Provide an analysis or a sessionId' });
+    }
+
+    sendReport(res, { entries, drugCheck, sessionId, language });
+  } catch (error) {
+    log.error('❌ PDF report error:', error);
+    res.status(500).json({ success: false, error: 'Report generation failed: ' + error.message });
+  }
+});
+
+app.get('/api/report/:sessionId', requireFeature('pdf'), requireSessionOwner, async (req, res) => {
+  try {
+    const { entryId } = req.query;
+    const language = resolveLanguage(req.query.language);
+    const entries = await getReportEntries(req.params.sessionId, entryId);
+
+    if (!entries) {
+      return res.status(404).json({ success: false, error: 'History entry not found' });
+    }
+
+    sendReport(res, { entries, sessionId: req.params.sessionId, language });
+  } catch (error) {
+    log.error('❌ PDF report error:', error);
+    res.status(500).json({ success: false, error: 'Report generation failed: ' + error.message });
+  }
+});
+
+// 8. Test Voice
+app.get('/api/test-voice', requireFeature('voice'), (req, res) => {
+  const language = resolveLanguage(req.query.language);
 
   res.json({
     success: true,
     message: 'Voice uses browser SpeechSynthesis API',
     supported: 'speechSynthesis' in (typeof window !== 'undefined' ? window : {}),
-    testText: testMessages[language] || testMessages.en,
+    testText: t(language, 'voice.test'),
     language: language
   });
 });
@@ -528,144 +1310,337 @@ app.get('/api/test-voice', (req, res) => {
 
 function getFallbackResponse(symptoms, age, gender, duration, language = 'en') {
   const symptomText = (symptoms || '').toLowerCase();
-
-  // Language-specific responses
-  const responses = {
-    en: {
-      conditions: ["Medical consultation recommended"],
-      severity: "Medium",
-      recommendations: ["Monitor symptoms closely", "Rest and stay hydrated", "Consult healthcare provider if symptoms worsen"],
-      whenToSeeDoctor: "Within 24-48 hours if symptoms persist",
-      selfCareTips: ["Drink plenty of fluids", "Get adequate rest", "Avoid triggers if known"],
-      note: "This is AI-generated information. Consult a healthcare professional for proper diagnosis.",
-      immediateCare: "REQUIRES IMMEDIATE MEDICAL ATTENTION"
-    },
-    es: {
-      conditions: ["Consulta médica recomendada"],
-      severity: "Media",
-      recommendations: ["Controla los síntomas de cerca", "Descansa y mantente hidratado", "Consulta a un proveedor de atención médica si los síntomas empeoran"],
-      whenToSeeDoctor: "Dentro de 24-48 horas si los síntomas persisten",
-      selfCareTips: ["Bebe muchos líquidos", "Descansa adecuadamente", "Evita desencadenantes si se conocen"],
-      note: "Esta es información generada por IA. Consulte a un profesional de la salud para un diagnóstico adecuado.",
-      immediateCare: "REQUIERE ATENCIÓN MÉDICA INMEDIATA"
-    },
-    fr: {
-      conditions: ["Consultation médique recommandée"],
-      severity: "Moyenne",
-      recommendations: ["Surveillez attentivement les symptômes", "Reposez-vous et restez hydraté", "Consultez un professionnel de santé si les symptômes s'aggravent"],
-      whenToSeeDoctor: "Dans les 24-48 heures si les symptômes persistent",
-      selfCareTips: ["Buvez beaucoup de liquides", "Reposez-vous suffisamment", "Évitez les déclencheurs connus"],
-      note: "Ceci est une information générée par l'IA. Consultez un professionnel de la santé pour un diagnostic approprié.",
-      immediateCare: "NÉCESSITE DES SOINS MÉDICAUX IMMÉDIATS"
-    },
-    ar: {
-      conditions: ["يوصى باستشارة طبية"],
-      severity: "متوسطة",
-      recommendations: ["راقب الأعراض عن كثب", "استرح وابق رطبًا", "استشر مقدم الرعاية الصحية إذا ساءت الأعراض"],
-      whenToSeeDoctor: "خلال 24-48 ساعة إذا استمرت الأعراض",
-      selfCareTips: ["اشرب الكثير من السوائل", "احصل على قسط كافٍ من الراحة", "تجنب المحفزات المعروفة"],
-      note: "هذه معلومات تم إنشاؤها بواسطة الذكاء الاصطناعي. استشر أخصائي رعاية صحية للتشخيص المناسب.",
-      immediateCare: "يتطلب رعاية طبية فورية"
-    },
-    hi: {
-      conditions: ["चिकित्सकीय परामर्श की सिफारिश की गई"],
-      severity: "मध्यम",
-      recommendations: ["लक्षणों की बारीकी से निगरानी करें", "आराम करें और हाइड्रेटेड रहें", "यदि लक्षण बिगड़ते हैं तो स्वास्थ्य सेवा प्रदाता से परामर्श करें"],
-      whenToSeeDoctor: "24-48 घंटों के भीतर यदि लक्षण बने रहते हैं",
-      selfCareTips: ["भरपूर मात्रा में तरल पदार्थ पिएं", "पर्याप्त आराम करें", "यदि ज्ञात हो तो ट्रिगर्स से बचें"],
-      note: "यह एआई-जनित जानकारी है। उचित निदान के लिए किसी स्वास्थ्य देखभाल पेशेवर से परामर्श करें।",
-      immediateCare: "तत्काल चिकित्सा ध्यान देने की आवश्यकता है"
-    }
-  };
-
-  const langResponse = responses[language] || responses.en;
+  const fallback = t(language, 'fallback');
 
   // Adjust based on symptoms
-  let conditions = langResponse.conditions;
-  let severity = langResponse.severity;
+  let conditions = fallback.conditions;
+  let severity = 'MEDIUM';
   let requiresImmediateCare = false;
 
   if (symptomText.includes('headache') && symptomText.includes('vision')) {
-    if (language === 'es') conditions = ["Migraña", "Dolor de cabeza tensional", "Migraña ocular"];
-    else if (language === 'fr') conditions = ["Migraine", "Céphalée de tension", "Migraine oculaire"];
-    else if (language === 'ar') conditions = ["صداع نصفي", "صداع التوتر", "صداع نصفي بصري"];
-    else if (language === 'hi') conditions = ["माइग्रेन", "टेंशन सिरदर्द", "नेत्र माइग्रेन"];
-    else conditions = ["Migraine", "Tension headache", "Ocular migraine"];
-    severity = language === 'es' ? "Media" : language === 'fr' ? "Moyenne" : language === 'ar' ? "متوسطة" : language === 'hi' ? "मध्यम" : "Medium";
+    conditions = fallback.patterns.headacheVision;
+    severity = 'MEDIUM';
   } else if (symptomText.includes('chest') && symptomText.includes('pain')) {
-    if (language === 'es') conditions = ["Evaluación cardíaca necesaria", "Dolor musculoesquelético", "ERGE"];
-    else if (language === 'fr') conditions = ["Évaluation cardiaque nécessaire", "Douleur musculosquelettique", "RGO"];
-    else if (language === 'ar') conditions = ["تقييم قلبي مطلوب", "ألم عضلي هيكلي", "ارتداد معدي مريئي"];
-    else if (language === 'hi') conditions = ["हृदय मूल्यांकन आवश्यक", "मस्कुलोस्केलेटल दर्द", "जीईआरडी"];
-    else conditions = ["Cardiac evaluation needed", "Musculoskeletal pain", "GERD"];
-    severity = language === 'es' ? "Alta" : language === 'fr' ? "Élevée" : language === 'ar' ? "عالية" : language === 'hi' ? "उच्च" : "High";
+    conditions = fallback.patterns.chestPain;
+    severity = 'HIGH';
     requiresImmediateCare = symptomText.includes('severe') || symptomText.includes('radiating');
   } else if (symptomText.includes('fever') && symptomText.includes('cough')) {
-    if (language === 'es') conditions = ["Infección viral", "Gripe", "Resfriado común"];
-    else if (language === 'fr') conditions = ["Infection virale", "Grippe", "Rhume"];
-    else if (language === 'ar') conditions = ["عدوى فيروسية", "إنفلونزا", "نزلة برد"];
-    else if (language === 'hi') conditions = ["वायरल संक्रमण", "इन्फ्लुएंजा", "सामान्य सर्दी"];
-    else conditions = ["Viral infection", "Influenza", "Common cold"];
-    severity = language === 'es' ? "Baja" : language === 'fr' ? "Faible" : language === 'ar' ? "منخفضة" : language === 'hi' ? "कम" : "Low";
+    conditions = fallback.patterns.feverCough;
+    severity = 'LOW';
   }
 
-  return {
+  return localizeSeverity({
     possibleConditions: conditions,
     severity: severity,
-    recommendations: langResponse.recommendations,
+    recommendations: fallback.recommendations,
     requiresImmediateCare: requiresImmediateCare,
-    whenToSeeDoctor: langResponse.whenToSeeDoctor,
-    selfCareTips: langResponse.selfCareTips,
-    note: langResponse.note
-  };
+    whenToSeeDoctor: fallback.whenToSeeDoctor,
+    selfCareTips: fallback.selfCareTips,
+    note: fallback.note
+  }, language);
 }
 
 function extractAnalysisFromText(text, symptoms, language = 'en') {
-  console.log(`🛠️ Extracting analysis from text response in ${language}`);
-
-  const defaultResponses = {
-    en: {
-      conditions: ["Consult healthcare provider"],
-      recommendations: ["Rest", "Monitor symptoms", "Seek medical advice"],
-      whenToSeeDoctor: "If symptoms persist or worsen",
-      selfCareTips: ["Stay hydrated", "Get adequate rest"]
-    },
-    es: {
-      conditions: ["Consulte a un proveedor de atención médica"],
-      recommendations: ["Descansar", "Controlar los síntomas", "Buscar asesoramiento médico"],
-      whenToSeeDoctor: "Si los síntomas persisten o empeoran",
-      selfCareTips: ["Mantenerse hidratado", "Descansar adecuadamente"]
-    },
-    fr: {
-      conditions: ["Consultez un professionnel de santé"],
-      recommendations: ["Reposer", "Surveiller les symptômes", "Demander un avis médical"],
-      whenToSeeDoctor: "Si les symptômes persistent ou s'aggravent",
-      selfCareTips: ["Rester hydraté", "Se reposer suffisamment"]
-    }
-  };
+  log.info(`🛠️ Extracting analysis from text response in ${language}`);
 
-  const langDefault = defaultResponses[language] || defaultResponses.en;
+  const defaults = t(language, 'textExtraction');
 
   const analysis = {
-    possibleConditions: langDefault.conditions,
-    severity: language === 'es' ? "Media" : language === 'fr' ? "Moyenne" : "Medium",
-    recommendations: langDefault.recommendations,
+    possibleConditions: defaults.conditions,
+    severity: 'MEDIUM',
+    recommendations: defaults.recommendations,
     requiresImmediateCare: false,
-    whenToSeeDoctor: langDefault.whenToSeeDoctor,
-    selfCareTips: langDefault.selfCareTips
+    whenToSeeDoctor: defaults.whenToSeeDoctor,
+    selfCareTips: defaults.selfCareTips
   };
 
   // Try to extract severity
   if (text.match(/emergency|urgent|immediate/i)) {
-    analysis.severity = language === 'es' ? "Emergencia" : language === 'fr' ? "Urgence" : "Emergency";
+    analysis.severity = 'EMERGENCY';
     analysis.requiresImmediateCare = true;
   } else if (text.match(/high|severe|serious/i)) {
-    analysis.severity = language === 'es' ? "Alta" : language === 'fr' ? "Élevée" : "High";
+    analysis.severity = 'HIGH';
   } else if (text.match(/low|mild|minor/i)) {
-    analysis.severity = language === 'es' ? "Baja" : language === 'fr' ? "Faible" : "Low";
+    analysis.severity = 'LOW';
+  }
+
+  return localizeSeverity(analysis, language);
+}
+
+// Structured image reply (generateStructured) -> normalized analysis with
+// visual findings and red flags
+function parseImageAnalysis(result, symptoms, triage, language) {
+  const raw = result.data;
+  if (!raw) {
+    log.info('⚠️ Image analysis returned no valid JSON, extracting from text');
+  }
+
+  const analysis = validateAndNormalizeAnalysis(
+    raw || extractAnalysisFromText(result.text, symptoms, language),
+    symptoms,
+    language
+  );
+  const findings = raw ? raw.visualFindings : { description: result.text };
+  return applyRedFlags(applyVisualFindings(analysis, findings, language), triage, language);
+}
+
+// History is kept under the signed-in user's id; anonymous requests get null
+// and nothing about them is stored
+function historySessionId(req) {
+  return req.user ? req.user.id : null;
+}
+
+// Prompt A/B tests keep a signed-in user in one group; anonymous requests
+// get a random group. req.id is not used, since a client can pick it
+// through X-Request-Id and with it the variant.
+function promptAssignment(req) {
+  return req.user ? req.user.id : null;
+}
+
+// The stored profile for a drug check, with the scheduled medicines added
+// to its medications
+function drugCheckProfile(user) {
+  if (!user) return null;
+  const profile = user.profile || {};
+  const known = new Set((profile.medications || []).map(name => name.toLowerCase()));
+  const scheduled = medicationNames(user.medications).filter(name => !known.has(name.toLowerCase()));
+  return { ...profile, medications: [...(profile.medications || []), ...scheduled] };
+}
+
+// A schedule change checks the whole schedule (added by drugCheckProfile)
+// with the conditions and allergies typed in the Drug Checker, if any
+function scheduleCheckRequest(body) {
+  return { medicines: [], conditions: body.conditions, allergies: body.allergies };
+}
+
+function sendMedicationError(res, language, fields) {
+  res.status(400).json({
+    success: false,
+    code: 'INVALID_MEDICATION',
+    fields,
+    error: t(language, 'errors.invalidMedication', { fields: fields.join(', ') })
+  });
+}
+
+// Symptom analysis for /api/analyze and batch jobs: red flags first, then the
+// model, or the rule-based fallback without one. Returns { analysis, model,
+// provider, parseStatus, promptTemplate, note }; recording history is up to
+// the caller. `assignment` is the A/B test key (see promptAssignment).
+async function analyzeCase({ symptoms, age, gender, duration, profile = {}, language, assignment }) {
+  // Rule-based red flags run before the model so they apply on every path
+  const triage = evaluateRedFlags({ symptoms, age, duration, pregnant: profile.pregnant, language });
+  if (triage.flags.length > 0) {
+    log.info(`🚩 Red flags: ${triage.flags.map(f => f.id).join(', ')}`);
+  }
+
+  const fallback = note => ({
+    analysis: applyRedFlags(getFallbackResponse(symptoms, age, gender, duration, language), triage, language),
+    model: 'Fallback',
+    note: t(language, note)
+  });
+
+  // If no provider, use fallback
+  if (!llm) {
+    log.info('⚠️ No LLM provider - using fallback response');
+    return fallback('notes.noProvider');
+  }
+
+  try {
+    // Language-specific prompt from the locale catalog
+    const { prompt, template } = buildAnalyzePrompt({ symptoms, age, gender, duration, profile, language, assignment });
+
+    log.info(`📤 Calling ${llm.name} in ${language}...`);
+    // JSON mode with the analysis schema, plus one repair attempt (lib/structuredOutput)
+    const result = await generateStructured(llm, {
+      type: 'analysis',
+      task: 'analyze',
+      model: GEMINI_MODELS.FLASH,
+      prompt,
+      generationConfig: {
+        temperature: 0.1,
+        maxOutputTokens: 1200,
+      }
+    });
+    log.info(`📥 Analysis reply ${result.parseStatus}`);
+
+    // Unusable even after the repair: guess what we can from the text
+    let analysis = result.data || extractAnalysisFromText(result.text, symptoms, language);
+
+    // Validate and normalize the analysis, then enforce the red flags
+    analysis = validateAndNormalizeAnalysis(analysis, symptoms, language);
+    analysis = applyRedFlags(analysis, triage, language);
+
+    return {
+      analysis,
+      model: result.model,
+      provider: llm.name,
+      parseStatus: result.parseStatus,
+      promptTemplate: template,
+      note: t(language, 'notes.analysisBy', { model: result.model })
+    };
+  } catch (geminiError) {
+    log.error('❌ Gemini API error:', logMessage(geminiError.message));
+    return fallback('notes.providerError');
+  }
+}
+
+// Runs a drug check for POST /api/drugs and for schedule changes. request:
+// { medicines, conditions, allergies }; profile and scheduled medicines join
+// it. Returns the response body; failures fall back to the knowledge base.
+async function checkDrugs(req, request, language) {
+  // Profile medicines join the check; profile conditions and allergies are
+  // checked against every medicine
+  const { values: profile, profileFieldsUsed } = mergeProfile(
+    drugCheckProfile(req.user),
+    { ...request, medications: request.medicines },
+    ['medications', 'conditions', 'allergies', 'age', 'pregnant', 'breastfeeding', 'weightKg']
+  );
+  const medicines = profile.medications;
+  const conditions = [...profile.conditions, ...(profile.pregnant ? ['pregnancy'] : [])].join(', ');
+  const allergies = profile.allergies.join(', ');
+
+  try {
+    // Answered from the bundled knowledge base when no model is configured
+    const offline = checkInteractionsOffline({ medicines, conditions, allergies, language });
+
+    if (!llm) {
+      const sessionId = historySessionId(req);
+      const analysis = localizeDrugAnalysis(offline, language);
+      await recordHistory(sessionId, { type: 'drugs', medicines, conditions, allergies, language, analysis, model: OFFLINE_DRUG_MODEL });
+
+      return {
+        success: true,
+        sessionId,
+        analysis,
+        profileFieldsUsed,
+        structured: true,
+        model: OFFLINE_DRUG_MODEL,
+        knowledgeBase: { version: KNOWLEDGE_BASE.version, missedByModel: 0 },
+        language: language
+      };
+    }
+
+    const { prompt, template: promptTemplate } = buildDrugPrompt({
+      medicines, conditions, allergies, profile, language, assignment: promptAssignment(req)
+    });
+    const result = await generateStructured(llm, {
+      type: 'drugs',
+      task: 'drugs',
+      model: GEMINI_MODELS.FLASH,
+      prompt,
+      generationConfig: { temperature: 0.1, maxOutputTokens: 2000 }
+    });
+
+    let analysis = normalizeDrugAnalysis(result.data);
+    let missed = [];
+    if (analysis) {
+      ({ analysis, missed } = crossCheckAnalysis(analysis, offline, language));
+      if (missed.length) {
+        log.info(`📚 Knowledge base flagged ${missed.length} interaction(s) the model missed`);
+      }
+    } else {
+      log.info('⚠️ Drug check returned no valid JSON, using offline knowledge base');
+      analysis = { ...offline, summary: [offline.summary, result.text].filter(Boolean).join('\n\n') };
+    }
+    analysis = localizeDrugAnalysis(analysis, language);
+
+    const sessionId = historySessionId(req);
+    await recordHistory(sessionId, {
+      type: 'drugs', medicines, conditions, allergies, language, analysis, model: result.model, parseStatus: result.parseStatus, promptTemplate
+    });
+
+    return {
+      success: true,
+      sessionId,
+      analysis,
+      profileFieldsUsed,
+      structured: true,
+      model: result.model,
+      parseStatus: result.parseStatus,
+      promptTemplate,
+      knowledgeBase: { version: KNOWLEDGE_BASE.version, missedByModel: missed.length },
+      language: language
+    };
+
+  } catch (error) {
+    log.error('Drug interaction error:', logMessage(error.message));
+    const analysis = localizeDrugAnalysis(checkInteractionsOffline({ medicines, conditions, allergies, language }), language);
+    const sessionId = historySessionId(req);
+    await recordHistory(sessionId, { type: 'drugs', medicines, conditions, allergies, language, analysis, model: OFFLINE_DRUG_MODEL });
+
+    return {
+      success: true,
+      sessionId,
+      analysis,
+      profileFieldsUsed,
+      structured: true,
+      fallback: true,
+      model: OFFLINE_DRUG_MODEL,
+      knowledgeBase: { version: KNOWLEDGE_BASE.version, missedByModel: 0 },
+      language: language
+    };
+  }
+}
+
+// Every answer passes through here, stored or not, so this is also where
+// results are counted for /metrics (model vs fallback, severity)
+async function recordHistory(sessionId, entry) {
+  const analysis = entry.analysis || {};
+  observeResult({
+    type: entry.type,
+    fallback: entry.model === 'Fallback' || entry.model === OFFLINE_DRUG_MODEL,
+    severity: entry.type === 'drugs' ? analysis.overallRisk : severityCode(analysis.severity)
+  });
+
+  if (!sessionId) return null;
+  try {
+    return await historyStore.append(sessionId, {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      ...entry
+    });
+  } catch (error) {
+    // A storage failure must not cost the user their analysis
+    log.error('❌ History write error:', error.message);
+    return null;
   }
+}
+
+// Absolute link for a share token, as the recipient will open it
+function shareUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/s/${encodeURIComponent(token)}`;
+}
+
+// Shared pages must not be cached, indexed or leak the token as a referrer
+function setShareHeaders(res) {
+  res.set({
+    'Cache-Control': 'no-store',
+    'Referrer-Policy': 'no-referrer',
+    'X-Robots-Tag': 'noindex, nofollow'
+  });
+}
+
+async function getReportEntries(sessionId, entryId) {
+  if (!entryId) return historyStore.all(sessionId);
+
+  const entry = await historyStore.get(sessionId, entryId);
+  return entry ? [entry] : null;
+}
 
-  return analysis;
+function sendReport(res, options) {
+  try {
+    const doc = createReport(options);
+    const filename = `healthvision-report-${new Date().toISOString().slice(0, 10)}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    doc.pipe(res);
+    doc.end();
+    log.info(`📄 PDF report generated (${options.entries.length} entries, ${options.language})`);
+  } catch (error) {
+    log.error('❌ PDF report error:', error);
+    res.status(500).json({ success: false, error: 'Report generation failed: ' + error.message });
+  }
 }
 
 function validateAndNormalizeAnalysis(analysis, symptoms, language = 'en') {
@@ -691,40 +1666,54 @@ function validateAndNormalizeAnalysis(analysis, symptoms, language = 'en') {
     result.selfCareTips = defaultAnalysis.selfCareTips;
   }
 
-  // Validate severity
-  const severityMap = {
-    en: ["Low", "Medium", "High", "Emergency"],
-    es: ["Baja", "Media", "Alta", "Emergencia"],
-    fr: ["Faible", "Moyenne", "Élevée", "Urgence"],
-    ar: ["منخفضة", "متوسطة", "عالية", "طارئة"],
-    hi: ["कम", "मध्यम", "उच्च", "आपातकालीन"]
-  };
-
-  const validSeverities = severityMap[language] || severityMap.en;
-  if (!validSeverities.includes(result.severity)) {
-    result.severity = validSeverities[1]; // Default to "Medium"
-  }
-
-  return result;
+  // Severity code (the model may answer with a code or a label in any language),
+  // defaulting to MEDIUM, plus the label in the requested language
+  return localizeSeverity(result, language);
 }
 
 // ==================== START SERVER ====================
 
 app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 HealthVision AI Assistant running on port ${PORT}`);
-  console.log(`🤖 Primary model: ${GEMINI_MODELS.FLASH}`);
-  console.log(`🔑 Gemini API: ${GEMINI_API_KEY ? '✅ Configured' : '❌ Missing (add to .env)'}`);
-  console.log(`🗣️  Supported languages: en, es, fr, ar, hi`);
-  console.log(`📸 Vision model: ${GEMINI_MODELS.VISION}`);
-  console.log(`🏆 Hackathon: Gemini 3 Ready`);
-  console.log(`\n📋 Available endpoints:`);
-  console.log(`   Web Interface: http://localhost:${PORT}/`);
-  console.log(`   GET  /api/health         - Health check`);
-  console.log(`   POST /api/analyze        - Analyze symptoms (with language support)`);
-  console.log(`   POST /api/voice          - Text to speech (with language support)`);
-  console.log(`   POST /api/analyze-image  - Image analysis (with language support)`);
-  console.log(`   POST /api/drugs          - Drug interactions (with language support)`);
-  console.log(`   GET  /api/history/:id    - Get history`);
-  console.log(`   GET  /api/test-voice     - Test voice (with language parameter)`);
-  console.log(`\n🌐 External URL: Check Replit webview`);
+  const disabled = Object.keys(FEATURES).filter(feature => !config.features[feature]);
+  log.info(`🚀 ${config.app.name} v${config.app.version} running on port ${PORT}`);
+  log.info(`⚙️  Config: environment${config.source ? ` + ${config.source}` : ''}`);
+  log.info(`🎛️  Features: ${enabledFeatures(config).join(', ')}${disabled.length ? ` (disabled: ${disabled.join(', ')})` : ''}`);
+  log.info(`🤖 Primary model: ${GEMINI_MODELS.FLASH}`);
+  log.info(`🔑 Gemini API: ${GEMINI_API_KEY ? '✅ Configured' : '❌ Missing (add to .env)'}`);
+  log.info(`🧠 LLM provider: ${llm ? llm.name : 'none (local fallbacks only)'}`);
+  const prompts = Object.entries(getPromptRegistry().describe()).map(([id, { version, candidate, candidatePercent }]) =>
+    `${id} v${version}${candidate ? ` (A/B: v${candidate} for ${candidatePercent}%)` : ''}`);
+  log.info(`🧾 Prompt templates: ${prompts.join(', ')}`);
+  log.info(`🗣️  Supported languages: ${LANGUAGES.join(', ')}`);
+  log.info(`📸 Vision model: ${GEMINI_MODELS.VISION}`);
+  log.info(`↪️ Fallback model: ${GEMINI_MODELS.FALLBACK}`);
+  log.info(`🗄️  History store: ${historyStore.constructor.name} (max ${historyStore.maxEntries} entries/session)`);
+  log.info(`👤 Accounts: ${authStore.file ? 'file' : 'memory'} store; anonymous requests are not stored`);
+  log.info(`🛡️ Log privacy: ${logPrivacy()} (identifiers are masked in every prompt)`);
+  log.info(`📝 Log format: ${config.logging.format}, request IDs in the X-Request-Id header`);
+  log.info(`🏆 Hackathon: Gemini 3 Ready`);
+  log.info(`\n📋 Available endpoints:`);
+  log.info(`   Web Interface: http://localhost:${PORT}/`);
+  log.info(`   GET  /api/health         - Health check`);
+  log.info(`   POST /api/auth/*         - Register, login, logout (GET /api/auth/me)`);
+  log.info(`   GET  /api/profile        - Health profile (PUT to update)`);
+  log.info(`   POST /api/analyze        - Analyze symptoms (with language support)`);
+  log.info(`   POST /api/analyze/stream - Streaming analysis (Server-Sent Events)`);
+  log.info(`   POST /api/analyze/batch  - Batch analysis job (JSON or CSV), progress and results at /api/jobs/:id`);
+  log.info(`   POST /api/chat/:id       - Follow-up questions, versioned analysis`);
+  log.info(`   POST /api/voice          - Text to speech (with language support)`);
+  log.info(`   POST /api/transcribe     - Voice input: recorded audio to text`);
+  log.info(`   POST /api/analyze-image  - Image analysis (with language support)`);
+  log.info(`   POST /api/drugs          - Drug interactions (with language support)`);
+  log.info(`   POST /api/medications/:id - Medication schedule (re-checks interactions), calendar.ics reminders`);
+  log.info(`   GET  /api/history/:id    - Get history (paginated)`);
+  log.info(`   GET  /api/history/:id/trends - Recurring and worsening symptoms`);
+  log.info(`   GET  /api/history/:id/fhir - FHIR R4 export (POST /api/profile/fhir to import)`);
+  log.info(`   DELETE /api/history/:id  - Delete session history or a single entry`);
+  log.info(`   POST /api/report         - PDF report (analysis or session)`);
+  log.info(`   GET  /api/report/:id     - PDF report for session history`);
+  log.info(`   POST /api/share          - Expiring read-only link to one history entry (/s/:token)`);
+  log.info(`   GET  /api/test-voice     - Test voice (with language parameter)`);
+  log.info(`   GET  /metrics            - Prometheus metrics`);
+  log.info(`\n🌐 External URL: Check Replit webview`);
 });
@@ -0,0 +1,74 @@
+const multer = require('multer');
+const { t } = require('./i18n');
+const { getConfig } = require('./config');
+
+// Upload handling for /api/transcribe, the same way lib/imageUpload does it
+// for images: one recording in memory, its type checked by magic bytes (not
+// the client-declared MIME type), localized errors with a stable `code`.
+
+const MAX_AUDIO_BYTES = getConfig().audio.maxMb * 1024 * 1024;
+
+// Localized message for an error code (errors.audio.<code> in the locale catalog)
+function audioErrorMessage(code, language = 'en') {
+  return t(language, `errors.audio.${code}`, { maxMb: MAX_AUDIO_BYTES / 1024 / 1024 });
+}
+
+// Real file type from the first bytes of the file, or null. Accepts what
+// browsers' MediaRecorder produces (webm, ogg) plus plain wav.
+function detectAudioType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.toString('ascii', 0, 4) === 'OggS') return 'audio/ogg';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'audio/wav';
+  // EBML header; the DocType near the start tells WebM from other Matroska files
+  if (buffer.subarray(0, 4).equals(Buffer.from([0x1A, 0x45, 0xDF, 0xA3])) && buffer.subarray(0, 64).includes('webm')) {
+    return 'audio/webm';
+  }
+  return null;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AUDIO_BYTES, files: 1 }
+});
+
+const receiveAudio = upload.single('audio');
+
+function requestLanguage(req) {
+  return (req.body && req.body.language) || req.query.language || 'en';
+}
+
+function sendAudioError(res, code, status, language) {
+  res.status(status).json({ success: false, code, error: audioErrorMessage(code, language) });
+}
+
+/**
+ * Express middleware: receives and validates the `audio` upload into
+ * `req.audio` ({ name, mimeType, data, bytes }).
+ */
+function audioUpload(req, res, next) {
+  receiveAudio(req, res, (err) => {
+    const language = requestLanguage(req);
+
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') return sendAudioError(res, 'AUDIO_TOO_LARGE', 413, language);
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return sendAudioError(res, 'AUDIO_REQUIRED', 400, language);
+      }
+      return next(err);
+    }
+
+    if (!req.file || !req.file.size) return sendAudioError(res, 'AUDIO_REQUIRED', 400, language);
+    const mimeType = detectAudioType(req.file.buffer);
+    if (!mimeType) return sendAudioError(res, 'UNSUPPORTED_AUDIO_TYPE', 415, language);
+
+    req.audio = { name: req.file.originalname, mimeType, data: req.file.buffer, bytes: req.file.size };
+    next();
+  });
+}
+
+module.exports = {
+  MAX_AUDIO_BYTES,
+  audioErrorMessage,
+  detectAudioType,
+  audioUpload
+};
@@ -0,0 +1,174 @@
+const { getConfig } = require('../config');
+const AuthStore = require('./store');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { t, resolveLanguage } = require('../i18n');
+
+// Local accounts. A login returns an opaque token that is sent back either
+// as the HttpOnly `hv_session` cookie (browser) or as `Authorization:
+// Bearer <token>` (API clients). Requests without a valid token are
+// anonymous: they get analyses but nothing is stored for them.
+
+const COOKIE_NAME = 'hv_session';
+const TOKEN_TTL_MS = getConfig().auth.tokenTtlHours * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Verified against when the email is unknown, so both cases take as long
+const DUMMY_HASH = hashPassword('not-a-real-password');
+
+class AuthError extends Error {
+  constructor(code, status = 400) {
+    super(authErrorMessage(code));
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Localized message for an error code (errors.auth.<code> in the locale catalog)
+function authErrorMessage(code, language = 'en') {
+  return t(language, `errors.auth.${code}`, { minLength: MIN_PASSWORD_LENGTH });
+}
+
+function createAuthStore(options = {}) {
+  const settings = getConfig().auth;
+  const type = options.type || settings.store;
+
+  switch (type) {
+    case 'memory':
+      return new AuthStore();
+    case 'file':
+      return new AuthStore({
+        file: options.file || settings.file
+      });
+    default:
+      throw new Error(`Unknown AUTH_STORE "${type}" (expected file or memory)`);
+  }
+}
+
+// What the API returns for a user; never the credentials
+function publicUser(user) {
+  return user && { id: user.id, email: user.email, displayName: user.displayName, createdAt: user.createdAt };
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+async function register(store, { email, password, displayName }) {
+  email = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(email)) throw new AuthError('INVALID_EMAIL', 400);
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError('WEAK_PASSWORD', 400);
+  }
+  // Checked up front to skip the hashing work; createUser re-checks, since
+  // another sign-up for the same email may finish while we hash
+  if (await store.findUserByEmail(email)) throw new AuthError('EMAIL_TAKEN', 409);
+
+  const hash = await hashPassword(password);
+  const user = await store.createUser({
+    email,
+    displayName: typeof displayName === 'string' ? displayName.trim().slice(0, 100) : '',
+    credentials: [{ type: 'password', hash, createdAt: new Date().toISOString() }]
+  });
+  if (!user) throw new AuthError('EMAIL_TAKEN', 409);
+  return { user, token: await store.createToken(user.id, TOKEN_TTL_MS) };
+}
+
+async function login(store, { email, password }) {
+  const user = await store.findUserByEmail(normalizeEmail(email));
+  const credential = user && user.credentials.find(c => c.type === 'password');
+  const valid = await verifyPassword(String(password || ''), credential ? credential.hash : await DUMMY_HASH);
+
+  if (!credential || !valid) throw new AuthError('INVALID_CREDENTIALS', 401);
+  return { user, token: await store.createToken(user.id, TOKEN_TTL_MS) };
+}
+
+// Only the session cookie is decoded; a malformed value from the client
+// (e.g. a stray `%`) makes the request anonymous instead of throwing
+function sessionCookie(header) {
+  for (const part of String(header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1 || part.slice(0, separator).trim() !== COOKIE_NAME) continue;
+    try {
+      return decodeURIComponent(part.slice(separator + 1).trim()) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+function tokenFromRequest(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return sessionCookie(req.get('cookie'));
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    maxAge: TOKEN_TTL_MS
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(COOKIE_NAME, { path: '/' });
+}
+
+/**
+ * Express middleware: sets req.user (or null for anonymous requests) and
+ * req.authToken. An invalid or expired token is treated as anonymous.
+ */
+function authenticate(store) {
+  return async (req, res, next) => {
+    req.user = null;
+    req.authToken = tokenFromRequest(req);
+    if (!req.authToken) return next();
+
+    try {
+      const record = await store.findToken(req.authToken);
+      req.user = record ? await store.findUserById(record.userId) : null;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+function sendAuthError(req, res, code, status) {
+  const language = resolveLanguage((req.body && req.body.language) || req.query.language);
+  res.status(status).json({ success: false, code, error: authErrorMessage(code, language) });
+}
+
+function requireUser(req, res, next) {
+  if (!req.user) return sendAuthError(req, res, 'SIGN_IN_REQUIRED', 401);
+  next();
+}
+
+// History is stored under the owner's user id; any other id is reported as
+// missing so session ids can't be probed
+function requireSessionOwner(req, res, next) {
+  if (!req.user) return sendAuthError(req, res, 'SIGN_IN_REQUIRED', 401);
+  if (req.params.sessionId !== req.user.id) return sendAuthError(req, res, 'NOT_FOUND', 404);
+  next();
+}
+
+module.exports = {
+  COOKIE_NAME,
+  AuthError,
+  authErrorMessage,
+  createAuthStore,
+  publicUser,
+  register,
+  login,
+  authenticate,
+  requireUser,
+  requireSessionOwner,
+  sendAuthError,
+  setSessionCookie,
+  clearSessionCookie
+};
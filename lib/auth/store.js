@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Accounts and login tokens. Kept in memory and, when `file` is set, written
+// to one JSON file (temp file + rename, one write at a time). Tokens are
+// stored only as SHA-256 hashes, so the file never holds a usable token.
+class AuthStore {
+  constructor({ file } = {}) {
+    this.file = file || null;
+    this.users = new Map();
+    this.tokens = new Map();
+    this.writes = Promise.resolve();
+    if (this.file) this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    if (!fs.existsSync(this.file)) return;
+
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    (data.users || []).forEach(user => this.users.set(user.id, user));
+    (data.tokens || []).forEach(token => this.tokens.set(token.hash, token));
+  }
+
+  save() {
+    if (!this.file) return Promise.resolve();
+
+    const snapshot = JSON.stringify({ users: [...this.users.values()], tokens: [...this.tokens.values()] });
+    this.writes = this.writes.catch(() => {}).then(async () => {
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot, { mode: 0o600 });
+      await fs.promises.rename(tmp, this.file);
+    });
+    return this.writes;
+  }
+
+  /**
+   * `credentials` is a list of { type, ... } entries. Only 'password' exists
+   * today; passkeys can be added as another type without changing users.
+   * Returns null when the email is already registered; the check and the
+   * insert run without an await in between, so concurrent sign-ups can't
+   * both get through.
+   */
+  async createUser({ email, displayName, credentials }) {
+    if (this.findUserByEmailSync(email)) return null;
+
+    const user = {
+      id: uuidv4(),
+      email,
+      displayName: displayName || '',
+      credentials,
+      createdAt: new Date().toISOString()
+    };
+    this.users.set(user.id, user);
+    await this.save();
+    return user;
+  }
+
+  async findUserById(id) {
+    return this.users.get(id) || null;
+  }
+
+  async updateUser(id, changes) {
+    const user = this.users.get(id);
+    if (!user) return null;
+    Object.assign(user, changes);
+    await this.save();
+    return user;
+  }
+
+  async findUserByEmail(email) {
+    return this.findUserByEmailSync(email);
+  }
+
+  findUserByEmailSync(email) {
+    return [...this.users.values()].find(user => user.email === email) || null;
+  }
+
+  // Returns the raw token; only its hash is kept
+  async createToken(userId, ttlMs) {
+    this.pruneTokens();
+    const token = crypto.randomBytes(32).toString('base64url');
+    this.tokens.set(hashToken(token), {
+      hash: hashToken(token),
+      userId,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ttlMs).toISOString()
+    });
+    await this.save();
+    return token;
+  }
+
+  async findToken(token) {
+    const record = this.tokens.get(hashToken(token));
+    if (!record) return null;
+    if (Date.parse(record.expiresAt) <= Date.now()) {
+      this.tokens.delete(record.hash);
+      await this.save();
+      return null;
+    }
+    return record;
+  }
+
+  async revokeToken(token) {
+    const deleted = this.tokens.delete(hashToken(token));
+    if (deleted) await this.save();
+    return deleted;
+  }
+
+  pruneTokens() {
+    const now = Date.now();
+    for (const [hash, record] of this.tokens) {
+      if (Date.parse(record.expiresAt) <= now) this.tokens.delete(hash);
+    }
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = AuthStore;
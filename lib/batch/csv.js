@@ -0,0 +1,65 @@
+// Minimal RFC 4180 CSV for batch jobs: quoted fields (with "" escapes and
+// line breaks), comma separators, CRLF or LF rows.
+
+/**
+ * Parses CSV text into rows of strings. Throws on an unterminated quote.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no case
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` is the header row; each row is an array in the same order
+function formatCsv(columns, rows) {
+  return [columns, ...rows].map(cells => cells.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, formatCsv };
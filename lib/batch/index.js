@@ -0,0 +1,176 @@
+const { getConfig } = require('../config');
+const JobQueue = require('./queue');
+const { parseCsv, formatCsv } = require('./csv');
+const { t, resolveLanguage } = require('../i18n');
+const { severityLevel } = require('../severity');
+
+// Batch analysis for intake queues (/api/analyze/batch): a JSON array or CSV
+// of cases becomes a job that runs in the background (see ./queue). Results
+// come back sorted by severity, Emergency first, as JSON or CSV.
+
+const TEXT_LIMITS = { symptoms: 2000, gender: 30, duration: 100, reference: 100 };
+const AGE_RANGE = { min: 0, max: 130 };
+
+const RESULT_COLUMNS = [
+  'case', 'reference', 'status', 'severity', 'requiresImmediateCare', 'possibleConditions',
+  'recommendations', 'whenToSeeDoctor', 'symptoms', 'age', 'gender', 'duration', 'language', 'model', 'promptTemplate', 'error'
+];
+
+class BatchError extends Error {
+  constructor(code, status = 400) {
+    super(batchErrorMessage(code));
+    this.name = 'BatchError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Localized message for an error code (errors.batch.<code> in the locale catalog)
+function batchErrorMessage(code, language = 'en') {
+  return t(language, `errors.batch.${code}`, { maxCases: getConfig().batch.maxCases });
+}
+
+function sendBatchError(req, res, code, status, details = {}) {
+  const language = resolveLanguage((req.body && req.body.language) || req.query.language);
+  res.status(status).json({ success: false, code, error: batchErrorMessage(code, language), ...details });
+}
+
+function createJobQueue(processCase) {
+  const { concurrency, retentionHours } = getConfig().batch;
+  return new JobQueue({ processCase, concurrency, retentionMs: retentionHours * 60 * 60 * 1000 });
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// CSV with a header row naming the columns (any order, case-insensitive;
+// `reference`/`id` is optional and echoed back in the results)
+function casesFromCsv(text) {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    throw new BatchError('INVALID_BATCH', 400);
+  }
+  if (rows.length < 2) throw new BatchError('INVALID_BATCH', 400);
+
+  const header = rows[0].map(name => name.trim().toLowerCase());
+  if (!header.includes('symptoms')) throw new BatchError('INVALID_BATCH', 400);
+
+  return rows.slice(1).map(cells => Object.fromEntries(
+    header.map((name, i) => [name === 'id' ? 'reference' : name, cells[i] === undefined ? '' : cells[i]])
+  ));
+}
+
+/**
+ * The raw cases of a request: a CSV string (text/csv body), an array of
+ * case objects, or { cases: [...] } / { csv: "..." }.
+ */
+function readCases(body) {
+  if (typeof body === 'string') return casesFromCsv(body);
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.cases)) return body.cases;
+  if (body && typeof body.csv === 'string') return casesFromCsv(body.csv);
+  throw new BatchError('INVALID_BATCH', 400);
+}
+
+/**
+ * Validates the cases of a batch. Returns { cases, invalidCases } where each
+ * case is numbered from 1 and invalidCases lists { case, fields }.
+ */
+function normalizeCases(rawCases, defaultLanguage = 'en') {
+  const { maxCases } = getConfig().batch;
+  if (!rawCases.length) throw new BatchError('INVALID_BATCH', 400);
+  if (rawCases.length > maxCases) throw new BatchError('TOO_MANY_CASES', 413);
+
+  const cases = [];
+  const invalidCases = [];
+
+  rawCases.forEach((raw, i) => {
+    const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    const errors = [];
+    const item = { index: i + 1, reference: '', symptoms: '', age: null, gender: '', duration: '', language: resolveLanguage(defaultLanguage) };
+
+    Object.entries(TEXT_LIMITS).forEach(([field, limit]) => {
+      if (isBlank(source[field])) return;
+      const value = String(source[field]).trim();
+      if (typeof source[field] === 'object' || value.length > limit) errors.push(field);
+      else item[field] = value;
+    });
+    if (item.symptoms.length < 3 && !errors.includes('symptoms')) errors.push('symptoms');
+
+    if (!isBlank(source.age)) {
+      const age = Number(source.age);
+      if (!Number.isFinite(age) || age < AGE_RANGE.min || age > AGE_RANGE.max) errors.push('age');
+      else item.age = age;
+    }
+
+    if (!isBlank(source.language)) item.language = resolveLanguage(String(source.language).trim().toLowerCase());
+
+    if (errors.length) invalidCases.push({ case: item.index, fields: errors });
+    cases.push(item);
+  });
+
+  return { cases, invalidCases };
+}
+
+// Most severe first; failed cases last; then in submission order
+function sortResults(results) {
+  const rank = result => (result.status === 'failed' ? -2 : severityLevel(result.analysis && result.analysis.severity));
+  return [...results].sort((a, b) => rank(b) - rank(a) || a.index - b.index);
+}
+
+// Job status and progress, without the cases and results
+function publicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    language: job.language,
+    total: job.total,
+    completed: job.completed,
+    failed: job.failed,
+    progress: job.total ? Math.round((job.completed / job.total) * 100) : 100,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+// With a byte order mark, so spreadsheet apps read Arabic and Hindi text as UTF-8
+function resultsCsv(results) {
+  return '\uFEFF' + formatCsv(RESULT_COLUMNS, sortResults(results).map(result => {
+    const analysis = result.analysis || {};
+    const template = result.promptTemplate;
+    return [
+      result.index,
+      result.reference,
+      result.status,
+      analysis.severity,
+      analysis.requiresImmediateCare === undefined ? '' : analysis.requiresImmediateCare,
+      analysis.possibleConditions,
+      analysis.recommendations,
+      analysis.whenToSeeDoctor,
+      result.symptoms,
+      result.age,
+      result.gender,
+      result.duration,
+      result.language,
+      result.model,
+      template && `${template.id} v${template.version}${template.variant ? ` (${template.variant})` : ''}`,
+      result.error
+    ];
+  }));
+}
+
+module.exports = {
+  BatchError,
+  batchErrorMessage,
+  sendBatchError,
+  createJobQueue,
+  readCases,
+  normalizeCases,
+  sortResults,
+  publicJob,
+  resultsCsv
+};
@@ -0,0 +1,100 @@
+const { v4: uuidv4 } = require('uuid');
+const { log } = require('../logger');
+const { logMessage } = require('../privacy');
+const { t } = require('../i18n');
+
+// Batch jobs, kept in memory. Jobs run one at a time in the order they were
+// submitted, each with `concurrency` cases in flight, so the model never
+// sees more than `concurrency` batch requests at once however many jobs are
+// queued. Finished jobs are dropped after `retentionMs`.
+
+class JobQueue {
+  /**
+   * `processCase(item, job)` analyzes one case and resolves to its result;
+   * a rejection marks that case failed and the job carries on.
+   */
+  constructor({ processCase, concurrency = 3, retentionMs = 24 * 60 * 60 * 1000 }) {
+    this.processCase = processCase;
+    this.concurrency = concurrency;
+    this.retentionMs = retentionMs;
+    this.jobs = new Map();
+    this.waiting = [];
+    this.running = false;
+  }
+
+  create({ ownerId = null, language, cases }) {
+    this.prune();
+    const job = {
+      id: uuidv4(),
+      ownerId,
+      language,
+      status: 'queued',
+      total: cases.length,
+      completed: 0,
+      failed: 0,
+      cases,
+      results: [],
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    this.waiting.push(job);
+    this.drain();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Jobs not finished yet, the running one included
+  pending() {
+    return [...this.jobs.values()].filter(job => job.status === 'queued' || job.status === 'running').length;
+  }
+
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      while (this.waiting.length) await this.run(this.waiting.shift());
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    log.info(`📦 Batch job ${job.id} started (${job.total} cases, ${this.concurrency} at a time)`);
+
+    let next = 0;
+    const worker = async () => {
+      while (next < job.cases.length) {
+        const item = job.cases[next++];
+        try {
+          job.results.push(await this.processCase(item, job));
+        } catch (error) {
+          log.error(`❌ Batch job ${job.id} case ${item.index} failed:`, logMessage(error.message));
+          job.results.push({ ...item, status: 'failed', error: t(item.language, 'errors.serverError') });
+          job.failed++;
+        }
+        job.completed++;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, job.cases.length) }, worker));
+
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+    log.info(`📦 Batch job ${job.id} completed (${job.failed} failed)`);
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) <= cutoff) this.jobs.delete(id);
+    }
+  }
+}
+
+module.exports = JobQueue;
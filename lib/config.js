@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+// Central configuration. Every setting has a type, a default and an
+// environment variable; an optional JSON file (CONFIG_FILE) can set the
+// same values by path, e.g. { "features": { "voice": false } }. The
+// environment wins over the file, which wins over the defaults. Invalid
+// values fail at startup with every problem listed, instead of being
+// silently replaced by a default.
+
+const ROOT = path.join(__dirname, '..');
+
+// Optional features, each guarding its routes and its tab in the frontend
+const FEATURES = {
+  voice: { env: 'ENABLE_VOICE' },
+  image: { env: 'ENABLE_IMAGE_UPLOAD' },
+  drugs: { env: 'ENABLE_DRUGS' },
+  chat: { env: 'ENABLE_CHAT' },
+  streaming: { env: 'ENABLE_STREAMING' },
+  trends: { env: 'ENABLE_TRENDS' },
+  fhir: { env: 'ENABLE_FHIR' },
+  pdf: { env: 'ENABLE_PDF' },
+  metrics: { env: 'ENABLE_METRICS' },
+  sharing: { env: 'ENABLE_SHARING' },
+  batch: { env: 'ENABLE_BATCH' }
+};
+
+// Prompt templates (lib/prompts/templates/<id>/v<version>.json), each
+// versioned and A/B tested on its own
+const PROMPT_TEMPLATES = ['analyze', 'image', 'drugs', 'chat', 'transcribe', 'voice'];
+
+// Always available
+const CORE_FEATURES = ['analyze', 'profile', 'history', 'multi-language'];
+
+const SETTINGS = [
+  { path: 'app.name', env: 'APP_NAME', type: 'string', default: 'HealthVision AI Assistant' },
+  { path: 'app.version', env: 'APP_VERSION', type: 'string', default: PACKAGE_VERSION },
+  { path: 'app.env', env: 'NODE_ENV', type: 'string', default: 'development' },
+  { path: 'server.port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+  ...Object.entries(FEATURES).map(([name, { env }]) => ({ path: `features.${name}`, env, type: 'boolean', default: true })),
+  { path: 'gemini.apiKey', env: 'GEMINI_API_KEY', type: 'string', secret: true, default: '' },
+  { path: 'llm.provider', env: 'LLM_PROVIDER', type: 'enum', values: ['gemini', 'mock'], default: '' },
+  { path: 'llm.timeoutMs', env: 'LLM_TIMEOUT_MS', type: 'integer', min: 1, default: 20000 },
+  { path: 'llm.retries', env: 'LLM_RETRIES', type: 'integer', min: 0, max: 10, default: 2 },
+  { path: 'llm.backoffMs', env: 'LLM_BACKOFF_MS', type: 'integer', min: 0, default: 500 },
+  { path: 'llm.breakerThreshold', env: 'LLM_BREAKER_THRESHOLD', type: 'integer', min: 1, default: 3 },
+  { path: 'llm.breakerCooldownMs', env: 'LLM_BREAKER_COOLDOWN_MS', type: 'integer', min: 0, default: 60000 },
+  { path: 'llm.recordDir', env: 'LLM_RECORD_DIR', type: 'string', default: '' },
+  { path: 'llm.mockFixturesDir', env: 'MOCK_FIXTURES_DIR', type: 'string', default: path.join(ROOT, 'fixtures', 'llm') },
+  { path: 'llm.mockStreamDelayMs', env: 'MOCK_STREAM_DELAY_MS', type: 'integer', min: 0, default: 0 },
+  { path: 'history.store', env: 'HISTORY_STORE', type: 'enum', values: ['file', 'memory'], default: 'file' },
+  { path: 'history.dir', env: 'HISTORY_DIR', type: 'string', default: path.join(ROOT, 'data', 'history') },
+  { path: 'history.maxEntries', env: 'MAX_HISTORY_ENTRIES', type: 'integer', min: 1, default: 100 },
+  // Empty means the same store type as history
+  { path: 'auth.store', env: 'AUTH_STORE', type: 'enum', values: ['file', 'memory'], default: '' },
+  { path: 'auth.file', env: 'AUTH_FILE', type: 'string', default: path.join(ROOT, 'data', 'auth', 'users.json') },
+  { path: 'auth.tokenTtlHours', env: 'AUTH_TOKEN_TTL_HOURS', type: 'number', min: 0.01, default: 24 * 30 },
+  // Empty means the same store type as history
+  { path: 'share.store', env: 'SHARE_STORE', type: 'enum', values: ['file', 'memory'], default: '' },
+  { path: 'share.file', env: 'SHARE_FILE', type: 'string', default: path.join(ROOT, 'data', 'shares', 'shares.json') },
+  { path: 'share.defaultTtlHours', env: 'SHARE_TTL_HOURS', type: 'number', min: 0.01, default: 72 },
+  { path: 'share.maxTtlHours', env: 'SHARE_MAX_TTL_HOURS', type: 'number', min: 0.01, default: 24 * 30 },
+  { path: 'batch.maxCases', env: 'BATCH_MAX_CASES', type: 'integer', min: 1, max: 5000, default: 200 },
+  { path: 'batch.concurrency', env: 'BATCH_CONCURRENCY', type: 'integer', min: 1, max: 20, default: 3 },
+  { path: 'batch.maxPendingJobs', env: 'BATCH_MAX_PENDING_JOBS', type: 'integer', min: 1, default: 10 },
+  { path: 'batch.retentionHours', env: 'BATCH_RETENTION_HOURS', type: 'number', min: 0.01, default: 24 },
+  { path: 'images.maxMb', env: 'MAX_IMAGE_MB', type: 'number', min: 0.01, max: 50, default: 5 },
+  { path: 'images.maxImages', env: 'MAX_IMAGES', type: 'integer', min: 1, max: 20, default: 4 },
+  { path: 'images.maxDimension', env: 'MAX_IMAGE_DIMENSION', type: 'integer', min: 64, max: 8192, default: 1600 },
+  { path: 'audio.maxMb', env: 'MAX_AUDIO_MB', type: 'number', min: 0.01, max: 50, default: 10 },
+  { path: 'prompts.dir', env: 'PROMPT_TEMPLATES_DIR', type: 'string', default: path.join(ROOT, 'lib', 'prompts', 'templates') },
+  // Per template: the version in use (0 = newest) and an optional candidate
+  // version that candidatePercent % of users get instead
+  ...PROMPT_TEMPLATES.flatMap(id => {
+    const env = `PROMPT_${id.toUpperCase()}`;
+    return [
+      { path: `prompts.${id}.version`, env: `${env}_VERSION`, type: 'integer', min: 0, default: 0 },
+      { path: `prompts.${id}.candidate`, env: `${env}_CANDIDATE`, type: 'integer', min: 0, default: 0 },
+      { path: `prompts.${id}.candidatePercent`, env: `${env}_CANDIDATE_PERCENT`, type: 'integer', min: 0, max: 100, default: 50 }
+    ];
+  }),
+  { path: 'report.fontPath', env: 'REPORT_FONT_PATH', type: 'string', default: '' },
+  { path: 'report.fontBoldPath', env: 'REPORT_FONT_BOLD_PATH', type: 'string', default: '' },
+  { path: 'privacy.logLevel', env: 'LOG_PRIVACY', type: 'enum', values: ['metadata', 'redacted', 'none'], default: 'metadata' },
+  { path: 'logging.format', env: 'LOG_FORMAT', type: 'enum', values: ['text', 'json'], default: 'text' }
+];
+
+class ConfigError extends Error {
+  constructor(issues) {
+    super(`Invalid configuration:\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false, on: true, off: false };
+
+// Parses a raw value (string from the environment, or a JSON value from the
+// config file) for a setting. Returns { value } or { error }.
+function parseValue(setting, raw) {
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+
+  switch (setting.type) {
+    case 'string':
+      return typeof text === 'string' ? { value: text } : { error: 'must be a string' };
+    case 'enum': {
+      const value = typeof text === 'string' ? text.toLowerCase() : text;
+      return setting.values.includes(value) ? { value } : { error: `must be one of ${setting.values.join(', ')}` };
+    }
+    case 'boolean': {
+      if (typeof text === 'boolean') return { value: text };
+      const value = BOOLEANS[String(text).toLowerCase()];
+      return value === undefined ? { error: 'must be true or false' } : { value };
+    }
+    case 'integer':
+    case 'number': {
+      const value = typeof text === 'number' ? text : (/^-?\d+(\.\d+)?$/.test(String(text)) ? Number(text) : NaN);
+      if (!Number.isFinite(value)) return { error: `must be a${setting.type === 'integer' ? 'n integer' : ' number'}` };
+      if (setting.type === 'integer' && !Number.isInteger(value)) return { error: 'must be an integer' };
+      if (setting.min !== undefined && value < setting.min) return { error: `must be at least ${setting.min}` };
+      if (setting.max !== undefined && value > setting.max) return { error: `must be at most ${setting.max}` };
+      return { value };
+    }
+    default:
+      return { error: `has unknown type ${setting.type}` };
+  }
+}
+
+function getPath(object, dotted) {
+  return dotted.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), object);
+}
+
+function setPath(object, dotted, value) {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+  parent[last] = value;
+}
+
+// Dotted paths of every leaf in the config file, to report unknown keys
+function leafPaths(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? leafPaths(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  ));
+}
+
+function readConfigFile(file, issues) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      issues.push(`CONFIG_FILE ${file} must contain a JSON object`);
+      return {};
+    }
+    return parsed;
+  } catch (error) {
+    issues.push(`CONFIG_FILE ${file} could not be read: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Builds the configuration from `env` (process.env) and the JSON file named
+ * by CONFIG_FILE. Empty environment values count as unset. Throws a
+ * ConfigError listing every invalid value; the result is frozen.
+ */
+function loadConfig(env = process.env) {
+  const issues = [];
+  const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+  const fileValues = file ? readConfigFile(file, issues) : {};
+
+  const known = new Set(SETTINGS.map(setting => setting.path));
+  leafPaths(fileValues)
+    .filter(key => !known.has(key))
+    .forEach(key => issues.push(`${key} in ${file} is not a known setting`));
+
+  const config = {};
+  SETTINGS.forEach(setting => {
+    const fromEnv = env[setting.env] !== undefined && env[setting.env] !== '';
+    const fromFile = getPath(fileValues, setting.path) !== undefined;
+    if (!fromEnv && !fromFile) return setPath(config, setting.path, setting.default);
+
+    const raw = fromEnv ? env[setting.env] : getPath(fileValues, setting.path);
+    const { value, error } = parseValue(setting, raw);
+    if (error) {
+      const source = fromEnv ? setting.env : `${setting.path} in ${file}`;
+      const shown = setting.secret ? '' : ` (got ${JSON.stringify(raw)})`;
+      issues.push(`${source} ${error}${shown}`);
+    }
+    setPath(config, setting.path, error ? setting.default : value);
+  });
+
+  if (!config.auth.store) config.auth.store = config.history.store;
+  if (!config.share.store) config.share.store = config.history.store;
+  if (config.share.defaultTtlHours > config.share.maxTtlHours) {
+    issues.push('SHARE_TTL_HOURS must not exceed SHARE_MAX_TTL_HOURS');
+  }
+  if (config.llm.provider === 'gemini' && !config.gemini.apiKey) {
+    issues.push('LLM_PROVIDER=gemini needs GEMINI_API_KEY');
+  }
+
+  if (issues.length) throw new ConfigError(issues);
+  config.source = file;
+  return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+let current = null;
+
+// The configuration loaded from process.env on first use
+function getConfig() {
+  if (!current) current = loadConfig();
+  return current;
+}
+
+// Enabled feature names, core features first
+function enabledFeatures(config = getConfig()) {
+  return [...CORE_FEATURES, ...Object.keys(FEATURES).filter(name => config.features[name])];
+}
+
+module.exports = { FEATURES, CORE_FEATURES, PROMPT_TEMPLATES, SETTINGS, ConfigError, loadConfig, getConfig, enabledFeatures };
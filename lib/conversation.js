@@ -0,0 +1,103 @@
+// Follow-up conversations for /api/chat/:sessionId. A conversation starts
+// from an `analysis` history entry (version 1); every follow-up turn is
+// stored as a `followup` entry with the same conversationId and the next
+// version number, so earlier versions stay in the history untouched.
+
+const MAX_CLARIFYING_QUESTIONS = 3;
+const MAX_ANSWER_LENGTH = 1000;
+
+function text(value, maxLength = MAX_ANSWER_LENGTH) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function normalizeClarifyingQuestions(raw) {
+  if (typeof raw === 'string') raw = [raw];
+  if (!Array.isArray(raw)) return [];
+  return raw.map(q => text(q)).filter(Boolean).slice(0, MAX_CLARIFYING_QUESTIONS);
+}
+
+/**
+ * Answers to the questions of the previous version. Accepts
+ * [{ question, answer }] or plain strings in the order the questions were
+ * asked; unanswered questions are dropped.
+ */
+function normalizeAnswers(raw, askedQuestions = []) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((item, index) => (item && typeof item === 'object'
+      ? { question: text(item.question) || askedQuestions[index] || '', answer: text(item.answer) }
+      : { question: askedQuestions[index] || '', answer: text(item) }))
+    .filter(item => item.answer);
+}
+
+// Conversation for an entry id (or the latest analysis), oldest turn first
+function findConversation(entries, entryId) {
+  const candidates = entries.filter(e => e.type === 'analysis' || e.type === 'followup');
+  const start = entryId ? candidates.find(e => e.id === entryId) : candidates[candidates.length - 1];
+  if (!start) return null;
+
+  const conversationId = start.conversationId || start.id;
+  const base = candidates.find(e => e.id === conversationId && e.type === 'analysis');
+  if (!base) return null;
+
+  const turns = candidates
+    .filter(e => e.type === 'followup' && e.conversationId === conversationId)
+    .sort((a, b) => a.version - b.version);
+
+  return { conversationId, base, turns };
+}
+
+// The newest version of a conversation
+function latestVersion({ base, turns }) {
+  const last = turns[turns.length - 1];
+  return last
+    ? { version: last.version, analysis: last.analysis, clarifyingQuestions: last.clarifyingQuestions || [] }
+    : { version: 1, analysis: base.analysis, clarifyingQuestions: [] };
+}
+
+// Everything the patient has said, for the rule-based red flags
+function conversationText({ base, turns }, current = {}) {
+  const exchanges = [...turns, current];
+  return [
+    base.symptoms,
+    ...exchanges.flatMap(turn => [turn.message, ...(turn.answers || []).map(a => a.answer)])
+  ].filter(Boolean).join('\n');
+}
+
+// Red flags recorded on any version so far (see withEarlierFlags in lib/redFlags)
+function earlierRedFlags({ base, turns }) {
+  return [base, ...turns].flatMap(entry => (entry.analysis && Array.isArray(entry.analysis.redFlags) ? entry.analysis.redFlags : []));
+}
+
+// Conversation as returned by GET /api/chat/:sessionId
+function describeConversation({ conversationId, base, turns }) {
+  return {
+    conversationId,
+    symptoms: base.symptoms,
+    versions: [
+      { version: 1, entryId: base.id, timestamp: base.timestamp, analysis: base.analysis, model: base.model },
+      ...turns.map(turn => ({
+        version: turn.version,
+        entryId: turn.id,
+        timestamp: turn.timestamp,
+        message: turn.message,
+        answers: turn.answers,
+        clarifyingQuestions: turn.clarifyingQuestions,
+        changes: turn.changes,
+        analysis: turn.analysis,
+        model: turn.model
+      }))
+    ]
+  };
+}
+
+module.exports = {
+  MAX_CLARIFYING_QUESTIONS,
+  normalizeClarifyingQuestions,
+  normalizeAnswers,
+  findConversation,
+  latestVersion,
+  conversationText,
+  earlierRedFlags,
+  describeConversation
+};
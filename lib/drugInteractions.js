@@ -0,0 +1,154 @@
+// Structured drug interaction results.
+//
+// The model is asked for JSON in DRUG_RESPONSE_FORMAT, checked against the
+// drugs schema in ./structuredOutput; normalizeDrugAnalysis turns the result
+// into a fixed shape the UI, history and reports can rely on. Risk levels are the canonical severity codes so they
+// can be compared and colour-coded in any language; localizeDrugAnalysis
+// adds the localized labels.
+
+const { SEVERITY_CODES, severityLabel } = require('./severity');
+
+const RISK_LEVELS = SEVERITY_CODES.slice(0, 3);
+const UNKNOWN_RISK = 'UNKNOWN';
+
+const DRUG_RESPONSE_FORMAT = `Return ONLY valid JSON in this exact format (keep the enum values in English, write all other text in the requested language):
+{
+  "overallRisk": "LOW or MEDIUM or HIGH",
+  "interactions": [
+    { "drugs": ["Drug A", "Drug B"], "severity": "LOW or MEDIUM or HIGH", "mechanism": "How they interact", "management": "What the patient should do" }
+  ],
+  "conditionConflicts": [
+    { "drug": "Drug A", "condition": "Condition", "severity": "LOW or MEDIUM or HIGH", "description": "Why it is a problem", "management": "What to do" }
+  ],
+  "allergyConflicts": [
+    { "drug": "Drug A", "allergy": "Allergy", "severity": "LOW or MEDIUM or HIGH", "description": "Why it is a problem", "management": "What to do" }
+  ],
+  "duplicateTherapy": [
+    { "drugs": ["Drug A", "Drug B"], "drugClass": "Shared class or ingredient", "description": "Why taking both is a risk" }
+  ],
+  "alternatives": [
+    { "drug": "Drug A", "suggestion": "Safer alternative to discuss with a doctor or pharmacist" }
+  ],
+  "summary": "Short plain-language summary"
+}
+Include one "interactions" entry for every pair of medicines, even when the risk is LOW. Use empty arrays when there is nothing to report.`;
+
+function normalizeRisk(value, fallback = 'MEDIUM') {
+  const match = RISK_LEVELS.find(level => level.toLowerCase() === String(value || '').trim().toLowerCase());
+  return match || fallback;
+}
+
+function riskIndex(level) {
+  return RISK_LEVELS.indexOf(level);
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function list(value) {
+  return Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : [];
+}
+
+function drugNames(value) {
+  return Array.isArray(value) ? value.map(text).filter(Boolean) : [];
+}
+
+function emptyDrugAnalysis(summary = '') {
+  return {
+    overallRisk: UNKNOWN_RISK,
+    interactions: [],
+    conditionConflicts: [],
+    allergyConflicts: [],
+    duplicateTherapy: [],
+    alternatives: [],
+    summary
+  };
+}
+
+/**
+ * Validates a raw model result into the structured shape. overallRisk is
+ * never lower than the most severe individual finding.
+ */
+function normalizeDrugAnalysis(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const interactions = list(raw.interactions)
+    .map(item => ({
+      drugs: drugNames(item.drugs),
+      severity: normalizeRisk(item.severity),
+      mechanism: text(item.mechanism),
+      management: text(item.management)
+    }))
+    .filter(item => item.drugs.length >= 2);
+
+  const conditionConflicts = list(raw.conditionConflicts)
+    .map(item => ({
+      drug: text(item.drug),
+      condition: text(item.condition),
+      severity: normalizeRisk(item.severity),
+      description: text(item.description),
+      management: text(item.management)
+    }))
+    .filter(item => item.drug && item.condition);
+
+  const allergyConflicts = list(raw.allergyConflicts)
+    .map(item => ({
+      drug: text(item.drug),
+      allergy: text(item.allergy),
+      severity: normalizeRisk(item.severity, 'HIGH'),
+      description: text(item.description),
+      management: text(item.management)
+    }))
+    .filter(item => item.drug && item.allergy);
+
+  const duplicateTherapy = list(raw.duplicateTherapy)
+    .map(item => ({
+      drugs: drugNames(item.drugs),
+      drugClass: text(item.drugClass),
+      description: text(item.description)
+    }))
+    .filter(item => item.drugs.length >= 2);
+
+  const alternatives = list(raw.alternatives)
+    .map(item => ({ drug: text(item.drug), suggestion: text(item.suggestion) }))
+    .filter(item => item.drug && item.suggestion);
+
+  const findings = [...interactions, ...conditionConflicts, ...allergyConflicts];
+  const highestFinding = findings.reduce((max, item) => Math.max(max, riskIndex(item.severity)), duplicateTherapy.length ? 1 : 0);
+  const stated = riskIndex(normalizeRisk(raw.overallRisk, 'LOW'));
+
+  return {
+    overallRisk: RISK_LEVELS[Math.max(stated, highestFinding)],
+    interactions,
+    conditionConflicts,
+    allergyConflicts,
+    duplicateTherapy,
+    alternatives,
+    summary: text(raw.summary)
+  };
+}
+
+// Adds overallRiskLabel and a severityLabel to every finding
+function localizeDrugAnalysis(analysis, language = 'en') {
+  const withLabel = items => (items || []).map(item => ({ ...item, severityLabel: severityLabel(item.severity, language) }));
+
+  return {
+    ...analysis,
+    overallRiskLabel: severityLabel(analysis.overallRisk, language),
+    interactions: withLabel(analysis.interactions),
+    conditionConflicts: withLabel(analysis.conditionConflicts),
+    allergyConflicts: withLabel(analysis.allergyConflicts)
+  };
+}
+
+module.exports = {
+  DRUG_RESPONSE_FORMAT,
+  RISK_LEVELS,
+  UNKNOWN_RISK,
+  emptyDrugAnalysis,
+  localizeDrugAnalysis,
+  normalizeDrugAnalysis,
+  normalizeRisk,
+  riskIndex
+};
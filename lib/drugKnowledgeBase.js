@@ -0,0 +1,272 @@
+const path = require('path');
+const { RISK_LEVELS, riskIndex } = require('./drugInteractions');
+const { t } = require('./i18n');
+
+// Bundled offline drug interaction knowledge base. Answers /api/drugs with
+// no model at all, and cross-checks model answers for major interactions
+// the model missed.
+
+const KNOWLEDGE_BASE = require(path.join(__dirname, '..', 'knowledge', 'drug-interactions.json'));
+
+function normalizeKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim();
+}
+
+// Drops strengths and dosage forms: "Advil 200mg tablets" -> "advil"
+function stripDosage(name) {
+  return normalizeKey(name)
+    .replace(/\d+(\.\d+)?\s*(mg|mcg|µg|g|ml|iu|%)?/g, ' ')
+    .replace(/\b(tablets?|tabs?|capsules?|caps?|syrup|cream|gel|xr|er|sr|cr|retard|comprimidos?|comprimes?|gelules?)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const GENERICS = new Set(Object.values(KNOWLEDGE_BASE.classes).flatMap(c => c.members));
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Maps a user-entered medicine name to its generic name(s) and classes.
+ * "Advil" -> { input: "Advil", generics: ["ibuprofen"], classes: ["nsaid"], known: true }
+ */
+function normalizeDrugName(input) {
+  const name = stripDosage(input);
+  let generics = [];
+
+  if (KNOWLEDGE_BASE.brands[name]) generics = toList(KNOWLEDGE_BASE.brands[name]);
+  else if (KNOWLEDGE_BASE.synonyms[name]) generics = toList(KNOWLEDGE_BASE.synonyms[name]);
+  else if (GENERICS.has(name)) generics = [name];
+  else {
+    // Fall back to the first known word, e.g. "ibuprofen lysine"
+    const word = name.split(/[\s,/+-]+/).find(w =>
+      KNOWLEDGE_BASE.brands[w] || KNOWLEDGE_BASE.synonyms[w] || GENERICS.has(w)
+    );
+    if (word) generics = toList(KNOWLEDGE_BASE.brands[word] || KNOWLEDGE_BASE.synonyms[word] || word);
+  }
+
+  const classes = Object.entries(KNOWLEDGE_BASE.classes)
+    .filter(([, cls]) => cls.members.some(member => generics.includes(member)))
+    .map(([key]) => key);
+
+  return { input: String(input), generics, classes, known: generics.length > 0 };
+}
+
+// "class:nsaid" / "drug:warfarin" against a normalized drug
+function matchesRef(ref, drug) {
+  const [kind, value] = ref.split(':');
+  return kind === 'class' ? drug.classes.includes(value) : drug.generics.includes(value);
+}
+
+function describeRef(ref) {
+  const [kind, value] = ref.split(':');
+  return kind === 'class' ? KNOWLEDGE_BASE.classes[value].name : value;
+}
+
+function findInteractions(drugs) {
+  const interactions = [];
+
+  for (let i = 0; i < drugs.length; i++) {
+    for (let j = i + 1; j < drugs.length; j++) {
+      const [a, b] = [drugs[i], drugs[j]];
+      // Same ingredient twice is duplicate therapy, not an interaction
+      if (a.generics.some(g => b.generics.includes(g))) continue;
+
+      const rules = KNOWLEDGE_BASE.interactions.filter(rule =>
+        (matchesRef(rule.a, a) && matchesRef(rule.b, b)) || (matchesRef(rule.a, b) && matchesRef(rule.b, a))
+      );
+      if (rules.length === 0) continue;
+
+      // One entry per pair: the most severe matching rule
+      const rule = rules.reduce((worst, r) => (riskIndex(r.severity) > riskIndex(worst.severity) ? r : worst));
+      interactions.push({
+        drugs: [a.input, b.input],
+        severity: rule.severity,
+        mechanism: rule.mechanism,
+        management: rule.management
+      });
+    }
+  }
+
+  return interactions;
+}
+
+function findConditionConflicts(drugs, conditions) {
+  const text = normalizeKey(conditions);
+  if (!text) return [];
+
+  return drugs.flatMap(drug =>
+    KNOWLEDGE_BASE.conditions
+      .filter(rule => matchesRef(rule.drug, drug) && rule.keywords.some(k => text.includes(normalizeKey(k))))
+      .map(rule => ({
+        drug: drug.input,
+        condition: rule.condition,
+        severity: rule.severity,
+        description: rule.description,
+        management: rule.management
+      }))
+  );
+}
+
+function findAllergyConflicts(drugs, allergies) {
+  const text = normalizeKey(allergies);
+  if (!text) return [];
+
+  // Classes the patient is allergic to, by name or by any member/brand
+  const allergyWords = text.split(/[\s,;/]+/).filter(Boolean);
+  const allergicDrugs = allergyWords.map(normalizeDrugName).filter(d => d.known);
+  const allergicClasses = Object.entries(KNOWLEDGE_BASE.classes)
+    .filter(([key, cls]) =>
+      (cls.allergyTerms || []).some(term => text.includes(normalizeKey(term))) ||
+      allergicDrugs.some(d => d.classes.includes(key) && cls.allergyTerms)
+    )
+    .map(([key]) => key);
+
+  const conflicts = [];
+  drugs.forEach(drug => {
+    const direct = allergicDrugs.find(a => a.generics.some(g => drug.generics.includes(g)));
+    const sameClass = allergicClasses.find(cls => drug.classes.includes(cls));
+
+    if (direct || sameClass) {
+      conflicts.push({
+        drug: drug.input,
+        allergy: direct ? direct.input : KNOWLEDGE_BASE.classes[sameClass].name,
+        severity: 'HIGH',
+        description: `${drug.input} belongs to the same medicine group as a reported allergy.`,
+        management: 'Do not take this medicine without speaking to the prescriber.'
+      });
+      return;
+    }
+
+    const cross = KNOWLEDGE_BASE.allergyCrossReactivity.find(rule =>
+      allergicClasses.includes(rule.allergyClass) && matchesRef(rule.drug, drug)
+    );
+    if (cross) {
+      conflicts.push({
+        drug: drug.input,
+        allergy: KNOWLEDGE_BASE.classes[cross.allergyClass].name,
+        severity: cross.severity,
+        description: cross.description,
+        management: cross.management
+      });
+    }
+  });
+
+  return conflicts;
+}
+
+function findDuplicateTherapy(drugs) {
+  const duplicates = [];
+
+  for (let i = 0; i < drugs.length; i++) {
+    for (let j = i + 1; j < drugs.length; j++) {
+      const [a, b] = [drugs[i], drugs[j]];
+      const ingredient = a.generics.find(g => b.generics.includes(g));
+      const sharedClass = a.classes.find(c => b.classes.includes(c) && !KNOWLEDGE_BASE.classes[c].noDuplicateWarning);
+
+      if (ingredient) {
+        duplicates.push({
+          drugs: [a.input, b.input],
+          drugClass: ingredient,
+          description: `Both contain ${ingredient}; taking them together doubles the dose.`
+        });
+      } else if (sharedClass) {
+        duplicates.push({
+          drugs: [a.input, b.input],
+          drugClass: KNOWLEDGE_BASE.classes[sharedClass].name,
+          description: `Both are ${KNOWLEDGE_BASE.classes[sharedClass].name}; taking two from the same group adds side effects without extra benefit.`
+        });
+      }
+    }
+  }
+
+  return duplicates;
+}
+
+/**
+ * Runs the offline check. Returns the same shape as normalizeDrugAnalysis
+ * plus `unknownMedicines` (names the database does not recognize).
+ */
+function checkInteractionsOffline({ medicines, conditions, allergies, language = 'en' }) {
+  const drugs = medicines.map(normalizeDrugName);
+
+  const interactions = findInteractions(drugs);
+  const conditionConflicts = findConditionConflicts(drugs, conditions);
+  const allergyConflicts = findAllergyConflicts(drugs, allergies);
+  const duplicateTherapy = findDuplicateTherapy(drugs);
+
+  const findings = [...interactions, ...conditionConflicts, ...allergyConflicts];
+  const highest = findings.reduce((max, item) => Math.max(max, riskIndex(item.severity)), duplicateTherapy.length ? 1 : 0);
+  const issueCount = findings.length + duplicateTherapy.length;
+
+  const unknownMedicines = drugs.filter(d => !d.known).map(d => d.input);
+  const summary = [
+    issueCount > 0 ? t(language, 'drugs.offline.found', { count: issueCount }) : t(language, 'drugs.offline.none'),
+    unknownMedicines.length ? t(language, 'drugs.offline.unknown', { names: unknownMedicines.join(', ') }) : ''
+  ].filter(Boolean).join(' ');
+
+  return {
+    overallRisk: RISK_LEVELS[highest],
+    interactions,
+    conditionConflicts,
+    allergyConflicts,
+    duplicateTherapy,
+    alternatives: [],
+    summary,
+    unknownMedicines
+  };
+}
+
+function samePair(drugsA, drugsB) {
+  const a = drugsA.map(normalizeDrugName);
+  const b = drugsB.map(normalizeDrugName);
+  const overlaps = (x, y) => x.generics.some(g => y.generics.includes(g)) || stripDosage(x.input) === stripDosage(y.input);
+  return a.length >= 2 && b.length >= 2 &&
+    ((overlaps(a[0], b[0]) && overlaps(a[1], b[1])) || (overlaps(a[0], b[1]) && overlaps(a[1], b[0])));
+}
+
+/**
+ * Adds every HIGH interaction from the offline result that the model
+ * either missed or rated lower. Returns { analysis, missed }.
+ */
+function crossCheckAnalysis(modelAnalysis, offlineAnalysis, language = 'en') {
+  const interactions = [...modelAnalysis.interactions];
+  const missed = [];
+
+  offlineAnalysis.interactions
+    .filter(known => known.severity === 'HIGH')
+    .forEach(known => {
+      const index = interactions.findIndex(i => samePair(i.drugs, known.drugs));
+      if (index === -1) {
+        interactions.push({ ...known, source: 'knowledge-base' });
+        missed.push(known);
+      } else if (riskIndex(interactions[index].severity) < riskIndex(known.severity)) {
+        interactions[index] = { ...interactions[index], severity: known.severity, management: known.management, source: 'knowledge-base' };
+        missed.push(known);
+      }
+    });
+
+  if (missed.length === 0) return { analysis: modelAnalysis, missed };
+
+  return {
+    analysis: {
+      ...modelAnalysis,
+      interactions,
+      overallRisk: 'HIGH',
+      summary: [t(language, 'drugs.offline.missed', { count: missed.length }), modelAnalysis.summary].filter(Boolean).join(' ')
+    },
+    missed
+  };
+}
+
+module.exports = {
+  KNOWLEDGE_BASE,
+  normalizeDrugName,
+  checkInteractionsOffline,
+  crossCheckAnalysis
+};
@@ -0,0 +1,209 @@
+const { v4: uuidv4 } = require('uuid');
+const { severityCode } = require('../severity');
+const { toList } = require('../profile');
+
+// History + health profile -> FHIR R4 collection Bundle. Every model
+// output (the analysis Conditions) carries a Provenance naming the model
+// as a Device, so receiving systems can tell AI suggestions from records.
+
+const LOINC = 'http://loinc.org';
+const SNOMED = 'http://snomed.info/sct';
+const UCUM = 'http://unitsofmeasure.org';
+const TERMINOLOGY = 'http://terminology.hl7.org/CodeSystem';
+
+const CODES = {
+  symptoms: { system: LOINC, code: '75325-1', display: 'Symptom' },
+  age: { system: LOINC, code: '30525-0', display: 'Age' },
+  weight: { system: LOINC, code: '29463-7', display: 'Body weight' },
+  height: { system: LOINC, code: '8302-2', display: 'Body height' },
+  pregnancy: { system: LOINC, code: '82810-3', display: 'Pregnancy status' },
+  pregnant: { system: SNOMED, code: '77386006', display: 'Pregnant' },
+  breastfeeding: { system: SNOMED, code: '413712001', display: 'Breastfeeding (mother)' }
+};
+
+// Condition.severity for our severity codes
+const SEVERITY = {
+  LOW: { system: SNOMED, code: '255604002', display: 'Mild' },
+  MEDIUM: { system: SNOMED, code: '6736007', display: 'Moderate' },
+  HIGH: { system: SNOMED, code: '24484000', display: 'Severe' },
+  EMERGENCY: { system: SNOMED, code: '24484000', display: 'Severe' }
+};
+
+const concept = (coding, text) => ({ coding: [coding], text: text || coding.display });
+const status = (system, code) => ({ coding: [{ system: `${TERMINOLOGY}/${system}`, code }] });
+const category = (system, code, display) => [{ coding: [{ system: `${TERMINOLOGY}/${system}`, code, display }] }];
+
+const ANALYSIS_TYPES = ['analysis', 'followup', 'image'];
+
+class BundleBuilder {
+  constructor() {
+    this.entries = [];
+    this.devices = new Map();
+  }
+
+  add(resource) {
+    const id = uuidv4();
+    this.entries.push({ fullUrl: `urn:uuid:${id}`, resource: { ...resource, id } });
+    return { reference: `urn:uuid:${id}` };
+  }
+
+  // One Device per model name
+  device(model, aiModels) {
+    if (!this.devices.has(model)) {
+      const ai = aiModels.includes(model);
+      this.devices.set(model, this.add({
+        resourceType: 'Device',
+        deviceName: [{ name: model, type: 'model-name' }],
+        type: { text: ai ? 'AI language model' : 'Rule-based fallback' }
+      }));
+    }
+    return this.devices.get(model);
+  }
+
+  toBundle() {
+    return {
+      resourceType: 'Bundle',
+      id: uuidv4(),
+      type: 'collection',
+      timestamp: new Date().toISOString(),
+      entry: this.entries
+    };
+  }
+}
+
+function quantity(value, unit) {
+  return { value, unit, system: UCUM, code: unit };
+}
+
+function profileResources(builder, patient, profile, now) {
+  const observation = (code, value) => builder.add({
+    resourceType: 'Observation',
+    status: 'final',
+    code: concept(code),
+    subject: patient,
+    effectiveDateTime: now,
+    ...value
+  });
+
+  if (profile.age !== null && profile.age !== undefined) observation(CODES.age, { valueQuantity: quantity(profile.age, 'a') });
+  if (profile.weightKg) observation(CODES.weight, { valueQuantity: quantity(profile.weightKg, 'kg') });
+  if (profile.heightCm) observation(CODES.height, { valueQuantity: quantity(profile.heightCm, 'cm') });
+  if (profile.pregnant) observation(CODES.pregnancy, { valueCodeableConcept: concept(CODES.pregnant) });
+  if (profile.breastfeeding) {
+    observation({ system: LOINC, code: '63895-7', display: 'Breastfeeding status' }, { valueCodeableConcept: concept(CODES.breastfeeding) });
+  }
+
+  (profile.conditions || []).forEach(condition => builder.add({
+    resourceType: 'Condition',
+    clinicalStatus: status('condition-clinical', 'active'),
+    verificationStatus: status('condition-ver-status', 'unconfirmed'),
+    category: category('condition-category', 'problem-list-item', 'Problem List Item'),
+    code: { text: condition },
+    subject: patient,
+    note: [{ text: 'Reported by the patient in their HealthVision profile' }]
+  }));
+}
+
+function analysisResources(builder, patient, entry, aiModels) {
+  const analysis = entry.analysis || {};
+  const severity = SEVERITY[severityCode(analysis.severity)];
+  const targets = [];
+
+  if (entry.symptoms) {
+    targets.push(builder.add({
+      resourceType: 'Observation',
+      status: 'final',
+      category: category('observation-category', 'survey', 'Survey'),
+      code: concept(CODES.symptoms, 'Reported symptoms'),
+      subject: patient,
+      effectiveDateTime: entry.timestamp,
+      valueString: entry.symptoms,
+      ...(entry.duration ? { note: [{ text: `Duration: ${entry.duration}` }] } : {})
+    }));
+  }
+  const evidence = targets.length ? [{ detail: [targets[0]] }] : undefined;
+
+  (analysis.possibleConditions || []).filter(Boolean).forEach(condition => {
+    targets.push(builder.add({
+      resourceType: 'Condition',
+      clinicalStatus: status('condition-clinical', 'active'),
+      verificationStatus: status('condition-ver-status', 'provisional'),
+      category: category('condition-category', 'encounter-diagnosis', 'Encounter Diagnosis'),
+      ...(severity ? { severity: concept(severity) } : {}),
+      code: { text: String(condition) },
+      subject: patient,
+      recordedDate: entry.timestamp,
+      ...(evidence ? { evidence } : {}),
+      note: [{ text: 'Possible condition suggested by an automated analysis; not a diagnosis' }]
+    }));
+  });
+
+  if (entry.model && targets.length) {
+    builder.add({
+      resourceType: 'Provenance',
+      target: targets,
+      recorded: new Date(entry.timestamp).toISOString(),
+      agent: [{
+        type: concept({ system: `${TERMINOLOGY}/provenance-participant-type`, code: 'assembler', display: 'Assembler' }),
+        who: { ...builder.device(entry.model, aiModels), display: entry.model }
+      }],
+      ...(entry.version ? { entity: [{ role: 'revision', what: { display: `Version ${entry.version}` } }] } : {})
+    });
+  }
+}
+
+/**
+ * Builds the export bundle. `aiModels` are the model names that count as
+ * AI output (GEMINI_MODELS); anything else is recorded as a rule-based source.
+ */
+function historyToBundle({ entries = [], user = null, profile = {}, aiModels = [] }) {
+  const builder = new BundleBuilder();
+  const now = new Date().toISOString();
+
+  const patient = builder.add({
+    resourceType: 'Patient',
+    ...(user ? { identifier: [{ system: 'urn:healthvision:user', value: user.id }] } : {}),
+    ...(profile.gender && ['male', 'female', 'other'].includes(profile.gender) ? { gender: profile.gender } : {})
+  });
+
+  profileResources(builder, patient, profile, now);
+
+  // Profile medicines are current; medicines only seen in drug checks are "unknown"
+  const medicines = new Map();
+  (profile.medications || []).forEach(name => medicines.set(name.toLowerCase(), { name, status: 'active', date: now }));
+  const allergies = new Map();
+  (profile.allergies || []).forEach(name => allergies.set(name.toLowerCase(), { name, date: now }));
+
+  entries.forEach(entry => {
+    if (ANALYSIS_TYPES.includes(entry.type)) analysisResources(builder, patient, entry, aiModels);
+    if (entry.type === 'drugs') {
+      toList(entry.medicines).forEach(name => {
+        if (!medicines.has(name.toLowerCase())) medicines.set(name.toLowerCase(), { name, status: 'unknown', date: entry.timestamp });
+      });
+      toList(entry.allergies).forEach(name => {
+        if (!allergies.has(name.toLowerCase())) allergies.set(name.toLowerCase(), { name, date: entry.timestamp });
+      });
+    }
+  });
+
+  medicines.forEach(({ name, status: medicineStatus, date }) => builder.add({
+    resourceType: 'MedicationStatement',
+    status: medicineStatus,
+    medicationCodeableConcept: { text: name },
+    subject: patient,
+    dateAsserted: new Date(date).toISOString()
+  }));
+
+  allergies.forEach(({ name, date }) => builder.add({
+    resourceType: 'AllergyIntolerance',
+    clinicalStatus: status('allergyintolerance-clinical', 'active'),
+    verificationStatus: status('allergyintolerance-verification', 'unconfirmed'),
+    code: { text: name },
+    patient,
+    recordedDate: new Date(date).toISOString()
+  }));
+
+  return builder.toBundle();
+}
+
+module.exports = { historyToBundle, CODES };
@@ -0,0 +1,128 @@
+const { validateBundle } = require('./shapes');
+const { CODES } = require('./export');
+
+// FHIR R4 Bundle (Patient, MedicationStatement, AllergyIntolerance,
+// Condition, body weight/height/age/pregnancy Observations) -> profile
+// fields. Other resource types are skipped and counted.
+
+// Statuses that mean the record no longer applies
+const INACTIVE = {
+  MedicationStatement: ['completed', 'entered-in-error', 'stopped', 'not-taken'],
+  clinical: ['inactive', 'resolved', 'remission'],
+  verification: ['refuted', 'entered-in-error', 'provisional', 'differential']
+};
+
+function codes(concept) {
+  return ((concept && concept.coding) || []).map(coding => coding.code);
+}
+
+function hasCode(concept, coding) {
+  return ((concept && concept.coding) || []).some(c => c.code === coding.code && (!c.system || c.system === coding.system));
+}
+
+function conceptText(concept) {
+  if (!concept) return '';
+  const coding = (concept.coding || []).find(c => c.display) || {};
+  return (concept.text || coding.display || '').trim();
+}
+
+function isInactive(resource) {
+  return codes(resource.clinicalStatus).some(code => INACTIVE.clinical.includes(code))
+    || codes(resource.verificationStatus).some(code => INACTIVE.verification.includes(code));
+}
+
+function ageFromBirthDate(birthDate, now) {
+  const [year, month = 1, date = 1] = birthDate.split('-').map(Number);
+  const today = new Date(now);
+  let age = today.getUTCFullYear() - year;
+  if (today.getUTCMonth() + 1 < month || (today.getUTCMonth() + 1 === month && today.getUTCDate() < date)) age--;
+  return Math.max(age, 0);
+}
+
+// Quantity in kg or cm; the common imperial units are converted
+function toMetric(quantity, metric) {
+  const unit = (quantity.code || quantity.unit || '').toLowerCase();
+  const conversions = metric === 'kg'
+    ? { kg: 1, g: 0.001, '[lb_av]': 0.45359237, lb: 0.45359237, lbs: 0.45359237 }
+    : { cm: 1, m: 100, mm: 0.1, '[in_i]': 2.54, in: 2.54 };
+  const factor = conversions[unit];
+  return factor ? Math.round(quantity.value * factor * 10) / 10 : null;
+}
+
+/**
+ * Reads profile fields from a bundle. Returns { issues } when the bundle
+ * fails the shape checks, otherwise { fields, imported, skipped } where
+ * fields is a partial profile (only what the bundle contains).
+ */
+function bundleToProfile(bundle, { now = Date.now() } = {}) {
+  const issues = validateBundle(bundle);
+  if (issues.length) return { issues };
+
+  const resources = bundle.entry.map(entry => ({ fullUrl: entry.fullUrl, resource: entry.resource }));
+  const byReference = reference => {
+    const found = resources.find(({ fullUrl, resource }) =>
+      fullUrl === reference || `${resource.resourceType}/${resource.id}` === reference);
+    return found && found.resource;
+  };
+
+  const fields = {};
+  const lists = { medications: [], allergies: [], conditions: [] };
+  const imported = {};
+  const skipped = {};
+  const count = (target, type) => { target[type] = (target[type] || 0) + 1; };
+
+  resources.forEach(({ resource }) => {
+    const type = resource.resourceType;
+    switch (type) {
+      case 'Patient':
+        if (resource.gender && resource.gender !== 'unknown') fields.gender = resource.gender;
+        if (resource.birthDate) fields.age = ageFromBirthDate(resource.birthDate, now);
+        break;
+      case 'MedicationStatement': {
+        if (INACTIVE.MedicationStatement.includes(resource.status)) return count(skipped, type);
+        const medication = resource.medicationReference && byReference(resource.medicationReference.reference);
+        const name = resource.medicationCodeableConcept
+          ? conceptText(resource.medicationCodeableConcept)
+          : (medication && conceptText(medication.code)) || resource.medicationReference.display || '';
+        if (!name) return count(skipped, type);
+        lists.medications.push(name);
+        break;
+      }
+      case 'AllergyIntolerance':
+        if (isInactive(resource) || !conceptText(resource.code)) return count(skipped, type);
+        lists.allergies.push(conceptText(resource.code));
+        break;
+      case 'Condition':
+        if (isInactive(resource) || !conceptText(resource.code)) return count(skipped, type);
+        lists.conditions.push(conceptText(resource.code));
+        break;
+      case 'Medication':
+        return; // read through the MedicationStatement that references it
+      case 'Observation': {
+        if (['cancelled', 'entered-in-error'].includes(resource.status)) return count(skipped, type);
+        const quantity = resource.valueQuantity;
+        if (hasCode(resource.code, CODES.weight) && quantity) fields.weightKg = toMetric(quantity, 'kg');
+        else if (hasCode(resource.code, CODES.height) && quantity) fields.heightCm = toMetric(quantity, 'cm');
+        else if (hasCode(resource.code, CODES.age) && quantity) fields.age = quantity.value;
+        else if (hasCode(resource.code, CODES.pregnancy)) fields.pregnant = hasCode(resource.valueCodeableConcept, CODES.pregnant);
+        else if (hasCode(resource.valueCodeableConcept, CODES.breastfeeding)) fields.breastfeeding = true;
+        else return count(skipped, type);
+        break;
+      }
+      default:
+        return count(skipped, type);
+    }
+    count(imported, type);
+  });
+
+  Object.entries(lists).forEach(([field, items]) => {
+    if (items.length) fields[field] = [...new Set(items)];
+  });
+  Object.keys(fields).forEach(field => {
+    if (fields[field] === null) delete fields[field];
+  });
+
+  return { fields, imported, skipped };
+}
+
+module.exports = { bundleToProfile };
@@ -0,0 +1,10 @@
+// FHIR R4 export (GET /api/history/:sessionId/fhir) and profile import
+// (POST /api/profile/fhir). Everything runs locally; no terminology server.
+
+const { historyToBundle } = require('./export');
+const { bundleToProfile } = require('./import');
+const { validateBundle, validateResource } = require('./shapes');
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+module.exports = { FHIR_CONTENT_TYPE, historyToBundle, bundleToProfile, validateBundle, validateResource };
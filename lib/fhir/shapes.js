@@ -0,0 +1,210 @@
+// Minimal FHIR R4 shape checks for the resources HealthVision reads and
+// writes. Not a full profile validator: it checks required elements,
+// element types, code values and choice[x] elements, offline.
+
+const CODE_SETS = {
+  bundleType: ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'],
+  gender: ['male', 'female', 'other', 'unknown'],
+  observationStatus: ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'],
+  medicationStatementStatus: ['active', 'completed', 'entered-in-error', 'intended', 'stopped', 'on-hold', 'unknown', 'not-taken'],
+  allergyType: ['allergy', 'intolerance'],
+  allergyCategory: ['food', 'medication', 'environment', 'biologic']
+};
+
+const DATE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+const DATE_TIME = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00)))?)?)?$/;
+const INSTANT = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?(Z|[+-]((0\d|1[0-3]):[0-5]\d|14:00))$/;
+const ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Element type checks; each returns an error message or null
+const TYPES = {
+  string: value => (typeof value === 'string' && value.trim() ? null : 'must be a non-empty string'),
+  boolean: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+  id: value => (typeof value === 'string' && ID.test(value) ? null : 'must be a FHIR id'),
+  date: value => (typeof value === 'string' && DATE.test(value) ? null : 'must be a date (YYYY, YYYY-MM or YYYY-MM-DD)'),
+  dateTime: value => (typeof value === 'string' && DATE_TIME.test(value) ? null : 'must be a dateTime'),
+  instant: value => (typeof value === 'string' && INSTANT.test(value) ? null : 'must be an instant'),
+  Reference: value => (isObject(value) && (typeof value.reference === 'string' || typeof value.display === 'string')
+    ? null : 'must be a Reference with reference or display'),
+  Coding: value => (isObject(value) && ['system', 'code', 'display'].every(key => value[key] === undefined || typeof value[key] === 'string')
+    ? null : 'must be a Coding'),
+  CodeableConcept: value => {
+    if (!isObject(value)) return 'must be a CodeableConcept';
+    if (value.text !== undefined && typeof value.text !== 'string') return 'text must be a string';
+    if (value.coding !== undefined && (!Array.isArray(value.coding) || value.coding.some(c => TYPES.Coding(c)))) {
+      return 'coding must be a list of Codings';
+    }
+    return value.text || (value.coding && value.coding.length) ? null : 'must have text or coding';
+  },
+  Quantity: value => (isObject(value) && typeof value.value === 'number' && Number.isFinite(value.value)
+    && (value.unit === undefined || typeof value.unit === 'string')
+    && (value.code === undefined || typeof value.code === 'string')
+    ? null : 'must be a Quantity with a numeric value'),
+  Annotation: value => (isObject(value) && typeof value.text === 'string' ? null : 'must be an Annotation with text')
+};
+
+/**
+ * Per resource type: element -> { type, required, list, values }.
+ * `choice` lists [x] elements of which exactly one (or, without
+ * `required`, at most one) may be present.
+ */
+const SHAPES = {
+  Patient: {
+    elements: {
+      id: { type: 'id' },
+      gender: { type: 'string', values: CODE_SETS.gender },
+      birthDate: { type: 'date' }
+    }
+  },
+  Observation: {
+    elements: {
+      id: { type: 'id' },
+      status: { type: 'string', required: true, values: CODE_SETS.observationStatus },
+      category: { type: 'CodeableConcept', list: true },
+      code: { type: 'CodeableConcept', required: true },
+      subject: { type: 'Reference' },
+      effectiveDateTime: { type: 'dateTime' },
+      note: { type: 'Annotation', list: true }
+    },
+    choice: [{ name: 'value', types: { valueString: 'string', valueQuantity: 'Quantity', valueCodeableConcept: 'CodeableConcept', valueBoolean: 'boolean' } }]
+  },
+  Condition: {
+    elements: {
+      id: { type: 'id' },
+      clinicalStatus: { type: 'CodeableConcept' },
+      verificationStatus: { type: 'CodeableConcept' },
+      category: { type: 'CodeableConcept', list: true },
+      severity: { type: 'CodeableConcept' },
+      code: { type: 'CodeableConcept' },
+      subject: { type: 'Reference', required: true },
+      recordedDate: { type: 'dateTime' },
+      note: { type: 'Annotation', list: true }
+    }
+  },
+  Medication: {
+    elements: {
+      id: { type: 'id' },
+      code: { type: 'CodeableConcept' }
+    }
+  },
+  MedicationStatement: {
+    elements: {
+      id: { type: 'id' },
+      status: { type: 'string', required: true, values: CODE_SETS.medicationStatementStatus },
+      subject: { type: 'Reference', required: true },
+      dateAsserted: { type: 'dateTime' },
+      note: { type: 'Annotation', list: true }
+    },
+    choice: [{ name: 'medication', required: true, types: { medicationCodeableConcept: 'CodeableConcept', medicationReference: 'Reference' } }]
+  },
+  AllergyIntolerance: {
+    elements: {
+      id: { type: 'id' },
+      clinicalStatus: { type: 'CodeableConcept' },
+      verificationStatus: { type: 'CodeableConcept' },
+      type: { type: 'string', values: CODE_SETS.allergyType },
+      category: { type: 'string', list: true, values: CODE_SETS.allergyCategory },
+      code: { type: 'CodeableConcept' },
+      patient: { type: 'Reference', required: true },
+      recordedDate: { type: 'dateTime' }
+    }
+  },
+  Device: {
+    elements: {
+      id: { type: 'id' },
+      type: { type: 'CodeableConcept' }
+    }
+  },
+  Provenance: {
+    elements: {
+      id: { type: 'id' },
+      target: { type: 'Reference', required: true, list: true },
+      recorded: { type: 'instant', required: true }
+    }
+  }
+};
+
+function checkElement(path, value, { type, list, values }, issues) {
+  if (list) {
+    if (!Array.isArray(value) || value.length === 0) {
+      issues.push({ path, message: 'must be a non-empty list' });
+      return;
+    }
+    value.forEach((item, index) => checkElement(`${path}[${index}]`, item, { type, values }, issues));
+    return;
+  }
+
+  const message = TYPES[type](value);
+  if (message) issues.push({ path, message });
+  else if (values && !values.includes(value)) issues.push({ path, message: `must be one of ${values.join(', ')}` });
+}
+
+// Provenance agents are checked by hand: each needs a `who` Reference
+function checkAgents(path, agents, issues) {
+  if (!Array.isArray(agents) || agents.length === 0) {
+    issues.push({ path, message: 'must be a non-empty list' });
+    return;
+  }
+  agents.forEach((agent, index) => {
+    if (!isObject(agent)) return issues.push({ path: `${path}[${index}]`, message: 'must be an object' });
+    checkElement(`${path}[${index}].who`, agent.who, { type: 'Reference' }, issues);
+    if (agent.type !== undefined) checkElement(`${path}[${index}].type`, agent.type, { type: 'CodeableConcept' }, issues);
+  });
+}
+
+/**
+ * Checks one resource against its shape. Resource types without a shape
+ * only need a resourceType. Returns a list of { path, message }.
+ */
+function validateResource(resource, path = 'resource') {
+  if (!isObject(resource) || typeof resource.resourceType !== 'string') {
+    return [{ path, message: 'must be a resource with a resourceType' }];
+  }
+  const shape = SHAPES[resource.resourceType];
+  if (!shape) return [];
+
+  const issues = [];
+  Object.entries(shape.elements).forEach(([name, rule]) => {
+    if (resource[name] === undefined) {
+      if (rule.required) issues.push({ path: `${path}.${name}`, message: 'is required' });
+      return;
+    }
+    checkElement(`${path}.${name}`, resource[name], rule, issues);
+  });
+
+  (shape.choice || []).forEach(({ name, required, types }) => {
+    const present = Object.keys(types).filter(key => resource[key] !== undefined);
+    if (present.length > 1) issues.push({ path: `${path}.${name}[x]`, message: 'only one type may be given' });
+    if (present.length === 0 && required) issues.push({ path: `${path}.${name}[x]`, message: 'is required' });
+    present.forEach(key => checkElement(`${path}.${key}`, resource[key], { type: types[key] }, issues));
+  });
+
+  if (resource.resourceType === 'Provenance') checkAgents(`${path}.agent`, resource.agent, issues);
+  return issues;
+}
+
+function validateBundle(bundle) {
+  if (!isObject(bundle) || bundle.resourceType !== 'Bundle') {
+    return [{ path: 'resourceType', message: 'must be Bundle' }];
+  }
+
+  const issues = [];
+  checkElement('type', bundle.type, { type: 'string', values: CODE_SETS.bundleType }, issues);
+  if (!Array.isArray(bundle.entry)) {
+    issues.push({ path: 'entry', message: 'must be a list' });
+    return issues;
+  }
+
+  bundle.entry.forEach((entry, index) => {
+    if (!isObject(entry)) return issues.push({ path: `entry[${index}]`, message: 'must be an object' });
+    if (entry.fullUrl !== undefined && typeof entry.fullUrl !== 'string') {
+      issues.push({ path: `entry[${index}].fullUrl`, message: 'must be a string' });
+    }
+    issues.push(...validateResource(entry.resource, `entry[${index}].resource`));
+  });
+  return issues;
+}
+
+module.exports = { SHAPES, validateResource, validateBundle };
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File-backed history store: one JSON file per session under `dir`.
+// Writes go through a temp file + rename so a crash never leaves a
+// half-written session, and are serialized per session.
+class FileHistoryStore {
+  constructor({ dir, maxEntries = 100 }) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.queues = new Map();
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  // Session IDs come from clients, so never use them as file names directly
+  fileFor(sessionId) {
+    const hash = crypto.createHash('sha256').update(String(sessionId)).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async read(sessionId) {
+    try {
+      const raw = await fs.promises.readFile(this.fileFor(sessionId), 'utf8');
+      const data = JSON.parse(raw);
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async write(sessionId, entries) {
+    const file = this.fileFor(sessionId);
+    if (entries.length === 0) {
+      await fs.promises.rm(file, { force: true });
+      return;
+    }
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ sessionId, entries }));
+    await fs.promises.rename(tmp, file);
+  }
+
+  // Runs read-modify-write operations for a session one at a time
+  update(sessionId, fn) {
+    const previous = this.queues.get(sessionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const entries = await this.read(sessionId);
+      const result = await fn(entries);
+      await this.write(sessionId, entries);
+      return result;
+    });
+    this.queues.set(sessionId, next);
+    next.finally(() => {
+      if (this.queues.get(sessionId) === next) this.queues.delete(sessionId);
+    }).catch(() => {});
+    return next;
+  }
+
+  append(sessionId, entry) {
+    return this.update(sessionId, entries => {
+      entries.push(entry);
+      if (entries.length > this.maxEntries) {
+        entries.splice(0, entries.length - this.maxEntries);
+      }
+      return entry;
+    });
+  }
+
+  async all(sessionId) {
+    // Wait for pending writes so reads see them
+    await (this.queues.get(sessionId) || Promise.resolve()).catch(() => {});
+    return this.read(sessionId);
+  }
+
+  async get(sessionId, entryId) {
+    const entries = await this.all(sessionId);
+    return entries.find(e => e.id === entryId) || null;
+  }
+
+  deleteSession(sessionId) {
+    return this.update(sessionId, entries => entries.splice(0, entries.length).length);
+  }
+
+  deleteEntry(sessionId, entryId) {
+    return this.update(sessionId, entries => {
+      const index = entries.findIndex(e => e.id === entryId);
+      if (index === -1) return false;
+      entries.splice(index, 1);
+      return true;
+    });
+  }
+}
+
+module.exports = FileHistoryStore;
@@ -0,0 +1,50 @@
+const { getConfig } = require('../config');
+const MemoryHistoryStore = require('./memoryStore');
+const FileHistoryStore = require('./fileStore');
+
+/**
+ * Creates the history store selected by HISTORY_STORE (file | memory).
+ *
+ * Every store implements the same async interface:
+ *   append(sessionId, entry)      -> entry
+ *   all(sessionId)                -> entries, oldest first
+ *   get(sessionId, entryId)       -> entry | null
+ *   deleteSession(sessionId)      -> number of deleted entries
+ *   deleteEntry(sessionId, id)    -> boolean
+ */
+function createHistoryStore(options = {}) {
+  const settings = getConfig().history;
+  const type = options.type || settings.store;
+  const maxEntries = options.maxEntries || settings.maxEntries;
+
+  switch (type) {
+    case 'memory':
+      return new MemoryHistoryStore({ maxEntries });
+    case 'file':
+      return new FileHistoryStore({
+        dir: options.dir || settings.dir,
+        maxEntries
+      });
+    default:
+      throw new Error(`Unknown HISTORY_STORE "${type}" (expected file or memory)`);
+  }
+}
+
+// Newest-first page of a session's entries
+async function paginateHistory(store, sessionId, { page = 1, limit = 10 } = {}) {
+  const entries = await store.all(sessionId);
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 100);
+  const totalPages = Math.max(Math.ceil(entries.length / safeLimit), 1);
+  const safePage = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+  const start = (safePage - 1) * safeLimit;
+
+  return {
+    count: entries.length,
+    page: safePage,
+    limit: safeLimit,
+    totalPages,
+    history: entries.reverse().slice(start, start + safeLimit)
+  };
+}
+
+module.exports = { createHistoryStore, paginateHistory, MemoryHistoryStore, FileHistoryStore };
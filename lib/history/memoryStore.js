@@ -0,0 +1,43 @@
+// In-memory history store. Nothing survives a restart, so it is meant for
+// tests and throwaway demos.
+class MemoryHistoryStore {
+  constructor({ maxEntries = 100 } = {}) {
+    this.maxEntries = maxEntries;
+    this.sessions = new Map();
+  }
+
+  async append(sessionId, entry) {
+    const entries = this.sessions.get(sessionId) || [];
+    entries.push(entry);
+    // Retention: keep only the newest maxEntries per session
+    if (entries.length > this.maxEntries) {
+      entries.splice(0, entries.length - this.maxEntries);
+    }
+    this.sessions.set(sessionId, entries);
+    return entry;
+  }
+
+  async all(sessionId) {
+    return [...(this.sessions.get(sessionId) || [])];
+  }
+
+  async get(sessionId, entryId) {
+    return (this.sessions.get(sessionId) || []).find(e => e.id === entryId) || null;
+  }
+
+  async deleteSession(sessionId) {
+    const count = (this.sessions.get(sessionId) || []).length;
+    this.sessions.delete(sessionId);
+    return count;
+  }
+
+  async deleteEntry(sessionId, entryId) {
+    const entries = this.sessions.get(sessionId) || [];
+    const index = entries.findIndex(e => e.id === entryId);
+    if (index === -1) return false;
+    entries.splice(index, 1);
+    return true;
+  }
+}
+
+module.exports = MemoryHistoryStore;
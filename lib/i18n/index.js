@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server-side locale catalog. Every language is one JSON file in ./locales;
+// adding a file adds the language (keys missing from it fall back to English).
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LANGUAGE = 'en';
+
+const CATALOG = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))])
+);
+
+const LANGUAGES = Object.keys(CATALOG);
+
+function resolveLanguage(language) {
+  return CATALOG[language] ? language : DEFAULT_LANGUAGE;
+}
+
+function lookup(language, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), CATALOG[language]);
+}
+
+function isSection(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Fills keys a partial translation leaves out from the English section
+function withFallback(value, fallback) {
+  if (value === undefined) return fallback;
+  if (!isSection(value) || !isSection(fallback)) return value;
+  return Object.fromEntries(
+    Object.keys({ ...fallback, ...value }).map(key => [key, withFallback(value[key], fallback[key])])
+  );
+}
+
+function interpolate(value, params) {
+  if (typeof value === 'string') {
+    return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+  if (Array.isArray(value)) return value.map(item => interpolate(item, params));
+  if (isSection(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v, params)]));
+  }
+  return value;
+}
+
+/**
+ * Looks up a dotted key ("notes.noProvider") for a language, falling back
+ * to English and then to the key itself. {name} placeholders are replaced
+ * from params. Strings, arrays and whole sections can be looked up.
+ */
+function t(language, key, params = {}) {
+  const value = withFallback(lookup(resolveLanguage(language), key), lookup(DEFAULT_LANGUAGE, key));
+  if (value === undefined) return key;
+  return interpolate(value, params);
+}
+
+module.exports = { DEFAULT_LANGUAGE, LANGUAGES, resolveLanguage, t };
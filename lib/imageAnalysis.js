@@ -0,0 +1,50 @@
+const { severityLevel, severityLabel } = require('./severity');
+
+// Structured image analysis. The model returns the same fields as a symptom
+// analysis plus `visualFindings`, so image results can drive the severity
+// banner, history and reports exactly like /api/analyze results. The prompt
+// is built by buildImagePrompt in ./prompts.
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function textList(value) {
+  if (typeof value === 'string') value = [value];
+  return Array.isArray(value) ? value.map(text).filter(Boolean) : [];
+}
+
+// Validates the model's visualFindings; null when there is nothing usable
+function normalizeVisualFindings(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const findings = {
+    description: text(raw.description),
+    color: text(raw.color),
+    estimatedSize: text(raw.estimatedSize),
+    borders: text(raw.borders),
+    infectionSigns: textList(raw.infectionSigns),
+    otherFindings: textList(raw.otherFindings)
+  };
+
+  const hasContent = Object.values(findings).some(value => (Array.isArray(value) ? value.length : value));
+  return hasContent ? findings : null;
+}
+
+/**
+ * Attaches visual findings to a normalized analysis. Visible signs of
+ * infection raise the severity to at least Medium.
+ */
+function applyVisualFindings(analysis, rawFindings, language = 'en') {
+  const visualFindings = normalizeVisualFindings(rawFindings);
+  const result = { ...analysis, visualFindings };
+
+  if (visualFindings && visualFindings.infectionSigns.length > 0 && severityLevel(result.severity) < 1) {
+    result.severity = 'MEDIUM';
+    result.severityLabel = severityLabel(result.severity, language);
+  }
+
+  return result;
+}
+
+module.exports = { normalizeVisualFindings, applyVisualFindings };
@@ -0,0 +1,137 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const { t } = require('./i18n');
+const { getConfig } = require('./config');
+
+// Upload limits for /api/analyze-image. Images are checked by their magic
+// bytes (not the client-declared MIME type), re-encoded without EXIF/GPS
+// metadata and downscaled before they are sent to the vision model.
+
+const { maxMb, maxImages, maxDimension } = getConfig().images;
+const MAX_IMAGE_BYTES = maxMb * 1024 * 1024;
+const MAX_IMAGES = maxImages;
+const MAX_IMAGE_DIMENSION = maxDimension;
+
+const IMAGE_TYPES = {
+  'image/jpeg': { format: 'jpeg', options: { quality: 85 } },
+  'image/png': { format: 'png', options: {} },
+  'image/webp': { format: 'webp', options: { quality: 85 } }
+};
+
+class ImageUploadError extends Error {
+  constructor(code, status = 400) {
+    super(imageErrorMessage(code));
+    this.name = 'ImageUploadError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Localized message for an error code (errors.image.<code> in the locale catalog)
+function imageErrorMessage(code, language = 'en') {
+  return t(language, `errors.image.${code}`, { maxMb: MAX_IMAGE_BYTES / 1024 / 1024, maxImages: MAX_IMAGES });
+}
+
+// Real file type from the first bytes of the file, or null
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+/**
+ * Validates one uploaded image and re-encodes it: EXIF orientation is
+ * applied, all metadata (EXIF, GPS, ICC comments) is dropped and the image
+ * is shrunk to fit MAX_IMAGE_DIMENSION.
+ */
+async function prepareImage(file) {
+  const mimeType = detectImageType(file.buffer);
+  if (!mimeType) throw new ImageUploadError('UNSUPPORTED_IMAGE_TYPE', 415);
+
+  const { format, options } = IMAGE_TYPES[mimeType];
+  try {
+    const { data, info } = await sharp(file.buffer, { failOn: 'error' })
+      .rotate()
+      .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .toFormat(format, options)
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      name: file.originalname,
+      mimeType,
+      data,
+      width: info.width,
+      height: info.height,
+      originalBytes: file.size,
+      bytes: data.length
+    };
+  } catch (error) {
+    throw new ImageUploadError('INVALID_IMAGE', 422);
+  }
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES }
+});
+
+// Accepts `image` (single, existing clients) and `images` (several angles)
+const receiveImages = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_IMAGES }
+]);
+
+function requestLanguage(req) {
+  return (req.body && req.body.language) || req.query.language || 'en';
+}
+
+function sendImageError(res, code, status, language) {
+  res.status(status).json({ success: false, code, error: imageErrorMessage(code, language) });
+}
+
+/**
+ * Express middleware: receives, validates and sanitizes the uploaded images
+ * into `req.images`. Failures answer with a localized error and a stable
+ * `code` the frontend can map.
+ */
+function imageUpload(req, res, next) {
+  receiveImages(req, res, async (err) => {
+    const language = requestLanguage(req);
+
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') return sendImageError(res, 'IMAGE_TOO_LARGE', 413, language);
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return sendImageError(res, 'TOO_MANY_IMAGES', 400, language);
+      }
+      return next(err);
+    }
+
+    const files = [...((req.files && req.files.image) || []), ...((req.files && req.files.images) || [])];
+    if (files.length === 0) return sendImageError(res, 'IMAGE_REQUIRED', 400, language);
+    if (files.length > MAX_IMAGES) return sendImageError(res, 'TOO_MANY_IMAGES', 400, language);
+
+    try {
+      req.images = [];
+      for (const file of files) {
+        req.images.push(await prepareImage(file));
+      }
+      next();
+    } catch (error) {
+      if (error instanceof ImageUploadError) return sendImageError(res, error.code, error.status, language);
+      next(error);
+    }
+  });
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES,
+  MAX_IMAGE_DIMENSION,
+  ImageUploadError,
+  detectImageType,
+  imageErrorMessage,
+  imageUpload,
+  prepareImage
+};
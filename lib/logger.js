@@ -0,0 +1,68 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { getConfig } = require('./config');
+
+// Logging with a per-request ID. LOG_FORMAT=text (default) keeps the
+// familiar console lines, prefixed with the request ID; LOG_FORMAT=json
+// writes one JSON object per line ({ time, level, msg, requestId, ... })
+// for log collectors. The ID is also sent back as the X-Request-Id header,
+// so a user report can be matched to its log lines.
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Incoming IDs (e.g. from a proxy) are kept when they look safe to log
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const context = new AsyncLocalStorage();
+
+function currentRequestId() {
+  const store = context.getStore();
+  return store ? store.requestId : null;
+}
+
+function errorFields(error) {
+  return { name: error.name, message: error.message, ...(error.code ? { code: error.code } : {}), stack: error.stack };
+}
+
+function write(level, args, fields = {}) {
+  const requestId = currentRequestId();
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+
+  if (getConfig().logging.format === 'json') {
+    const error = args.find(arg => arg instanceof Error);
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: util.format(...args.filter(arg => !(arg instanceof Error))),
+      ...(requestId ? { requestId } : {}),
+      ...fields,
+      ...(error ? { error: errorFields(error) } : {})
+    };
+    stream.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+
+  stream.write(`${requestId ? `[${requestId}] ` : ''}${util.format(...args)}\n`);
+}
+
+// Same call style as console.log/console.error
+const log = {
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+  // A message plus fields that become JSON properties (text format shows the message only)
+  event: (message, fields) => write('info', [message], fields)
+};
+
+// Assigns the request ID, returns it in X-Request-Id and makes it available
+// to every log call made while handling the request
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+    res.set(REQUEST_ID_HEADER, req.id);
+    context.run({ requestId: req.id }, next);
+  };
+}
+
+module.exports = { REQUEST_ID_HEADER, log, requestContext, currentRequestId };
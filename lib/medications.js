@@ -0,0 +1,213 @@
+const { v4: uuidv4 } = require('uuid');
+const { t } = require('./i18n');
+
+// Medication schedule (/api/medications/:sessionId), stored on the signed-in
+// user next to the profile. The scheduled medicines are the Drug Checker's
+// list: every drug check includes them, and adding one re-runs the check.
+// medicationCalendar() turns the schedule into an iCalendar feed with one
+// recurring reminder event per medicine and time of day.
+
+const FREQUENCIES = ['daily', 'weekly', 'as_needed'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_MEDICATIONS = 50;
+const MAX_TIMES = 12;
+const TEXT_LIMITS = { name: 100, dose: 50, notes: 500 };
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+    && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+// "08:00, 20:00" or ["08:00", "20:00"] -> sorted, without duplicates
+function toTimes(value) {
+  const items = Array.isArray(value) ? value : String(value).split(/[,;\s]+/);
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))].sort();
+}
+
+function toWeekdays(value) {
+  const items = Array.isArray(value) ? value : String(value).split(/[,;\s]+/);
+  return [...new Set(items.map(item => String(item).trim().toUpperCase().slice(0, 2)).filter(Boolean))];
+}
+
+/**
+ * Validates a medication (POST body, or PUT body over the `existing` one).
+ * Returns { medication, errors } where errors lists the invalid field names.
+ *
+ *   name        required
+ *   dose        free text, e.g. "500 mg" or "1 tablet"
+ *   frequency   daily (default), weekly or as_needed (no reminders)
+ *   interval    every N days or weeks (default 1)
+ *   times       times of day as HH:MM (default ["08:00"])
+ *   daysOfWeek  for weekly: MO..SU (default the start date's weekday)
+ *   startDate   YYYY-MM-DD (default today), endDate optional
+ *   notes       free text, e.g. "with food"
+ */
+function normalizeMedication(input = {}, existing = null, today = new Date().toISOString().slice(0, 10)) {
+  const source = existing ? { ...existing, ...input } : input;
+  const errors = [];
+  const medication = {
+    id: existing ? existing.id : uuidv4(),
+    name: '',
+    dose: '',
+    frequency: 'daily',
+    interval: 1,
+    times: ['08:00'],
+    daysOfWeek: [],
+    startDate: today,
+    endDate: null,
+    notes: ''
+  };
+
+  Object.entries(TEXT_LIMITS).forEach(([field, limit]) => {
+    if (isBlank(source[field])) return;
+    if (typeof source[field] !== 'string' || source[field].trim().length > limit) errors.push(field);
+    else medication[field] = source[field].trim();
+  });
+  if (!medication.name && !errors.includes('name')) errors.push('name');
+
+  if (!isBlank(source.frequency)) {
+    if (!FREQUENCIES.includes(source.frequency)) errors.push('frequency');
+    else medication.frequency = source.frequency;
+  }
+
+  if (!isBlank(source.interval)) {
+    const interval = Number(source.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) errors.push('interval');
+    else medication.interval = interval;
+  }
+
+  if (!isBlank(source.times)) {
+    const times = toTimes(source.times);
+    if (!times.length || times.length > MAX_TIMES || times.some(time => !TIME_PATTERN.test(time))) errors.push('times');
+    else medication.times = times;
+  }
+
+  ['startDate', 'endDate'].forEach(field => {
+    if (isBlank(source[field])) return;
+    if (!isValidDate(String(source[field]))) errors.push(field);
+    else medication[field] = String(source[field]);
+  });
+  if (medication.endDate && medication.endDate < medication.startDate && !errors.includes('endDate')) {
+    errors.push('endDate');
+  }
+
+  if (!isBlank(source.daysOfWeek)) {
+    const days = toWeekdays(source.daysOfWeek);
+    if (days.some(day => !WEEKDAYS.includes(day))) errors.push('daysOfWeek');
+    else medication.daysOfWeek = days;
+  }
+  if (medication.frequency === 'weekly' && !medication.daysOfWeek.length) {
+    medication.daysOfWeek = [WEEKDAYS[new Date(`${medication.startDate}T00:00:00Z`).getUTCDay()]];
+  }
+  if (medication.frequency !== 'weekly') medication.daysOfWeek = [];
+
+  const now = new Date().toISOString();
+  medication.createdAt = existing ? existing.createdAt : now;
+  medication.updatedAt = now;
+
+  return { medication, errors };
+}
+
+// Case-insensitive: "Ibuprofen" and "ibuprofen" are the same medicine
+function findByName(medications, name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return medications.find(medication => medication.name.toLowerCase() === wanted) || null;
+}
+
+function medicationNames(medications) {
+  return (medications || []).map(medication => medication.name);
+}
+
+// ---- iCalendar (RFC 5545) ----
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const compactDate = date => date.replace(/-/g, '');
+const utcStamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Builds a VCALENDAR with a recurring event (and alarm) per medicine and
+ * time of day. Times are floating local times, so reminders ring at 08:00
+ * wherever the calendar app is. As-needed medicines get no events.
+ */
+function medicationCalendar(medications, { language = 'en', now = new Date() } = {}) {
+  const labels = t(language, 'medications');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//HealthVision AI//Medication Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(labels.calendarName)}`
+  ];
+
+  medications.filter(medication => medication.frequency !== 'as_needed').forEach(medication => {
+    const summary = t(language, medication.dose ? 'medications.reminderWithDose' : 'medications.reminder', {
+      name: medication.name,
+      dose: medication.dose
+    });
+    const rule = [
+      `FREQ=${medication.frequency === 'weekly' ? 'WEEKLY' : 'DAILY'}`,
+      ...(medication.interval > 1 ? [`INTERVAL=${medication.interval}`] : []),
+      ...(medication.daysOfWeek.length ? [`BYDAY=${medication.daysOfWeek.join(',')}`] : []),
+      ...(medication.endDate ? [`UNTIL=${compactDate(medication.endDate)}T235959`] : [])
+    ].join(';');
+
+    medication.times.forEach(time => {
+      const description = [medication.dose && `${labels.dose}: ${medication.dose}`, medication.notes].filter(Boolean).join('\n');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${medication.id}-${time.replace(':', '')}@healthvision`,
+        `DTSTAMP:${utcStamp(now)}`,
+        `DTSTART:${compactDate(medication.startDate)}T${time.replace(':', '')}00`,
+        'DURATION:PT15M',
+        `RRULE:${rule}`,
+        `SUMMARY:${escapeText(summary)}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(summary)}`,
+        'TRIGGER:PT0M',
+        'END:VALARM',
+        'END:VEVENT'
+      );
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  MAX_MEDICATIONS,
+  normalizeMedication,
+  findByName,
+  medicationNames,
+  medicationCalendar
+};
@@ -0,0 +1,227 @@
+const { log } = require('./logger');
+
+// Prometheus metrics in the text exposition format (GET /metrics). A small
+// in-process registry: counters, gauges and histograms with labels, kept
+// in memory per server process.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in declaration order
+class Metric {
+  constructor(type, { name, help, labels = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labels;
+    this.series = new Map();
+  }
+
+  labels(values = {}) {
+    return Object.fromEntries(this.labelNames.map(name => [name, values[name] === undefined ? '' : values[name]]));
+  }
+
+  entry(values, create) {
+    const labels = this.labels(values);
+    const key = JSON.stringify(Object.values(labels));
+    if (!this.series.has(key)) this.series.set(key, { labels, ...create() });
+    return this.series.get(key);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels, value = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += value;
+  }
+
+  lines() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  lines() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets, ...options }) {
+    super('histogram', options);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ]);
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) { return this.register(new Counter(options)); }
+  gauge(options) { return this.register(new Gauge(options)); }
+  histogram(options) { return this.register(new Histogram(options)); }
+
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n\n')}\n`;
+  }
+}
+
+const registry = new Registry();
+
+const HTTP_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const MODEL_BUCKETS = [0.25, 0.5, 1, 2, 4, 8, 15, 30, 60];
+
+const metrics = {
+  httpRequests: registry.counter({
+    name: 'healthvision_http_requests_total',
+    help: 'HTTP requests by method, route and status code.',
+    labels: ['method', 'route', 'status']
+  }),
+  httpDuration: registry.histogram({
+    name: 'healthvision_http_request_duration_seconds',
+    help: 'HTTP request latency by method and route.',
+    labels: ['method', 'route'],
+    buckets: HTTP_BUCKETS
+  }),
+  modelCalls: registry.counter({
+    name: 'healthvision_model_calls_total',
+    help: 'Model call attempts by model, task and outcome (success, error, timeout, circuit_open).',
+    labels: ['model', 'task', 'outcome']
+  }),
+  modelDuration: registry.histogram({
+    name: 'healthvision_model_call_duration_seconds',
+    help: 'Model call latency by model and task, including failed attempts.',
+    labels: ['model', 'task'],
+    buckets: MODEL_BUCKETS
+  }),
+  modelFallbacks: registry.counter({
+    name: 'healthvision_model_fallbacks_total',
+    help: 'Calls answered by a fallback model instead of the requested one.',
+    labels: ['task', 'model']
+  }),
+  circuitState: registry.gauge({
+    name: 'healthvision_model_circuit_state',
+    help: 'Circuit breaker state per model (0 closed, 1 half-open, 2 open).',
+    labels: ['model']
+  }),
+  results: registry.counter({
+    name: 'healthvision_results_total',
+    help: 'Answers by type (analysis, followup, image, drugs) and source (model or fallback).',
+    labels: ['type', 'source']
+  }),
+  structuredOutput: registry.counter({
+    name: 'healthvision_structured_output_total',
+    help: 'Structured model replies by response type and parse status (parsed, repaired, fallback).',
+    labels: ['type', 'status']
+  }),
+  severity: registry.counter({
+    name: 'healthvision_severity_total',
+    help: 'Answers by type and severity (overall risk for drug checks).',
+    labels: ['type', 'severity']
+  })
+};
+
+const CIRCUIT_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+
+// Route pattern rather than the URL, so session IDs and query strings never
+// become label values
+function routeLabel(req, res) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return res.statusCode === 404 ? 'unmatched' : 'static';
+}
+
+// Counts and times every request and writes one access log line per request
+function trackRequests() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = routeLabel(req, res);
+      metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      metrics.httpDuration.observe({ method: req.method, route }, seconds);
+      if (route !== 'static') {
+        log.event(`${req.method} ${route} ${res.statusCode} ${Math.round(seconds * 1000)}ms`, {
+          method: req.method,
+          route,
+          status: res.statusCode,
+          durationMs: Math.round(seconds * 1000)
+        });
+      }
+    });
+    next();
+  };
+}
+
+// For ResilientProvider's onCall hook
+function observeModelCall({ model, task, outcome, durationMs, fallback }) {
+  metrics.modelCalls.inc({ model, task, outcome });
+  if (durationMs !== undefined) metrics.modelDuration.observe({ model, task }, durationMs / 1000);
+  if (fallback && outcome === 'success') metrics.modelFallbacks.inc({ task, model });
+}
+
+// One answered request: where it came from and how severe it was
+function observeResult({ type, fallback, severity }) {
+  metrics.results.inc({ type, source: fallback ? 'fallback' : 'model' });
+  if (severity) metrics.severity.inc({ type, severity });
+}
+
+function updateCircuitStates(models) {
+  models.forEach(({ model, state }) => metrics.circuitState.set({ model }, CIRCUIT_VALUES[state]));
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  Registry,
+  registry,
+  metrics,
+  routeLabel,
+  trackRequests,
+  observeModelCall,
+  observeResult,
+  updateCircuitStates
+};
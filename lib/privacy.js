@@ -0,0 +1,176 @@
+const { LANGUAGES, t } = require('./i18n');
+const { getConfig } = require('./config');
+
+// PII redaction. Free text is masked before it reaches the model (see
+// providers/redacting.js) and before it is written to the logs. Detectors
+// are pattern based and run offline: emails, phone numbers, card numbers,
+// ID numbers (labelled, or SSN-shaped), secrets such as API keys and
+// tokens, and names introduced by a cue ("my name is", "me llamo") or a
+// title (Mr, Dr, Mme). Clinical numbers (temperatures, doses, blood
+// pressure, dates) are left alone.
+
+const LOG_PRIVACY = { NONE: 'none', METADATA: 'metadata', REDACTED: 'redacted' };
+
+const PLACEHOLDERS = {
+  secret: '[SECRET]',
+  email: '[EMAIL]',
+  card: '[CARD]',
+  id: '[ID]',
+  phone: '[PHONE]',
+  name: '[NAME]'
+};
+
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const NOT_WORD_BEFORE = '(?<![\\p{L}\\p{N}])';
+
+// Cues and ID labels from every locale's `privacy` section
+const merged = key => [...new Set(LANGUAGES.flatMap(language => t(language, `privacy.${key}`)))]
+  .sort((a, b) => b.length - a.length)
+  .map(escape);
+
+const NAME_CUE = new RegExp(`${NOT_WORD_BEFORE}(${merged('nameCues').join('|')})(\\s*)([^\\s,.;:!?،؟।()]+)(\\s+[^\\s,.;:!?،؟।()]+)?`, 'giu');
+const NAME_TITLE = /(?<![\p{L}\p{N}])((?:Mr|Mrs|Ms|Miss|Mx|Dr|Sr|Sra|Srta|Mme|Mlle)\.?|M\.)(\s+)(\p{Lu}[\p{L}'’-]+(?:\s+\p{Lu}[\p{L}'’-]+)?)/gu;
+// A second word after a cue is only part of the name when capitalized, or in an uncased script
+const NAME_WORD = /^[\s]*(\p{Lu}|\p{Lo})/u;
+
+const ID_LABEL = new RegExp(
+  `${NOT_WORD_BEFORE}((?:${merged('idLabels').join('|')})(?:\\s*(?:number|no\\.?|num|#|n[°º]|is|es|est|:))*\\s*)((?=[\\p{L}\\p{N}-]*\\d)[\\p{L}\\p{N}][\\p{L}\\p{N}-]{3,}(?:\\s\\d{4})*)`,
+  'giu'
+);
+
+const DETECTORS = [
+  ['secret', /\bAIza[0-9A-Za-z_-]{35}\b/g],
+  ['secret', /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}\b/g],
+  ['secret', /\bBearer\s+[A-Za-z0-9._~+/=-]{16,}/gi],
+  ['secret', /(?<![A-Za-z0-9_-])(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}(?![A-Za-z0-9_-])/g],
+  ['email', /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi],
+  ['card', /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g, match => luhn(match.replace(/\D/g, ''))],
+  ['id', /\b\d{3}-\d{2}-\d{4}\b/g]
+];
+
+const PHONE = /(?<![\p{L}\p{N}])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d(?:[\s.-]?\d){6,14}(?!\p{N})/gu;
+
+// Digit runs that look like dates, year ranges or time ranges rather than phones
+const NOT_PHONE = [
+  /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/,
+  /^(?:19|20)\d{2}\s*-\s*(?:19|20)\d{2}$/,
+  /^\d{1,2}[.:]\d{2}\s*-\s*\d{1,2}[.:]\d{2}$/
+];
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Masks identifiers in a string. Returns { text, counts } where counts is
+ * { email: 1, phone: 2, ... } for the identifiers that were replaced.
+ */
+function redact(text) {
+  const counts = {};
+  const mask = type => {
+    counts[type] = (counts[type] || 0) + 1;
+    return PLACEHOLDERS[type];
+  };
+  let result = String(text == null ? '' : text);
+
+  DETECTORS.forEach(([type, pattern, accept]) => {
+    result = result.replace(pattern, match => (accept && !accept(match) ? match : mask(type)));
+  });
+
+  result = result.replace(ID_LABEL, (match, label) => `${label}${mask('id')}`);
+  result = result.replace(PHONE, match => (NOT_PHONE.some(pattern => pattern.test(match.trim())) ? match : mask('phone')));
+
+  result = result.replace(NAME_CUE, (match, cue, space, first, second) => {
+    if (first.startsWith('[')) return match;
+    const secondIsName = second && NAME_WORD.test(second) && !second.trim().startsWith('[');
+    return `${cue}${space}${mask('name')}${second && !secondIsName ? second : ''}`;
+  });
+  result = result.replace(NAME_TITLE, (match, title, space) => `${title}${space}${mask('name')}`);
+
+  return { text: result, counts };
+}
+
+function addCounts(total, counts) {
+  Object.entries(counts).forEach(([type, count]) => { total[type] = (total[type] || 0) + count; });
+  return total;
+}
+
+/**
+ * Redacts a model prompt: a string, or a list of parts where strings and
+ * { text } parts are masked and other parts (inlineData images) pass through.
+ */
+function redactPrompt(prompt) {
+  if (!Array.isArray(prompt)) {
+    const { text, counts } = redact(prompt);
+    return { prompt: text, counts };
+  }
+
+  const counts = {};
+  const parts = prompt.map(part => {
+    if (typeof part === 'string') {
+      const result = redact(part);
+      addCounts(counts, result.counts);
+      return result.text;
+    }
+    if (part && typeof part.text === 'string') {
+      const result = redact(part.text);
+      addCounts(counts, result.counts);
+      return { ...part, text: result.text };
+    }
+    return part;
+  });
+  return { prompt: parts, counts };
+}
+
+// "2 email, 1 phone"
+function describeCounts(counts) {
+  return Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ');
+}
+
+// LOG_PRIVACY: metadata (default) | redacted | none
+function logPrivacy() {
+  return getConfig().privacy.logLevel;
+}
+
+/**
+ * User-supplied text for a log line: only its length at `metadata`, the
+ * masked text at `redacted`, the text itself at `none` (local debugging).
+ */
+function logText(text, max = 50) {
+  const value = String(text == null ? '' : text);
+  const level = logPrivacy();
+  if (level === LOG_PRIVACY.METADATA) return `[${value.length} chars]`;
+
+  const shown = level === LOG_PRIVACY.REDACTED ? redact(value).text : value;
+  return `"${shown.substring(0, max)}${shown.length > max ? '...' : ''}"`;
+}
+
+// Error and diagnostic messages that may quote user text or model output
+// (JSON.parse quotes the start of the reply); quotes are dropped at `metadata`
+function logMessage(message) {
+  const level = logPrivacy();
+  if (level === LOG_PRIVACY.NONE) return String(message);
+
+  const masked = redact(message).text;
+  return level === LOG_PRIVACY.METADATA ? masked.replace(/"[^"]*"(?:\.\.\.)?/g, '"…"') : masked;
+}
+
+module.exports = {
+  LOG_PRIVACY,
+  PLACEHOLDERS,
+  redact,
+  redactPrompt,
+  describeCounts,
+  logPrivacy,
+  logText,
+  logMessage
+};
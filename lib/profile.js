@@ -0,0 +1,132 @@
+// Patient health profile (GET/PUT /api/profile), stored on the signed-in
+// user. Analyses merge it into their prompts and red-flag checks and report
+// the fields that contributed in `profileFieldsUsed`.
+
+const LIST_FIELDS = ['conditions', 'medications', 'allergies'];
+const FLAG_FIELDS = ['pregnant', 'breastfeeding'];
+const NUMBER_FIELDS = {
+  age: { min: 0, max: 130 },
+  weightKg: { min: 0.5, max: 500 },
+  heightCm: { min: 20, max: 280 }
+};
+const PROFILE_FIELDS = ['age', 'gender', ...FLAG_FIELDS, ...LIST_FIELDS, 'weightKg', 'heightCm'];
+
+const MAX_LIST_ITEMS = 50;
+const MAX_TEXT_LENGTH = 100;
+
+function emptyProfile() {
+  return {
+    age: null,
+    gender: '',
+    pregnant: false,
+    breastfeeding: false,
+    conditions: [],
+    medications: [],
+    allergies: [],
+    weightKg: null,
+    heightCm: null
+  };
+}
+
+// "a, b; c" or ["a", "b"] -> ["a", "b", "c"]
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[,;\n]/);
+  return items
+    .map(item => (typeof item === 'string' ? item.trim() : ''))
+    .filter(Boolean);
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Form posts (multipart image uploads) send checkboxes as strings
+function toFlag(value) {
+  return value === true || ['true', 'on', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Validates a PUT body into a complete profile. Returns { profile, errors }
+ * where errors lists the invalid field names; missing fields are cleared.
+ */
+function normalizeProfile(input = {}) {
+  const profile = emptyProfile();
+  const errors = [];
+
+  Object.entries(NUMBER_FIELDS).forEach(([field, { min, max }]) => {
+    if (isBlank(input[field])) return;
+    const value = Number(input[field]);
+    if (!Number.isFinite(value) || value < min || value > max) errors.push(field);
+    else profile[field] = value;
+  });
+
+  if (!isBlank(input.gender)) {
+    if (typeof input.gender !== 'string' || input.gender.length > 30) errors.push('gender');
+    else profile.gender = input.gender.trim();
+  }
+
+  FLAG_FIELDS.forEach(field => {
+    if (isBlank(input[field])) return;
+    if (typeof input[field] !== 'boolean') errors.push(field);
+    else profile[field] = input[field];
+  });
+
+  LIST_FIELDS.forEach(field => {
+    if (isBlank(input[field])) return;
+    const items = toList(input[field]);
+    if (items.length > MAX_LIST_ITEMS || items.some(item => item.length > MAX_TEXT_LENGTH)) errors.push(field);
+    else profile[field] = items;
+  });
+
+  return { profile, errors };
+}
+
+/**
+ * Merges a stored profile into a request. Values typed in the request win
+ * for single-value fields (flags posted as form strings such as "true" are
+ * read as booleans); lists are combined without duplicates. Returns
+ * { values, profileFieldsUsed } with only the requested `fields`.
+ */
+function mergeProfile(profile, request, fields = PROFILE_FIELDS) {
+  const values = {};
+  const profileFieldsUsed = [];
+  const stored = profile || {};
+
+  fields.forEach(field => {
+    if (LIST_FIELDS.includes(field)) {
+      const own = toList(request[field]);
+      const known = new Set(own.map(item => item.toLowerCase()));
+      const added = (stored[field] || []).filter(item => !known.has(item.toLowerCase()));
+      values[field] = [...own, ...added];
+      if (added.length) profileFieldsUsed.push(field);
+    } else if (!isBlank(request[field])) {
+      values[field] = FLAG_FIELDS.includes(field) ? toFlag(request[field]) : request[field];
+    } else if (!isBlank(stored[field]) && stored[field] !== false) {
+      values[field] = stored[field];
+      profileFieldsUsed.push(field);
+    } else {
+      values[field] = FLAG_FIELDS.includes(field) ? false : '';
+    }
+  });
+
+  return { values, profileFieldsUsed };
+}
+
+/**
+ * Adds imported fields (e.g. from a FHIR bundle) to a stored profile:
+ * single values are replaced, list items are added if not already there.
+ */
+function applyProfileFields(profile, fields) {
+  const result = { ...emptyProfile(), ...profile };
+  Object.entries(fields).forEach(([field, value]) => {
+    if (LIST_FIELDS.includes(field)) {
+      const known = new Set(result[field].map(item => item.toLowerCase()));
+      result[field] = [...result[field], ...toList(value).filter(item => !known.has(item.toLowerCase()))];
+    } else if (PROFILE_FIELDS.includes(field)) {
+      result[field] = value;
+    }
+  });
+  return result;
+}
+
+module.exports = { PROFILE_FIELDS, emptyProfile, normalizeProfile, mergeProfile, applyProfileFields, toList };
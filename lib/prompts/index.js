@@ -0,0 +1,180 @@
+const { t } = require('../i18n');
+const { SEVERITY_CODES } = require('../severity');
+const { DRUG_RESPONSE_FORMAT } = require('../drugInteractions');
+const { getPromptRegistry, templateParts, fillTemplate } = require('./registry');
+
+// Model prompts. The wording is in versioned template files (see ./registry
+// and ./templates); the builders here work out the variables, and the locale
+// catalog supplies the labels and placeholders they share (prompts.* keys).
+// Each builder takes an `assignment` key for A/B tests and returns
+// { prompt, template } where template is { id, version, variant? }, to be
+// recorded with the answer.
+
+// The template for a call, its parts in `language`, and what to record
+function useTemplate(id, assignment, language) {
+  const { template, variant } = getPromptRegistry().select(id, assignment);
+  return {
+    parts: templateParts(template, language),
+    template: { id, version: template.version, ...(variant ? { variant } : {}) }
+  };
+}
+
+function detailLines(labels, details) {
+  return details
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${labels[key]}: ${value}`)
+    .join('\n');
+}
+
+// Stored profile details (see lib/profile) as a labelled block, or ''
+function profileBlock(labels, profile = {}) {
+  const list = field => (profile[field] || []).join(', ');
+  const lines = [
+    detailLines(labels, [
+      ['conditions', list('conditions')],
+      ['medications', list('medications')],
+      ['allergies', list('allergies')],
+      ['weight', profile.weightKg && `${profile.weightKg} kg`],
+      ['height', profile.heightCm && `${profile.heightCm} cm`]
+    ]),
+    profile.pregnant ? labels.pregnant : '',
+    profile.breastfeeding ? labels.breastfeeding : ''
+  ].filter(Boolean);
+
+  return lines.length ? `${labels.profile}:\n${lines.join('\n')}\n` : '';
+}
+
+// The symptom-analysis JSON shape, with placeholders in the target language
+function analysisFormat(language, count = 3) {
+  const p = t(language, 'prompts.placeholders');
+  const or = t(language, 'prompts.or');
+  const numbered = (template) => Array.from({ length: count }, (_, i) => template.replace('{n}', i + 1));
+
+  return [
+    `  "possibleConditions": ${JSON.stringify(numbered(p.condition))},`,
+    `  "severity": "${SEVERITY_CODES.join(` ${or} `)}",`,
+    `  "recommendations": ${JSON.stringify(numbered(p.recommendation))},`,
+    `  "requiresImmediateCare": true ${or} false,`,
+    `  "whenToSeeDoctor": "${p.whenToSeeDoctor}",`,
+    `  "selfCareTips": ${JSON.stringify(numbered(p.tip))}`
+  ].join('\n');
+}
+
+function buildAnalyzePrompt({ symptoms, age, gender, duration, profile, language = 'en', assignment }) {
+  const labels = t(language, 'prompts.labels');
+  const { parts, template } = useTemplate('analyze', assignment, language);
+
+  const prompt = fillTemplate(parts.text, {
+    symptoms,
+    age,
+    gender,
+    duration,
+    details: detailLines(labels, [['age', age], ['gender', gender], ['duration', duration]]),
+    profile: profileBlock(labels, profile),
+    format: analysisFormat(language)
+  });
+  return { prompt, template };
+}
+
+/**
+ * Image analysis prompt. With imageCount 0 it asks for the same JSON from
+ * the description alone (used when vision fails).
+ */
+function buildImagePrompt({ symptoms, age, duration, profile, imageCount = 1, language = 'en', assignment }) {
+  const labels = t(language, 'prompts.labels');
+  const { parts, template } = useTemplate('image', assignment, language);
+  const intro = imageCount === 0 ? parts.textOnly : imageCount === 1 ? parts.introSingle : parts.introMultiple;
+
+  const prompt = fillTemplate(parts.text, {
+    intro: fillTemplate(intro, { count: imageCount }),
+    description: symptoms || labels.noDescription,
+    age,
+    duration,
+    details: detailLines(labels, [['age', age], ['duration', duration]]),
+    profile: profileBlock(labels, profile),
+    format: analysisFormat(language, 2)
+  });
+  return { prompt, template };
+}
+
+// Drug check prompt, ending with DRUG_RESPONSE_FORMAT. `profile` adds age,
+// pregnancy and weight, which change dosing and contraindications.
+function buildDrugPrompt({ medicines, conditions, allergies, profile = {}, language = 'en', assignment }) {
+  const labels = t(language, 'prompts.labels');
+  const { parts, template } = useTemplate('drugs', assignment, language);
+
+  const prompt = fillTemplate(parts.text, {
+    medicines: medicines.join(', '),
+    conditions,
+    allergies,
+    details: detailLines(labels, [['age', profile.age], ['conditions', conditions], ['allergies', allergies]]),
+    profile: profileBlock(labels, { pregnant: profile.pregnant, breastfeeding: profile.breastfeeding, weightKg: profile.weightKg }),
+    format: DRUG_RESPONSE_FORMAT
+  });
+  return { prompt, template };
+}
+
+// Analysis fields the model needs to see when refining an earlier version
+function analysisSummary(analysis) {
+  const { possibleConditions, severity, recommendations, requiresImmediateCare, whenToSeeDoctor } = analysis || {};
+  return JSON.stringify({ possibleConditions, severity, recommendations, requiresImmediateCare, whenToSeeDoctor }, null, 2);
+}
+
+/**
+ * Follow-up prompt for /api/chat. `exchanges` are the earlier turns plus
+ * the current one: { clarifyingQuestions asked before it, answers, message }.
+ */
+function buildChatPrompt({ symptoms, age, gender, duration, analysis, version, exchanges = [], language = 'en', assignment }) {
+  const labels = t(language, 'prompts.labels');
+  const { parts, template } = useTemplate('chat', assignment, language);
+  const questions = Array.from({ length: 2 }, (_, i) => fillTemplate(parts.question, { n: i + 1 }));
+
+  const transcript = exchanges.map(({ clarifyingQuestions = [], answers = [], message }) => {
+    const answered = new Map(answers.map(a => [a.question, a.answer]));
+    const extra = answers.filter(a => !clarifyingQuestions.includes(a.question));
+    const lines = [];
+    if (clarifyingQuestions.length || extra.length) {
+      lines.push(`${parts.answers}:`);
+      lines.push(...clarifyingQuestions.map(q => `- ${q} → ${answered.get(q) || parts.noAnswer}`));
+      lines.push(...extra.map(a => `- ${a.question ? `${a.question} → ` : ''}${a.answer}`));
+    }
+    if (message) lines.push(`${parts.message}: "${message}"`);
+    return lines.join('\n');
+  }).filter(Boolean).join('\n\n');
+
+  const prompt = fillTemplate(parts.text, {
+    symptoms,
+    age,
+    gender,
+    duration,
+    details: detailLines(labels, [['age', age], ['gender', gender], ['duration', duration]]),
+    version,
+    analysis: analysisSummary(analysis),
+    transcript,
+    format: analysisFormat(language),
+    questions: JSON.stringify(questions)
+  });
+  return { prompt, template };
+}
+
+// Voice input for /api/transcribe; the recording is sent as a part after
+// this text. `language` is the UI language, only a hint for the model.
+function buildTranscriptionPrompt({ language = 'en', assignment }) {
+  const { parts, template } = useTemplate('transcribe', assignment, language);
+  return { prompt: fillTemplate(parts.text, { language: t(language, 'language.name') }), template };
+}
+
+// Rewrites result text for /api/voice so it reads well aloud
+function buildVoicePrompt({ text, language = 'en', assignment }) {
+  const { parts, template } = useTemplate('voice', assignment, language);
+  return { prompt: fillTemplate(parts.text, { language: t(language, 'language.name'), text: text.substring(0, 500) }), template };
+}
+
+module.exports = {
+  buildAnalyzePrompt,
+  buildImagePrompt,
+  buildDrugPrompt,
+  buildChatPrompt,
+  buildTranscriptionPrompt,
+  buildVoicePrompt
+};
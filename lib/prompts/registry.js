@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig, ConfigError, PROMPT_TEMPLATES } = require('../config');
+
+// Prompt templates as versioned files. templates/<id>/v<version>.json holds
+// { id, version, description, candidate?, languages: { en: { text, ...parts } } }: `text`
+// is the prompt with {variable} placeholders, the other parts are pieces the
+// builders in ./index choose between (such as one intro per image count). A
+// language without an entry of its own uses English.
+//
+// The version a call gets comes from the config: PROMPT_<ID>_VERSION (0 means
+// the newest not marked `candidate: true`, so a candidate can ship before it
+// is tested) or, in an A/B test, PROMPT_<ID>_CANDIDATE for
+// PROMPT_<ID>_CANDIDATE_PERCENT % of assignment keys. A key (the user id,
+// say) always lands in the same group.
+
+const FILE_PATTERN = /^v(\d+)\.json$/;
+const PLACEHOLDER = /\{([A-Za-z]\w*)\}/g;
+
+// Problems with one template file, as a list of messages
+function checkTemplate(template, id, version) {
+  if (!template || typeof template !== 'object') return ['is not a JSON object'];
+  const problems = [];
+  if (template.id !== id) problems.push(`has id ${JSON.stringify(template.id)}, expected "${id}"`);
+  if (template.version !== version) problems.push(`has version ${JSON.stringify(template.version)}, expected ${version}`);
+  if (template.candidate !== undefined && typeof template.candidate !== 'boolean') problems.push('has a candidate flag that is not true or false');
+
+  const languages = template.languages;
+  if (!languages || typeof languages !== 'object' || !languages.en) return [...problems, 'needs languages.en'];
+  Object.entries(languages).forEach(([language, parts]) => {
+    if (!parts || typeof parts.text !== 'string') problems.push(`needs languages.${language}.text`);
+    else if (Object.values(parts).some(part => typeof part !== 'string')) problems.push(`languages.${language} must hold only strings`);
+  });
+  return problems;
+}
+
+class PromptRegistry {
+  constructor({ dir, settings }) {
+    this.dir = dir;
+    this.settings = settings;
+    // id -> Map(version -> template)
+    this.templates = new Map();
+    this.load();
+  }
+
+  // Reads every template; missing or invalid files fail like a bad setting
+  load() {
+    const issues = [];
+
+    PROMPT_TEMPLATES.forEach(id => {
+      const folder = path.join(this.dir, id);
+      const versions = new Map();
+
+      (fs.existsSync(folder) ? fs.readdirSync(folder) : []).forEach(file => {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) return;
+        const version = Number(match[1]);
+        let template;
+        try {
+          template = JSON.parse(fs.readFileSync(path.join(folder, file), 'utf8'));
+        } catch (error) {
+          issues.push(`Prompt template ${id}/${file} could not be read: ${error.message}`);
+          return;
+        }
+        const problems = checkTemplate(template, id, version);
+        if (problems.length) problems.forEach(problem => issues.push(`Prompt template ${id}/${file} ${problem}`));
+        else versions.set(version, template);
+      });
+
+      const env = `PROMPT_${id.toUpperCase()}`;
+      const { version, candidate } = this.settings[id];
+      const released = [...versions.values()].filter(template => !template.candidate);
+      if (!versions.size) issues.push(`No prompt templates for "${id}" in ${folder}`);
+      else if (version && !versions.has(version)) issues.push(`${env}_VERSION=${version} but there is no ${id}/v${version}.json`);
+      else if (!version && !released.length) issues.push(`Every "${id}" template is a candidate; set ${env}_VERSION`);
+      if (candidate && versions.size && !versions.has(candidate)) {
+        issues.push(`${env}_CANDIDATE=${candidate} but there is no ${id}/v${candidate}.json`);
+      } else if (candidate && candidate === (version || newest(released))) {
+        issues.push(`${env}_CANDIDATE=${candidate} is already the version in use`);
+      }
+      this.templates.set(id, versions);
+    });
+
+    if (issues.length) throw new ConfigError(issues);
+  }
+
+  // Version numbers of a template, oldest first
+  versions(id) {
+    return [...this.templates.get(id).keys()].sort((a, b) => a - b);
+  }
+
+  // The version in use outside an A/B test
+  current(id) {
+    const versions = this.templates.get(id);
+    return versions.get(this.settings[id].version)
+      || versions.get(newest([...versions.values()].filter(template => !template.candidate)));
+  }
+
+  /**
+   * The template for one call. Returns { template, variant } where variant
+   * is null, or control/candidate while an A/B test runs. Without a key
+   * (anonymous, say) the group is random.
+   */
+  select(id, key = null) {
+    const { candidate, candidatePercent } = this.settings[id];
+    if (!candidate) return { template: this.current(id), variant: null };
+
+    const inCandidate = bucket(id, key) < candidatePercent;
+    return inCandidate
+      ? { template: this.templates.get(id).get(candidate), variant: 'candidate' }
+      : { template: this.current(id), variant: 'control' };
+  }
+
+  // Versions in use per template, for /api/health
+  describe() {
+    return Object.fromEntries(PROMPT_TEMPLATES.map(id => {
+      const { candidate, candidatePercent } = this.settings[id];
+      return [id, {
+        version: this.current(id).version,
+        versions: this.versions(id),
+        ...(candidate ? { candidate, candidatePercent } : {})
+      }];
+    }));
+  }
+}
+
+function newest(templates) {
+  return Math.max(...templates.map(template => template.version));
+}
+
+// 0-99, the same for the same template and key
+function bucket(id, key) {
+  if (key === null || key === undefined) return Math.floor(Math.random() * 100);
+  return crypto.createHash('sha256').update(`${id}:${key}`).digest().readUInt32BE(0) % 100;
+}
+
+// The language's parts of a template (English when it has none)
+function templateParts(template, language) {
+  return template.languages[language] || template.languages.en;
+}
+
+// Replaces {name} with vars.name in one pass, so values containing braces are
+// left alone; placeholders without a matching variable stay as they are
+function fillTemplate(text, vars) {
+  return text.replace(PLACEHOLDER, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(vars, name)) return match;
+    return vars[name] === undefined || vars[name] === null ? '' : String(vars[name]);
+  });
+}
+
+let registry = null;
+
+// The templates in PROMPT_TEMPLATES_DIR, loaded on first use
+function getPromptRegistry() {
+  if (!registry) {
+    const config = getConfig();
+    registry = new PromptRegistry({ dir: config.prompts.dir, settings: config.prompts });
+  }
+  return registry;
+}
+
+module.exports = { PromptRegistry, getPromptRegistry, templateParts, fillTemplate };
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Stable key for a prompt, which may be a string or an array of parts
+// (text and inlineData) as accepted by generateContent
+function promptKey(prompt) {
+  const hash = crypto.createHash('sha256');
+  const parts = Array.isArray(prompt) ? prompt : [prompt];
+  parts.forEach(part => {
+    if (typeof part === 'string') hash.update(part);
+    else if (part && part.text) hash.update(part.text);
+    else if (part && part.inlineData) hash.update(part.inlineData.data || '');
+  });
+  return hash.digest('hex').slice(0, 16);
+}
+
+// Text parts only, for substring matching
+function promptText(prompt) {
+  const parts = Array.isArray(prompt) ? prompt : [prompt];
+  return parts
+    .map(part => (typeof part === 'string' ? part : (part && part.text) || ''))
+    .join('\n');
+}
+
+module.exports = { promptKey, promptText };
@@ -0,0 +1,32 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini implementation of the provider interface
+class GeminiProvider {
+  constructor({ apiKey }) {
+    this.name = 'gemini';
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  // `signal` (an AbortSignal) cancels the HTTP request, e.g. on timeout
+  async generate({ model, prompt, generationConfig, signal }) {
+    const generativeModel = this.client.getGenerativeModel({ model, generationConfig });
+    const result = await generativeModel.generateContent(prompt, { signal });
+    return { text: result.response.text(), model };
+  }
+
+  // Same as generate, calling onText with each chunk as it arrives
+  async stream({ model, prompt, generationConfig, onText, signal }) {
+    const generativeModel = this.client.getGenerativeModel({ model, generationConfig });
+    const result = await generativeModel.generateContentStream(prompt, { signal });
+
+    let text = '';
+    for await (const chunk of result.stream) {
+      const part = chunk.text();
+      text += part;
+      if (part && onText) onText(part);
+    }
+    return { text, model };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,76 @@
+const { getConfig } = require('../config');
+const { log } = require('../logger');
+const GeminiProvider = require('./gemini');
+const MockProvider = require('./mock');
+const RecordingProvider = require('./recording');
+const RedactingProvider = require('./redacting');
+const { ResilientProvider, ModelTimeoutError, ModelUnavailableError } = require('./resilient');
+
+/**
+ * Creates the LLM provider selected by LLM_PROVIDER (gemini | mock).
+ * Defaults to gemini when GEMINI_API_KEY is set; returns null when no
+ * provider is usable so routes can serve their local fallbacks.
+ *
+ * Every provider implements:
+ *   name
+ *   generate({ task, model, prompt, generationConfig }) -> { text, model }
+ *   stream({ task, model, prompt, generationConfig, onText }) -> { text, model }
+ *     (onText(chunk) is called as the reply arrives)
+ *
+ * `task` (analyze | chat | voice | image | drugs) lets the mock pick a response.
+ *
+ * The provider is wrapped in a RedactingProvider (PII masked in every
+ * prompt) and a ResilientProvider (timeouts, retries, circuit breaker,
+ * `fallbackModels` chain); status() reports each model's state.
+ */
+function createProvider(options = {}) {
+  const settings = getConfig().llm;
+  const apiKey = options.apiKey !== undefined ? options.apiKey : getConfig().gemini.apiKey;
+  const type = options.type || settings.provider || (apiKey ? 'gemini' : null);
+
+  let provider;
+  switch (type) {
+    case null:
+      return null;
+    case 'gemini':
+      if (!apiKey) {
+        log.error('❌ LLM_PROVIDER=gemini but GEMINI_API_KEY is missing');
+        return null;
+      }
+      provider = new GeminiProvider({ apiKey });
+      break;
+    case 'mock':
+      provider = new MockProvider({
+        fixturesDir: options.fixturesDir || settings.mockFixturesDir,
+        streamDelayMs: options.streamDelayMs !== undefined ? options.streamDelayMs : settings.mockStreamDelayMs
+      });
+      break;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${type}" (expected gemini or mock)`);
+  }
+
+  const recordDir = options.recordDir || settings.recordDir;
+  if (recordDir && type !== 'mock') provider = new RecordingProvider(provider, { dir: recordDir });
+
+  return new ResilientProvider(new RedactingProvider(provider), {
+    models: options.models || [],
+    fallbackModels: options.fallbackModels || [],
+    timeoutMs: settings.timeoutMs,
+    retries: settings.retries,
+    backoffMs: settings.backoffMs,
+    failureThreshold: settings.breakerThreshold,
+    cooldownMs: settings.breakerCooldownMs,
+    onCall: options.onCall
+  });
+}
+
+module.exports = {
+  createProvider,
+  GeminiProvider,
+  MockProvider,
+  RecordingProvider,
+  RedactingProvider,
+  ResilientProvider,
+  ModelTimeoutError,
+  ModelUnavailableError
+};
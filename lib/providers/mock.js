@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { promptKey, promptText } = require('./fixtures');
+const { log } = require('../logger');
+
+// Responses used when neither a script nor a fixture matches. They are
+// valid for the routes that parse them, so the whole API works offline.
+const DEFAULT_RESPONSES = {
+  analyze: JSON.stringify({
+    possibleConditions: ["Mock condition A", "Mock condition B"],
+    severity: "Medium",
+    recommendations: ["Mock recommendation 1", "Mock recommendation 2"],
+    requiresImmediateCare: false,
+    whenToSeeDoctor: "Within 24-48 hours if symptoms persist",
+    selfCareTips: ["Mock tip 1", "Mock tip 2"]
+  }),
+  chat: JSON.stringify({
+    possibleConditions: ["Mock condition A"],
+    severity: "Medium",
+    recommendations: ["Mock recommendation 1"],
+    requiresImmediateCare: false,
+    whenToSeeDoctor: "Within 24-48 hours if symptoms persist",
+    selfCareTips: ["Mock tip 1"],
+    clarifyingQuestions: ["Mock question 1?", "Mock question 2?"],
+    changes: "Mock update from the follow-up answers."
+  }),
+  voice: 'Mock speech text.',
+  image: JSON.stringify({
+    visualFindings: {
+      description: "Mock finding, a small flat patch",
+      color: "Pink",
+      estimatedSize: "About 1 cm",
+      borders: "Well defined",
+      infectionSigns: [],
+      otherFindings: []
+    },
+    possibleConditions: ["Mock condition A"],
+    severity: "Low",
+    recommendations: ["Mock recommendation 1"],
+    requiresImmediateCare: false,
+    whenToSeeDoctor: "If it spreads or does not improve within a week",
+    selfCareTips: ["Mock tip 1"]
+  }),
+  drugs: JSON.stringify({
+    overallRisk: "Low",
+    interactions: [],
+    conditionConflicts: [],
+    allergyConflicts: [],
+    duplicateTherapy: [],
+    alternatives: [],
+    summary: "Mock drug interaction analysis: no known interactions."
+  }),
+  transcribe: JSON.stringify({
+    transcript: "Mock transcript: I have had a headache since yesterday.",
+    language: "en"
+  })
+};
+
+const STREAM_CHUNK_CHARS = 40;
+
+/**
+ * Deterministic local provider for CI and air-gapped demos.
+ *
+ * Resolution order for each call:
+ *   1. scripted responses queued with script(task, response)
+ *   2. fixtures whose promptKey matches exactly (as written by RecordingProvider)
+ *   3. fixtures for the task whose `contains` text appears in the prompt
+ *   4. DEFAULT_RESPONSES[task]
+ *
+ * A fixture is a JSON file: { task, model?, promptKey?, contains?, delayMs?, response }.
+ * `model` limits it to calls for that model and `delayMs` holds the reply
+ * back, to try the fallback chain and timeouts offline.
+ * A response of { error: "message", status? } makes the call throw (with
+ * error.status set, like an HTTP failure); with { error, partial: "text" }
+ * stream() sends the partial text first, to simulate a model failing
+ * partway through a reply.
+ */
+class MockProvider {
+  constructor({ fixturesDir, streamDelayMs = 0 } = {}) {
+    this.name = 'mock';
+    this.streamDelayMs = streamDelayMs;
+    this.scripts = new Map();
+    this.fixtures = fixturesDir ? loadFixtures(fixturesDir) : [];
+    this.calls = [];
+  }
+
+  // Queue a response (string, { error }, or fn(request) => string) for a task
+  script(task, response) {
+    if (!this.scripts.has(task)) this.scripts.set(task, []);
+    this.scripts.get(task).push(response);
+    return this;
+  }
+
+  async generate(request) {
+    const response = await this.resolve(request);
+    if (response && typeof response === 'object' && response.error) {
+      throw mockError(response);
+    }
+
+    return { text: String(response), model: request.model };
+  }
+
+  // Replays the response in STREAM_CHUNK_CHARS pieces
+  async stream(request) {
+    const response = await this.resolve(request);
+    const failed = response && typeof response === 'object' && response.error;
+    const text = failed ? String(response.partial || '') : String(response);
+
+    for (let i = 0; i < text.length; i += STREAM_CHUNK_CHARS) {
+      await new Promise(resolve => setTimeout(resolve, this.streamDelayMs));
+      if (request.signal && request.signal.aborted) throw new Error('Request aborted');
+      if (request.onText) request.onText(text.slice(i, i + STREAM_CHUNK_CHARS));
+    }
+
+    if (failed) throw mockError(response);
+    return { text, model: request.model };
+  }
+
+  async resolve(request) {
+    const { task, model, prompt } = request;
+    this.calls.push({ task, model, promptKey: promptKey(prompt) });
+
+    const { response, delayMs } = this.next(task, model, prompt);
+    if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+    return typeof response === 'function' ? response(request) : response;
+  }
+
+  next(task, model, prompt) {
+    const queue = this.scripts.get(task);
+    if (queue && queue.length > 0) return { response: queue.shift() };
+
+    const forModel = this.fixtures.filter(f => !f.model || f.model === model);
+    const key = promptKey(prompt);
+    const exact = forModel.find(f => f.promptKey === key);
+    if (exact) return exact;
+
+    const text = promptText(prompt).toLowerCase();
+    const partial = forModel.find(f =>
+      f.task === task && (!f.contains || text.includes(String(f.contains).toLowerCase()))
+    );
+    if (partial) return partial;
+
+    return { response: DEFAULT_RESPONSES[task] || '' };
+  }
+}
+
+function mockError({ error, status }) {
+  const failure = new Error(error);
+  if (status) failure.status = status;
+  return failure;
+}
+
+function loadFixtures(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      } catch (error) {
+        log.error(`⚠️ Skipping invalid mock fixture ${file}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { promptKey } = require('./fixtures');
+const { log } = require('../logger');
+
+// Wraps a provider and writes every successful call as a mock fixture,
+// so real sessions can be replayed later with LLM_PROVIDER=mock
+class RecordingProvider {
+  constructor(provider, { dir }) {
+    this.name = provider.name;
+    this.provider = provider;
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  async generate(request) {
+    return this.record(request, await this.provider.generate(request));
+  }
+
+  async stream(request) {
+    return this.record(request, await this.provider.stream(request));
+  }
+
+  record(request, result) {
+    const key = promptKey(request.prompt);
+
+    try {
+      const fixture = { task: request.task, model: result.model, promptKey: key, response: result.text };
+      fs.writeFileSync(path.join(this.dir, `${request.task}-${key}.json`), JSON.stringify(fixture, null, 2));
+    } catch (error) {
+      log.error('⚠️ Failed to record fixture:', error.message);
+    }
+
+    return result;
+  }
+}
+
+module.exports = RecordingProvider;
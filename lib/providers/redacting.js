@@ -0,0 +1,28 @@
+const { redactPrompt, describeCounts } = require('../privacy');
+const { log } = require('../logger');
+
+// Wraps a provider and masks identifiers (names, emails, phone and ID
+// numbers, secrets) in every prompt before it leaves the server. Images
+// are passed through unchanged.
+class RedactingProvider {
+  constructor(provider) {
+    this.name = provider.name;
+    this.provider = provider;
+  }
+
+  async generate(request) {
+    return this.provider.generate(this.redact(request));
+  }
+
+  async stream(request) {
+    return this.provider.stream(this.redact(request));
+  }
+
+  redact(request) {
+    const { prompt, counts } = redactPrompt(request.prompt);
+    if (Object.keys(counts).length) log.info(`🛡️ Masked ${describeCounts(counts)} before calling the model (${request.task})`);
+    return { ...request, prompt };
+  }
+}
+
+module.exports = RedactingProvider;
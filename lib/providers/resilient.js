@@ -0,0 +1,246 @@
+// Wraps a provider with a resilient call path: every call gets a timeout,
+// transient errors (timeouts, 429, 5xx, network) are retried with
+// exponential backoff, and a model that keeps failing is skipped for a
+// cooldown (circuit breaker) while the call falls through to the next
+// model in the chain. When every model fails the error is thrown, so the
+// routes serve their local fallback as before.
+
+const { logMessage } = require('../privacy');
+const { log } = require('../logger');
+
+const STATE = { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'half-open' };
+
+const TRANSIENT_STATUS = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_MESSAGE = /timed? ?out|fetch failed|network|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|overloaded|unavailable|rate limit|quota/i;
+
+class ModelTimeoutError extends Error {
+  constructor(model, ms) {
+    super(`${model} did not respond within ${ms}ms`);
+    this.name = 'ModelTimeoutError';
+    this.code = 'MODEL_TIMEOUT';
+  }
+}
+
+// Thrown when every model in the chain failed or was skipped
+class ModelUnavailableError extends Error {
+  constructor(attempts) {
+    const last = attempts[attempts.length - 1];
+    super(last ? `All models failed (last: ${last.model}: ${last.error})` : 'All models are unavailable');
+    this.name = 'ModelUnavailableError';
+    this.code = 'MODEL_UNAVAILABLE';
+    this.attempts = attempts;
+  }
+}
+
+function isTransient(error) {
+  if (error instanceof ModelTimeoutError) return true;
+  if (TRANSIENT_STATUS.includes(error.status)) return true;
+  if (error.status >= 400 && error.status < 500) return false;
+  return TRANSIENT_MESSAGE.test(`${error.code || ''} ${error.message || ''}`);
+}
+
+// What /api/health shows of a failure: the HTTP status or error code,
+// never the upstream message (it can echo prompt text or account details)
+function errorKind(error) {
+  if (error.status) return `HTTP ${error.status}`;
+  return error.code || error.name || 'Error';
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class ResilientProvider {
+  /**
+   * options:
+   *   models          models to report in status() before they are first used
+   *   fallbackModels  tried in order after the requested model
+   *   timeoutMs       per attempt; for streams, the longest wait for the next chunk
+   *   retries         extra attempts per model for transient errors
+   *   backoffMs       first retry delay, doubled each retry (plus jitter)
+   *   failureThreshold  consecutive failures that open a model's circuit
+   *   cooldownMs      how long an open circuit skips the model
+   *   onCall          called after every attempt with { model, task, outcome,
+   *                   durationMs, fallback } (outcome: success, error,
+   *                   timeout or circuit_open), e.g. for metrics
+   */
+  constructor(provider, {
+    models = [],
+    fallbackModels = [],
+    timeoutMs = 20000,
+    retries = 2,
+    backoffMs = 500,
+    failureThreshold = 3,
+    cooldownMs = 60000,
+    onCall = () => {},
+    now = Date.now
+  } = {}) {
+    this.name = provider.name;
+    this.provider = provider;
+    this.fallbackModels = fallbackModels;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.onCall = onCall;
+    this.now = now;
+    this.breakers = new Map();
+    [...models, ...fallbackModels].forEach(model => this.breaker(model));
+  }
+
+  async generate(request) {
+    return this.run(request, (model, signal) => this.provider.generate({ ...request, model, signal }), false);
+  }
+
+  // Falls back to another attempt only while nothing has been streamed;
+  // once text reached the client a failure is thrown to the caller.
+  async stream(request) {
+    let streamed = false;
+    return this.run(request, (model, signal, touch) => this.provider.stream({
+      ...request,
+      model,
+      signal,
+      onText: chunk => {
+        if (signal.aborted) return; // a timed-out attempt that is still delivering
+        streamed = true;
+        touch();
+        if (request.onText) request.onText(chunk);
+      }
+    }), true, () => streamed);
+  }
+
+  async run(request, call, idle, streamed = () => false) {
+    const chain = [request.model, ...this.fallbackModels.filter(model => model !== request.model)];
+    const attempts = [];
+
+    for (const model of chain) {
+      const breaker = this.breaker(model);
+      const fallback = model !== request.model;
+      if (!this.allow(breaker)) {
+        attempts.push({ model, error: 'circuit open' });
+        this.onCall({ model, task: request.task, outcome: 'circuit_open', fallback });
+        continue;
+      }
+
+      for (let attempt = 0; attempt <= this.retries; attempt++) {
+        const started = this.now();
+        try {
+          const result = await this.attempt(model, call, idle);
+          this.succeeded(breaker, this.now() - started);
+          this.onCall({ model, task: request.task, outcome: 'success', durationMs: this.now() - started, fallback });
+          if (fallback) log.info(`↪️ ${request.task} answered by fallback model ${model}`);
+          return { ...result, model: result.model || model };
+        } catch (error) {
+          this.failed(breaker, error);
+          attempts.push({ model, error: error.message });
+          const outcome = error instanceof ModelTimeoutError ? 'timeout' : 'error';
+          this.onCall({ model, task: request.task, outcome, durationMs: this.now() - started, fallback });
+          if (streamed()) throw error;
+
+          const retry = isTransient(error) && attempt < this.retries && breaker.state === STATE.CLOSED;
+          if (!retry) {
+            log.error(`❌ ${model} failed for ${request.task}: ${logMessage(error.message)}`);
+            break;
+          }
+          const delay = this.backoffMs * 2 ** attempt + Math.floor(Math.random() * this.backoffMs);
+          log.info(`⏳ ${model} failed for ${request.task} (${logMessage(error.message)}), retry ${attempt + 1}/${this.retries} in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    }
+
+    throw new ModelUnavailableError(attempts);
+  }
+
+  // One call with a timeout; for streams the timer restarts on every chunk
+  attempt(model, call, idle) {
+    const controller = new AbortController();
+    let timer;
+
+    return new Promise((resolve, reject) => {
+      const arm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new ModelTimeoutError(model, this.timeoutMs));
+        }, this.timeoutMs);
+      };
+      arm();
+      call(model, controller.signal, idle ? arm : () => {}).then(resolve, reject);
+    }).finally(() => clearTimeout(timer));
+  }
+
+  breaker(model) {
+    if (!this.breakers.has(model)) {
+      this.breakers.set(model, {
+        model,
+        state: STATE.CLOSED,
+        consecutiveFailures: 0,
+        calls: 0,
+        failures: 0,
+        openUntil: null,
+        probing: false,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+        lastLatencyMs: null
+      });
+    }
+    return this.breakers.get(model);
+  }
+
+  // An open circuit lets one trial call through (half-open) after the
+  // cooldown; other calls skip the model until that trial has finished
+  allow(breaker) {
+    if (breaker.state === STATE.CLOSED) return true;
+    if (breaker.probing) return false;
+    if (this.now() >= breaker.openUntil) {
+      breaker.state = STATE.HALF_OPEN;
+      breaker.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  succeeded(breaker, latencyMs) {
+    if (breaker.state !== STATE.CLOSED) log.info(`✅ ${breaker.model} recovered, circuit closed`);
+    Object.assign(breaker, {
+      state: STATE.CLOSED,
+      consecutiveFailures: 0,
+      openUntil: null,
+      probing: false,
+      calls: breaker.calls + 1,
+      lastSuccessAt: new Date(this.now()).toISOString(),
+      lastLatencyMs: latencyMs
+    });
+  }
+
+  failed(breaker, error) {
+    breaker.calls++;
+    breaker.failures++;
+    breaker.consecutiveFailures++;
+    breaker.lastError = errorKind(error);
+    breaker.lastFailureAt = new Date(this.now()).toISOString();
+
+    if (breaker.state === STATE.HALF_OPEN || breaker.consecutiveFailures >= this.failureThreshold) {
+      breaker.state = STATE.OPEN;
+      breaker.probing = false;
+      breaker.openUntil = this.now() + this.cooldownMs;
+      log.info(`🔌 Circuit open for ${breaker.model} after ${breaker.consecutiveFailures} failures, skipping it for ${Math.round(this.cooldownMs / 1000)}s`);
+    }
+  }
+
+  // Live state of every known model, for /api/health
+  status() {
+    return [...this.breakers.values()].map(({ probing, ...breaker }) => {
+      // Report an expired cooldown as half-open even before the next call
+      const state = breaker.state === STATE.OPEN && this.now() >= breaker.openUntil ? STATE.HALF_OPEN : breaker.state;
+      return {
+        ...breaker,
+        state,
+        openUntil: breaker.openUntil && state === STATE.OPEN ? new Date(breaker.openUntil).toISOString() : null
+      };
+    });
+  }
+}
+
+module.exports = { ResilientProvider, ModelTimeoutError, ModelUnavailableError, STATE, isTransient };
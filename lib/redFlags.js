@@ -0,0 +1,325 @@
+const { LANGUAGES, t } = require('./i18n');
+const { SEVERITY_CODES, severityLevel, severityLabel } = require('./severity');
+
+// Deterministic red-flag triage. Runs on every analysis, before and
+// independently of the model, so an emergency never depends on Gemini
+// answering or producing valid JSON.
+
+const HIGH = 2;
+const EMERGENCY = 3;
+
+// Phrases per concept, merged from every locale's redFlags.terms. Text and
+// phrases are compared word by word after normalizeText, so locales list the
+// unaccented spelling. In a phrase, `*` at the start or end of a word matches
+// any prefix or suffix ("swell*" = swelling, swollen is listed separately)
+// and a lone `*` matches any one word ("pain in * chest").
+const TERMS = {};
+// Negation cues (redFlags.negation): `before` words cancel a match that
+// follows within NEGATION_WINDOW words ("no chest pain"), unless a `breaks`
+// word or punctuation ends the clause first ("no fever but chest pain",
+// "no appetite and chest pain").
+// `after` words cancel a match only when they directly follow it
+// ("सीने में दर्द नहीं"), so "बुखार उतर नहीं रहा" (fever not going down)
+// still counts as fever.
+const NEGATION = { before: new Set(), after: new Set(), breaks: new Set() };
+const NEGATION_WINDOW = 3;
+const BREAK = '|';
+
+LANGUAGES.forEach(language => {
+  Object.entries(t(language, 'redFlags.terms')).forEach(([concept, terms]) => {
+    TERMS[concept] = [...new Set([...(TERMS[concept] || []), ...terms])];
+  });
+  Object.entries(t(language, 'redFlags.negation')).forEach(([kind, words]) => {
+    words.forEach(word => NEGATION[kind].add(canonicalWord(normalizeText(word))));
+  });
+});
+
+const PHRASES = Object.fromEntries(
+  Object.entries(TERMS).map(([concept, terms]) => [concept, terms.map(term => tokenize(term)).filter(phrase => phrase.length)])
+);
+
+// Rules fire when every listed concept matches (and `when` passes, if given).
+// Descriptions are in each locale's redFlags.rules.<id>.
+const RULES = [
+  {
+    id: 'stroke_signs',
+    level: EMERGENCY,
+    all: ['strokeSigns']
+  },
+  {
+    id: 'thunderclap_headache',
+    level: EMERGENCY,
+    all: ['thunderclapHeadache']
+  },
+  {
+    id: 'cardiac_chest_pain',
+    level: EMERGENCY,
+    all: ['chestPain', 'cardiacSigns']
+  },
+  {
+    id: 'chest_pain',
+    level: HIGH,
+    all: ['chestPain']
+  },
+  {
+    id: 'anaphylaxis',
+    level: EMERGENCY,
+    all: ['allergicSwelling', 'breathingDifficulty']
+  },
+  {
+    id: 'severe_breathing_difficulty',
+    level: EMERGENCY,
+    all: ['severeBreathing']
+  },
+  {
+    id: 'suicidal_ideation',
+    level: EMERGENCY,
+    all: ['suicidal']
+  },
+  {
+    id: 'infant_fever',
+    level: EMERGENCY,
+    all: ['fever'],
+    when: ({ age }) => age !== null && age < 0.25
+  },
+  {
+    id: 'young_child_fever',
+    level: HIGH,
+    all: ['fever'],
+    when: ({ age, tokens }) => (age !== null && age < 1) || (age === null && matches(tokens, 'infant'))
+  },
+  {
+    id: 'meningitis_signs',
+    level: EMERGENCY,
+    all: ['fever', 'stiffNeck']
+  },
+  {
+    id: 'loss_of_consciousness',
+    level: EMERGENCY,
+    all: ['unconscious']
+  },
+  {
+    id: 'severe_bleeding',
+    level: EMERGENCY,
+    all: ['severeBleeding']
+  },
+  {
+    id: 'pregnancy_bleeding_or_pain',
+    level: EMERGENCY,
+    all: [],
+    // Pregnancy may come from the description or from the stored profile
+    when: ({ tokens, pregnant }) =>
+      (pregnant || matches(tokens, 'pregnancy')) && (matches(tokens, 'bleeding') || matches(tokens, 'abdominalPain'))
+  },
+  {
+    id: 'prolonged_fever',
+    level: HIGH,
+    all: ['fever'],
+    when: ({ durationDays }) => durationDays !== null && durationDays >= 5
+  }
+];
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Latin accents
+    .replace(/[\u064B-\u0655\u0640]/g, '') // Arabic diacritics, hamza/madda marks (أ إ آ ؤ ئ) and tatweel
+    .replace(/\u0671/g, '\u0627') // alef wasla -> bare alef
+    .replace(/\u0649/g, '\u064A') // alef maksura -> yeh
+    .replace(/\u0629/g, '\u0647') // teh marbuta -> heh
+    .replace(/\u0901/g, '\u0902') // Devanagari chandrabindu -> anusvara
+    .replace(/[\u2018\u2019]/g, '\'')
+    .normalize('NFC');
+}
+
+// Arabic attaches "and"/"so" (و، ف) and the article (ال، بال، لل...) to
+// the word; both are dropped so "والصدر" and "الصدر" compare equal. A word
+// is only shortened while three letters remain, which keeps "الم" (pain)
+// and "ورم" (swelling) intact.
+function canonicalWord(word) {
+  let result = word;
+  if (/^[\u0648\u0641]/.test(result) && result.length > 3) result = result.slice(1);
+  const article = result.match(/^(?:\u0628\u0627\u0644|\u0643\u0627\u0644|\u0641\u0627\u0644|\u0627\u0644|\u0644\u0644)/);
+  if (article && result.length - article[0].length >= 3) result = result.slice(article[0].length);
+  return result;
+}
+
+// Words (with `*` kept for phrases) and clause breaks, as canonical tokens;
+// punctuation becomes BREAK so a phrase or negation never spans two clauses.
+// An attached Arabic "and" stays a token of its own ("وألم" -> و, الم) so
+// it ends a negated clause like the standalone conjunctions do.
+function tokenize(text) {
+  return (normalizeText(text).match(/[\p{L}\p{M}\p{N}'*]+|[.,;:!?\n\u060C\u061B\u061F\u0964]/gu) || [])
+    .flatMap(token => {
+      if (!/^[\p{L}\p{M}\p{N}'*]/u.test(token)) return [BREAK];
+      const word = token.replace(/^'+|'+$/g, '');
+      const canonical = canonicalWord(word);
+      return word.startsWith('\u0648') && canonical !== word ? ['\u0648', canonical] : [canonical];
+    })
+    .filter(Boolean);
+}
+
+function wordMatches(pattern, word) {
+  if (word === BREAK) return false;
+  if (pattern === '*') return true;
+  const prefix = pattern.endsWith('*');
+  const suffix = pattern.startsWith('*');
+  const stem = pattern.replace(/^\*|\*$/g, '');
+  if (prefix && suffix) return word.includes(stem);
+  if (prefix) return word.startsWith(stem);
+  if (suffix) return word.endsWith(stem);
+  return word === stem;
+}
+
+function isNegated(tokens, start, end) {
+  for (let i = start - 1; i >= Math.max(0, start - NEGATION_WINDOW); i--) {
+    if (tokens[i] === BREAK || NEGATION.breaks.has(tokens[i])) break;
+    if (NEGATION.before.has(tokens[i])) return true;
+  }
+  return NEGATION.after.has(tokens[end]);
+}
+
+// True when some phrase for the concept occurs in the tokens and is not negated
+function matches(tokens, concept) {
+  return containsPhrase(tokens, PHRASES[concept]);
+}
+
+/**
+ * True when one of `phrases` (each a tokenize()d term, `*` patterns
+ * allowed) occurs in `tokens` and is not negated. Shared with lib/trends
+ * so both read symptom text the same way.
+ */
+function containsPhrase(tokens, phrases) {
+  return phrases.some(phrase => {
+    for (let start = 0; start + phrase.length <= tokens.length; start++) {
+      if (phrase.every((pattern, i) => wordMatches(pattern, tokens[start + i])) &&
+          !isNegated(tokens, start, start + phrase.length)) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+// Days per unit; the first pattern that matches wins ("media hora" is hours)
+const TIME_UNITS = [
+  [/hour|hora|heure|ساع|घंट/, 1 / 24],
+  [/day|dia|jour|يوم|ايام|दिन/, 1],
+  [/week|semana|semaine|اسبوع|اسابيع|सप्ताह|हफ्त/, 7],
+  [/month|mes|mois|شهر|महीन/, 30],
+  [/year|ano|an\b|ans\b|سنه|سنوات|साल|वर्ष/, 365]
+];
+
+// Amount and days per unit (null without a unit) of "3 semanas", "2 months"...
+function parseTime(value) {
+  const text = normalizeText(value);
+  const amount = parseFloat((text.match(/-?\d+(\.\d+)?/) || [])[0]);
+  const unit = TIME_UNITS.find(([pattern]) => pattern.test(text));
+  return { amount, days: unit ? unit[1] : null };
+}
+
+// Age in years: 30, "0.5", "2 months", "6 semanas", "3 सप्ताह". A bare
+// number is years.
+function parseAge(age) {
+  const { amount, days } = parseTime(age);
+  if (!Number.isFinite(amount) || amount < 0) return null;
+  return days === null ? amount : (amount * days) / 365;
+}
+
+// "2 days", "3 semanas", "1 mois", "5 أيام", "2 सप्ताह" -> days. A bare
+// number is days.
+function parseDurationDays(duration) {
+  const { amount, days } = parseTime(duration);
+  if (!Number.isFinite(amount)) return null;
+  return days === null ? amount : amount * days;
+}
+
+/**
+ * Evaluates the red-flag rules for a case.
+ * Returns { level, severity, requiresImmediateCare, flags: [{ id, level, severity, description }] }
+ * where level is the highest fired level (-1 if nothing fired).
+ */
+function evaluateRedFlags({ symptoms, age, duration, pregnant = false, language = 'en' }) {
+  const context = {
+    tokens: tokenize(symptoms),
+    age: parseAge(age),
+    durationDays: parseDurationDays(duration),
+    pregnant: pregnant === true
+  };
+
+  const fired = RULES.filter(rule =>
+    rule.all.every(concept => matches(context.tokens, concept)) &&
+    (!rule.when || rule.when(context))
+  );
+
+  return triageResult(fired.map(rule => describeFlag(rule, language)));
+}
+
+/**
+ * Adds red flags that fired on earlier versions of an analysis (their
+ * recorded `redFlags`) to a triage result, so a follow-up never drops
+ * below them. Descriptions are redone in `language`.
+ */
+function withEarlierFlags(triage, earlierFlags, language = 'en') {
+  const flags = [...triage.flags];
+  earlierFlags.forEach(({ id }) => {
+    const rule = RULES.find(r => r.id === id);
+    if (rule && !flags.some(flag => flag.id === id)) flags.push(describeFlag(rule, language));
+  });
+  return triageResult(flags);
+}
+
+function describeFlag(rule, language) {
+  return {
+    id: rule.id,
+    level: rule.level,
+    severity: SEVERITY_CODES[rule.level],
+    description: t(language, `redFlags.rules.${rule.id}`)
+  };
+}
+
+// A specific emergency rule makes its generic HIGH sibling redundant
+const REDUNDANT_WITH = { chest_pain: 'cardiac_chest_pain', young_child_fever: 'infant_fever' };
+
+function triageResult(fired) {
+  const flags = fired.filter(flag => !fired.some(other => other.id === REDUNDANT_WITH[flag.id]));
+  const level = flags.reduce((max, flag) => Math.max(max, flag.level), -1);
+
+  return {
+    level,
+    severity: level === -1 ? null : SEVERITY_CODES[level],
+    requiresImmediateCare: level === EMERGENCY,
+    flags
+  };
+}
+
+/**
+ * Applies a triage result to a normalized analysis: raises severity (never
+ * lowers it), forces requiresImmediateCare for emergencies, puts the
+ * matching action first in the recommendations and records the fired rules.
+ * When the severity is raised, the model's whenToSeeDoctor ("within a
+ * week") no longer fits and is replaced by the same action.
+ */
+function applyRedFlags(analysis, triage, language = 'en') {
+  const result = { ...analysis, redFlags: triage.flags };
+  if (triage.level < 0) return result;
+
+  const action = t(language, `redFlags.actions.${SEVERITY_CODES[triage.level]}`);
+  if (severityLevel(result.severity) < triage.level) {
+    result.severity = SEVERITY_CODES[triage.level];
+    result.severityLabel = severityLabel(result.severity, language);
+    result.whenToSeeDoctor = action;
+  }
+
+  if (triage.requiresImmediateCare) {
+    result.requiresImmediateCare = true;
+  }
+
+  const recommendations = Array.isArray(result.recommendations) ? result.recommendations : [];
+  result.recommendations = [action, ...recommendations.filter(r => r !== action)];
+
+  return result;
+}
+
+module.exports = { evaluateRedFlags, withEarlierFlags, applyRedFlags, parseDurationDays, normalizeText, tokenize, containsPhrase, RULES, HIGH, EMERGENCY };
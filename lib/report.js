@@ -0,0 +1,391 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { t } = require('./i18n');
+const { severityLevel, severityLabel } = require('./severity');
+const { getConfig } = require('./config');
+
+// Report labels come from the locale catalog (report.* in lib/i18n/locales)
+
+// Banner colours match the severity classes in public/index.html
+const SEVERITY_COLORS = [
+  { fill: '#d4edda', border: '#28a745', text: '#155724' },
+  { fill: '#fff3cd', border: '#ffc107', text: '#856404' },
+  { fill: '#f8d7da', border: '#dc3545', text: '#721c24' },
+  { fill: '#721c24', border: '#ff6b6b', text: '#ffffff' }
+];
+const UNKNOWN_SEVERITY_COLOR = { fill: '#f8f9fa', border: '#6c757d', text: '#202124' };
+
+const MARGIN = 50;
+
+// The built-in PDF fonts only cover Latin scripts, and a PDF font has no
+// fallback, so each piece of text is set in a font for its script: the
+// bundled Noto Sans Arabic / Devanagari (which include Latin too) when it
+// contains those letters, otherwise Helvetica or the TTF configured through
+// REPORT_FONT_PATH.
+const SCRIPT_FONTS = {
+  arab: fontFiles('@expo-google-fonts/noto-sans-arabic', 'NotoSansArabic'),
+  deva: fontFiles('@expo-google-fonts/noto-sans-devanagari', 'NotoSansDevanagari')
+};
+const ARABIC_LETTER = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/;
+const DEVANAGARI_LETTER = /[\u0900-\u097F]/;
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' };
+
+function fontFiles(packageName, family) {
+  const dir = path.dirname(require.resolve(`${packageName}/package.json`));
+  return {
+    Body: path.join(dir, '400Regular', `${family}_400Regular.ttf`),
+    Bold: path.join(dir, '700Bold', `${family}_700Bold.ttf`)
+  };
+}
+
+function registerFonts(doc) {
+  const { fontPath, fontBoldPath } = getConfig().report;
+  if (fontPath && fs.existsSync(fontPath)) {
+    doc.registerFont('Body', fontPath);
+    doc.registerFont('Bold', fontBoldPath || fontPath);
+  } else {
+    doc.registerFont('Body', 'Helvetica');
+    doc.registerFont('Bold', 'Helvetica-Bold');
+  }
+  Object.entries(SCRIPT_FONTS).forEach(([script, files]) => {
+    Object.entries(files).forEach(([style, file]) => doc.registerFont(`${style}-${script}`, file));
+  });
+}
+
+function scriptOf(text) {
+  if (ARABIC_LETTER.test(text)) return 'arab';
+  if (DEVANAGARI_LETTER.test(text)) return 'deva';
+  return null;
+}
+
+// The first letter decides the paragraph direction; text without letters
+// (a date, a number) follows the report language
+function isRightToLeft(doc, text) {
+  const letter = text.match(/\p{L}/u);
+  return letter ? ARABIC_LETTER.test(letter[0]) : doc.rightToLeft;
+}
+
+// pdfkit shapes and reverses the letters of each Arabic word but keeps the
+// words in logical order, so a right-to-left line is put in visual order
+// here: runs of Latin words and numbers keep their order, everything else
+// is reversed, and brackets inside Arabic words are mirrored.
+function visualOrder(words) {
+  const runs = [];
+  words.forEach(word => {
+    const leftToRight = !ARABIC_LETTER.test(word) && /[\p{L}\p{N}]/u.test(word);
+    const last = runs[runs.length - 1];
+    if (leftToRight && last && last.leftToRight) {
+      last.words.push(word);
+    } else {
+      runs.push({ leftToRight, words: [leftToRight ? word : word.replace(/[()[\]{}<>«»]/g, c => MIRRORED[c])] });
+    }
+  });
+  return runs.reverse().map(run => run.words.join(' ')).join(' ');
+}
+
+// Greedy word wrap with the current font and size
+function wrapWords(doc, text, width) {
+  const lines = [];
+  String(text).split('\n').forEach(paragraph => {
+    let line = [];
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      if (line.length && doc.widthOfString([...line, word].join(' ')) > width) {
+        lines.push(line);
+        line = [];
+      }
+      line.push(word);
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * doc.text() with the font for the text's script (`style` is Body or Bold)
+ * and right-to-left layout for Arabic. `x`/`y` in options place the first
+ * line, like doc.text(text, x, y, options).
+ */
+function write(doc, style, text, options = {}) {
+  const value = String(text);
+  const script = scriptOf(value);
+  const { x, y, ...rest } = options;
+  doc.font(script ? `${style}-${script}` : style);
+
+  if (!isRightToLeft(doc, value)) {
+    return x === undefined ? doc.text(value, rest) : doc.text(value, x, y, rest);
+  }
+
+  const left = x === undefined ? doc.x : x;
+  const width = rest.width || doc.page.width - doc.page.margins.right - left;
+  const align = rest.align === 'center' ? 'center' : 'right';
+  wrapWords(doc, value, width - 1).forEach((words, index) => {
+    const line = visualOrder(words);
+    if (index === 0 && y !== undefined) {
+      doc.text(line, left, y, { width, align });
+    } else {
+      doc.text(line, left, doc.y, { width, align });
+    }
+  });
+  return doc;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function heading(doc, text, size = 13) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.6);
+  write(doc.fontSize(size).fillColor('#202124'), 'Bold', text);
+  doc.moveDown(0.2);
+}
+
+function paragraph(doc, text) {
+  write(doc.fontSize(11).fillColor('#5f6368'), 'Body', text);
+}
+
+function bulletList(doc, items) {
+  const list = Array.isArray(items) ? items : [items];
+  list.filter(Boolean).forEach(item => {
+    write(doc.fontSize(11).fillColor('#5f6368'), 'Body', `•  ${item}`, { indent: 10 });
+  });
+}
+
+// analysis.severity may be a code or, for older history entries, a localized label
+function severityBanner(doc, analysis, labels, language) {
+  const colors = SEVERITY_COLORS[severityLevel(analysis.severity)] || UNKNOWN_SEVERITY_COLOR;
+  const width = doc.page.width - MARGIN * 2;
+  const height = analysis.requiresImmediateCare ? 48 : 30;
+
+  ensureSpace(doc, height + 10);
+  doc.moveDown(0.4);
+  const top = doc.y;
+
+  doc.rect(MARGIN, top, width, height).fill(colors.fill);
+  doc.rect(MARGIN, top, 6, height).fill(colors.border);
+  write(doc.fontSize(13).fillColor(colors.text), 'Bold',
+    `${labels.severity}: ${severityLabel(analysis.severity, language)}`, { x: MARGIN + 16, y: top + 9, width: width - 24 });
+  if (analysis.requiresImmediateCare) {
+    write(doc.fontSize(11).fillColor(colors.text === '#ffffff' ? '#ffffff' : '#ea4335'), 'Bold',
+      labels.immediateCare, { x: MARGIN + 16, y: top + 28, width: width - 24 });
+  }
+
+  doc.x = MARGIN;
+  doc.y = top + height + 6;
+}
+
+function patientDetails(doc, patient, labels) {
+  heading(doc, labels.patient);
+  paragraph(doc, `${labels.age}: ${patient.age || labels.notProvided}`);
+  paragraph(doc, `${labels.gender}: ${patient.gender || labels.notProvided}`);
+  if (patient.duration) {
+    paragraph(doc, `${labels.duration}: ${patient.duration}`);
+  }
+}
+
+function analysisSection(doc, entry, labels, language, index, total) {
+  const analysis = entry.analysis || {};
+
+  ensureSpace(doc, 120);
+  doc.moveDown(0.8);
+  const version = entry.type === 'followup' ? ` (${labels.version} ${entry.version})` : '';
+  const title = (total > 1 ? `${labels.entry} ${index + 1}/${total}` : labels.entry) + version;
+  const timestamp = entry.timestamp ? ` - ${new Date(entry.timestamp).toLocaleString()}` : '';
+  write(doc.fontSize(15).fillColor('#4285f4'), 'Bold', title + timestamp);
+
+  if (entry.symptoms) {
+    heading(doc, labels.symptoms);
+    paragraph(doc, entry.symptoms);
+  }
+  if (entry.duration) {
+    paragraph(doc, `${labels.duration}: ${entry.duration}`);
+  }
+
+  const followUp = [
+    ...(entry.answers || []).map(a => (a.question ? `${a.question} ${a.answer}` : a.answer)),
+    ...(entry.message ? [entry.message] : [])
+  ];
+  if (followUp.length) {
+    heading(doc, labels.followUp);
+    bulletList(doc, followUp);
+  }
+
+  severityBanner(doc, analysis, labels, language);
+
+  heading(doc, labels.conditions);
+  bulletList(doc, analysis.possibleConditions);
+
+  heading(doc, labels.recommendations);
+  bulletList(doc, analysis.recommendations);
+
+  if (analysis.whenToSeeDoctor) {
+    heading(doc, labels.whenToSeeDoctor);
+    paragraph(doc, analysis.whenToSeeDoctor);
+  }
+
+  if (analysis.selfCareTips && analysis.selfCareTips.length) {
+    heading(doc, labels.selfCareTips);
+    bulletList(doc, analysis.selfCareTips);
+  }
+}
+
+function imageSection(doc, entry, labels, language) {
+  const analysis = entry.analysis;
+  heading(doc, labels.imageAnalysis, 15);
+  if (entry.symptoms) {
+    paragraph(doc, `${labels.symptoms}: ${entry.symptoms}`);
+    doc.moveDown(0.3);
+  }
+
+  // Entries recorded before image results were structured hold plain text
+  if (!analysis || typeof analysis !== 'object') {
+    paragraph(doc, String(analysis || ''));
+    return;
+  }
+
+  severityBanner(doc, analysis, labels, language);
+
+  const findings = analysis.visualFindings;
+  if (findings) {
+    heading(doc, labels.visualFindings);
+    if (findings.description) paragraph(doc, findings.description);
+    [
+      [labels.color, findings.color],
+      [labels.estimatedSize, findings.estimatedSize],
+      [labels.borders, findings.borders]
+    ].filter(([, value]) => value).forEach(([label, value]) => paragraph(doc, `${label}: ${value}`));
+    if (findings.infectionSigns && findings.infectionSigns.length) {
+      heading(doc, labels.infectionSigns);
+      bulletList(doc, findings.infectionSigns);
+    }
+    if (findings.otherFindings && findings.otherFindings.length) {
+      heading(doc, labels.otherFindings);
+      bulletList(doc, findings.otherFindings);
+    }
+  }
+
+  heading(doc, labels.conditions);
+  bulletList(doc, analysis.possibleConditions);
+
+  heading(doc, labels.recommendations);
+  bulletList(doc, analysis.recommendations);
+
+  if (analysis.whenToSeeDoctor) {
+    heading(doc, labels.whenToSeeDoctor);
+    paragraph(doc, analysis.whenToSeeDoctor);
+  }
+}
+
+function drugCheckSection(doc, drugCheck, labels, language) {
+  heading(doc, labels.drugCheck, 15);
+  if (Array.isArray(drugCheck.medicines) && drugCheck.medicines.length) {
+    paragraph(doc, `${labels.medicines}: ${drugCheck.medicines.join(', ')}`);
+    doc.moveDown(0.3);
+  }
+
+  const analysis = drugCheck.analysis;
+  if (!analysis || typeof analysis !== 'object') {
+    if (analysis) paragraph(doc, String(analysis));
+    return;
+  }
+
+  severityBanner(doc, { severity: analysis.overallRisk }, { ...labels, severity: labels.overallRisk }, language);
+  if (analysis.summary) {
+    paragraph(doc, analysis.summary);
+  }
+
+  const sections = [
+    [labels.interactions, analysis.interactions, i => `${i.drugs.join(' + ')} (${severityLabel(i.severity, language)}): ${i.mechanism}${i.management ? ` - ${labels.management}: ${i.management}` : ''}`],
+    [labels.conditionConflicts, analysis.conditionConflicts, c => `${c.drug} / ${c.condition} (${severityLabel(c.severity, language)}): ${c.description}${c.management ? ` - ${labels.management}: ${c.management}` : ''}`],
+    [labels.allergyConflicts, analysis.allergyConflicts, a => `${a.drug} / ${a.allergy} (${severityLabel(a.severity, language)}): ${a.description}${a.management ? ` - ${labels.management}: ${a.management}` : ''}`],
+    [labels.duplicateTherapy, analysis.duplicateTherapy, d => `${d.drugs.join(' + ')}${d.drugClass ? ` (${d.drugClass})` : ''}: ${d.description}`],
+    [labels.alternatives, analysis.alternatives, a => `${a.drug}: ${a.suggestion}`]
+  ];
+
+  sections.forEach(([title, items, format]) => {
+    if (Array.isArray(items) && items.length) {
+      heading(doc, title);
+      bulletList(doc, items.map(format));
+    }
+  });
+}
+
+function disclaimer(doc, labels) {
+  ensureSpace(doc, 90);
+  doc.moveDown(1.2);
+  write(doc.fontSize(11).fillColor('#202124'), 'Bold', labels.disclaimerTitle);
+  write(doc.fontSize(9).fillColor('#5f6368'), 'Body', labels.disclaimer);
+}
+
+function pageNumbers(doc, labels) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Drop the bottom margin so the footer doesn't trigger a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    write(doc.fontSize(9).fillColor('#5f6368'), 'Body', `${labels.page} ${i + 1} ${labels.of} ${range.count}`, {
+      x: MARGIN,
+      y: doc.page.height - 35,
+      width: doc.page.width - MARGIN * 2,
+      align: 'center'
+    });
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * Builds a PDF report for one or more analyses.
+ *
+ * entries:   history entries; 'analysis', 'followup' and 'image' entries carry a
+ *            structured analysis (image entries add visualFindings), 'drugs' entries a drug check
+ * patient:   { age, gender, duration } (defaults to the latest entry)
+ * drugCheck: { medicines, analysis } (optional, analysis from /api/drugs)
+ *
+ * Returns the PDFDocument; the caller pipes it and calls doc.end().
+ */
+function createReport({ entries = [], patient, drugCheck, sessionId, language = 'en' }) {
+  const labels = t(language, 'report');
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true });
+  doc.rightToLeft = t(language, 'language.direction') === 'rtl';
+  registerFonts(doc);
+
+  const latest = entries[entries.length - 1] || {};
+  const details = patient || { age: latest.age, gender: latest.gender };
+
+  // Header
+  write(doc.fontSize(20).fillColor('#202124'), 'Bold', labels.title);
+  write(doc.fontSize(10).fillColor('#5f6368'), 'Body', `${labels.generated}: ${new Date().toLocaleString()}`);
+  if (sessionId) {
+    write(doc, 'Body', `${labels.session}: ${sessionId}`);
+  }
+  doc.moveTo(MARGIN, doc.y + 6).lineTo(doc.page.width - MARGIN, doc.y + 6)
+    .lineWidth(2).strokeColor('#4285f4').stroke();
+  doc.moveDown(0.5);
+
+  patientDetails(doc, details, labels);
+
+  if (entries.length === 0 && !drugCheck) {
+    doc.moveDown();
+    paragraph(doc, labels.noEntries);
+  }
+
+  const analyses = entries.filter(e => !e.type || e.type === 'analysis' || e.type === 'followup');
+  analyses.forEach((entry, index) => analysisSection(doc, entry, labels, language, index, analyses.length));
+  entries.filter(e => e.type === 'image').forEach(entry => imageSection(doc, entry, labels, language));
+  entries.filter(e => e.type === 'drugs').forEach(entry => drugCheckSection(doc, entry, labels, language));
+
+  if (drugCheck) {
+    drugCheckSection(doc, drugCheck, labels, language);
+  }
+
+  disclaimer(doc, labels);
+  pageNumbers(doc, labels);
+
+  return doc;
+}
+
+module.exports = { createReport };
@@ -0,0 +1,42 @@
+const { LANGUAGES, t } = require('./i18n');
+
+// Language-independent severity codes, ordered from least to most severe.
+// APIs return the code in `severity` and the localized text in `severityLabel`.
+const SEVERITY_CODES = ['LOW', 'MEDIUM', 'HIGH', 'EMERGENCY'];
+
+// Severity labels per language, in SEVERITY_CODES order
+const SEVERITY_LABELS = Object.fromEntries(
+  LANGUAGES.map(language => [language, SEVERITY_CODES.map(code => t(language, `severity.${code}`))])
+);
+
+// Returns 0 (LOW) .. 3 (EMERGENCY) for a code or a label in any language, or -1 if unknown
+function severityLevel(value) {
+  if (!value) return -1;
+  const normalized = String(value).trim().toLowerCase();
+  const byCode = SEVERITY_CODES.findIndex(code => code.toLowerCase() === normalized);
+  if (byCode !== -1) return byCode;
+  for (const labels of Object.values(SEVERITY_LABELS)) {
+    const index = labels.findIndex(l => l.toLowerCase() === normalized);
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+// Canonical code for a code or localized label, or null
+function severityCode(value) {
+  const level = severityLevel(value);
+  return level === -1 ? null : SEVERITY_CODES[level];
+}
+
+function severityLabel(value, language = 'en') {
+  const code = severityCode(value);
+  return t(language, `severity.${code || 'UNKNOWN'}`);
+}
+
+// Sets `severity` to its code and `severityLabel` to the localized text
+function localizeSeverity(analysis, language = 'en', fallback = 'MEDIUM') {
+  const severity = severityCode(analysis.severity) || fallback;
+  return { ...analysis, severity, severityLabel: severityLabel(severity, language) };
+}
+
+module.exports = { SEVERITY_CODES, SEVERITY_LABELS, severityLevel, severityCode, severityLabel, localizeSeverity };
@@ -0,0 +1,155 @@
+const { getConfig } = require('../config');
+const ShareStore = require('./store');
+const { hashPassword, verifyPassword } = require('../auth/passwords');
+const { t, resolveLanguage } = require('../i18n');
+
+// Read-only share links for one history entry. The owner creates a link
+// with an expiry and an optional PIN; anyone with the link (and PIN) can
+// view the entry at /s/:token until it expires or is revoked. Each access
+// is recorded on the share, and MAX_PIN_ATTEMPTS wrong PINs lock the link
+// for good (a correct PIN does not reset the count).
+
+const PIN_PATTERN = /^\d{4,8}$/;
+const MAX_PIN_ATTEMPTS = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+class ShareError extends Error {
+  constructor(code, status = 400) {
+    super(shareErrorMessage(code));
+    this.name = 'ShareError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Localized message for an error code (errors.share.<code> in the locale catalog)
+function shareErrorMessage(code, language = 'en') {
+  return t(language, `errors.share.${code}`, { maxHours: getConfig().share.maxTtlHours });
+}
+
+function sendShareError(req, res, code, status) {
+  const language = resolveLanguage((req.body && req.body.language) || req.query.language);
+  res.status(status).json({ success: false, code, error: shareErrorMessage(code, language) });
+}
+
+function createShareStore(options = {}) {
+  const settings = getConfig().share;
+  const type = options.type || settings.store;
+
+  switch (type) {
+    case 'memory':
+      return new ShareStore();
+    case 'file':
+      return new ShareStore({
+        file: options.file || settings.file
+      });
+    default:
+      throw new Error(`Unknown SHARE_STORE "${type}" (expected file or memory)`);
+  }
+}
+
+/**
+ * Creates a share of `entry` for `user`. `expiresInHours` defaults to
+ * SHARE_TTL_HOURS and is capped by SHARE_MAX_TTL_HOURS; `pin` is 4-8 digits.
+ * Returns { token, share }.
+ */
+async function createShare(store, { user, entry, expiresInHours, pin, language }) {
+  const { defaultTtlHours, maxTtlHours } = getConfig().share;
+  const hours = expiresInHours === undefined || expiresInHours === null || expiresInHours === ''
+    ? defaultTtlHours
+    : Number(expiresInHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > maxTtlHours) throw new ShareError('INVALID_EXPIRY', 400);
+
+  const hasPin = pin !== undefined && pin !== null && pin !== '';
+  if (hasPin && !PIN_PATTERN.test(String(pin))) throw new ShareError('INVALID_PIN', 400);
+
+  return store.create({
+    ownerId: user.id,
+    entryId: entry.id,
+    language: language || entry.language || 'en',
+    ttlMs: hours * HOUR_MS,
+    pinHash: hasPin ? await hashPassword(String(pin)) : null
+  });
+}
+
+// active | expired | revoked | locked
+function shareStatus(share) {
+  if (share.revokedAt) return 'revoked';
+  if (share.failedPins >= MAX_PIN_ATTEMPTS) return 'locked';
+  if (Date.parse(share.expiresAt) <= Date.now()) return 'expired';
+  return 'active';
+}
+
+/**
+ * Checks a token (and PIN) for a visit and records the access. Returns
+ * { status, share } where status is ok, pin_required, wrong_pin (with
+ * attemptsLeft) or unavailable; unknown, expired, revoked and locked links
+ * all look the same to the visitor.
+ */
+async function openShare(store, token, { pin, outcome = 'viewed' } = {}) {
+  const share = token ? await store.findByToken(token) : null;
+  if (!share) return { status: 'unavailable', share: null };
+
+  const status = shareStatus(share);
+  if (status !== 'active') {
+    await store.logAccess(share, status);
+    return { status: 'unavailable', share };
+  }
+
+  if (share.pinHash) {
+    if (pin === undefined || pin === null || pin === '') {
+      await store.logAccess(share, 'pin_required');
+      return { status: 'pin_required', share };
+    }
+    // The attempt is counted before the hash check and the status is read
+    // again after it, so concurrent guesses share the MAX_PIN_ATTEMPTS budget
+    if (!(await store.reservePinAttempt(share, MAX_PIN_ATTEMPTS))) {
+      await store.logAccess(share, 'locked');
+      return { status: 'unavailable', share };
+    }
+    const valid = await verifyPassword(String(pin), share.pinHash);
+    if (valid) await store.releasePinAttempt(share);
+
+    const current = shareStatus(share);
+    if (current !== 'active') {
+      await store.logAccess(share, current);
+      return { status: 'unavailable', share };
+    }
+    if (!valid) {
+      await store.logAccess(share, 'wrong_pin');
+      return { status: 'wrong_pin', share, attemptsLeft: MAX_PIN_ATTEMPTS - share.failedPins };
+    }
+  }
+
+  await store.logAccess(share, outcome);
+  return { status: 'ok', share };
+}
+
+// What the owner sees about a share; never the token or PIN hash
+function publicShare(share) {
+  return {
+    id: share.id,
+    entryId: share.entryId,
+    language: share.language,
+    hasPin: Boolean(share.pinHash),
+    status: shareStatus(share),
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    revokedAt: share.revokedAt,
+    views: share.accessLog.filter(access => access.outcome === 'viewed' || access.outcome === 'pdf').length,
+    accessLog: share.accessLog
+  };
+}
+
+module.exports = {
+  PIN_PATTERN,
+  MAX_PIN_ATTEMPTS,
+  ShareError,
+  shareErrorMessage,
+  sendShareError,
+  createShareStore,
+  createShare,
+  openShare,
+  shareStatus,
+  publicShare
+};
@@ -0,0 +1,177 @@
+const { t } = require('../i18n');
+const { severityCode, severityLabel } = require('../severity');
+
+// Server-rendered pages for /s/:token: the shared entry, the PIN form and
+// the "link unavailable" page. Self-contained HTML (no scripts, inline
+// styles) so a shared link works without the app. Labels come from the
+// locale catalog (share.* and report.*); the session ID is never shown.
+
+const RTL_LANGUAGES = ['ar'];
+
+const escapeHtml = value => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Severity colours match public/index.html and lib/report.js
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f8f9fa; color: #202124; margin: 0; padding: 20px; line-height: 1.5; }
+  main { max-width: 760px; margin: 0 auto; background: #fff; border-radius: 12px; padding: 24px; box-shadow: 0 2px 10px rgba(0,0,0,0.08); }
+  h1 { font-size: 1.4rem; margin: 0 0 4px; }
+  h2 { font-size: 1.05rem; margin: 20px 0 6px; }
+  .meta { color: #5f6368; font-size: 0.9rem; margin: 0 0 16px; }
+  .severity-banner { padding: 16px 20px; border-radius: 12px; margin: 16px 0; font-weight: bold; border-left: 6px solid #6c757d; background: #f8f9fa; }
+  .severity-low { background: #d4edda; border-color: #28a745; color: #155724; }
+  .severity-medium { background: #fff3cd; border-color: #ffc107; color: #856404; }
+  .severity-high { background: #f8d7da; border-color: #dc3545; color: #721c24; }
+  .severity-emergency { background: #721c24; border-color: #ff6b6b; color: #fff; }
+  .severity-banner p { margin: 6px 0 0; }
+  ul { margin: 0; padding-inline-start: 22px; }
+  form { margin-top: 16px; }
+  input { font-size: 1.1rem; padding: 8px; width: 10em; letter-spacing: 0.2em; }
+  button { font-size: 1rem; padding: 8px 16px; border: 0; border-radius: 8px; background: #4285f4; color: #fff; cursor: pointer; }
+  .error { color: #dc3545; }
+  .disclaimer { margin-top: 24px; padding: 16px; background: #fff8e1; border-radius: 12px; border-left: 4px solid #ffc107; font-size: 0.9rem; color: #5f6368; }
+`;
+
+function layout(language, title, body) {
+  const dir = RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}" dir="${dir}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+function list(items) {
+  const values = (Array.isArray(items) ? items : [items]).filter(Boolean);
+  return values.length ? `<ul>${values.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '';
+}
+
+function section(title, content) {
+  return content ? `<h2>${escapeHtml(title)}</h2>${content}` : '';
+}
+
+function severityBanner(severity, title, immediateCare, language) {
+  const code = severityCode(severity);
+  return `<div class="severity-banner${code ? ` severity-${code.toLowerCase()}` : ''}">
+${escapeHtml(title)}: ${escapeHtml(severityLabel(severity, language))}
+${immediateCare ? `<p>${escapeHtml(immediateCare)}</p>` : ''}
+</div>`;
+}
+
+function analysisBody(entry, labels, language) {
+  const analysis = entry.analysis;
+  // Image entries recorded before results were structured hold plain text
+  if (!analysis || typeof analysis !== 'object') return `<p>${escapeHtml(analysis)}</p>`;
+
+  const findings = analysis.visualFindings;
+  const followUp = [
+    ...(entry.answers || []).map(a => (a.question ? `${a.question} ${a.answer}` : a.answer)),
+    ...(entry.message ? [entry.message] : [])
+  ];
+
+  return [
+    severityBanner(analysis.severity, labels.severity, analysis.requiresImmediateCare && labels.immediateCare, language),
+    section(labels.followUp, followUp.length && list(followUp)),
+    findings && section(labels.visualFindings, [
+      findings.description && `<p>${escapeHtml(findings.description)}</p>`,
+      list([
+        findings.color && `${labels.color}: ${findings.color}`,
+        findings.estimatedSize && `${labels.estimatedSize}: ${findings.estimatedSize}`,
+        findings.borders && `${labels.borders}: ${findings.borders}`,
+        ...(findings.infectionSigns || []).map(sign => `${labels.infectionSigns}: ${sign}`),
+        ...(findings.otherFindings || [])
+      ])
+    ].filter(Boolean).join('')),
+    section(labels.conditions, list(analysis.possibleConditions)),
+    section(labels.recommendations, list(analysis.recommendations)),
+    section(labels.whenToSeeDoctor, analysis.whenToSeeDoctor && `<p>${escapeHtml(analysis.whenToSeeDoctor)}</p>`),
+    section(labels.selfCareTips, analysis.selfCareTips && analysis.selfCareTips.length && list(analysis.selfCareTips))
+  ].filter(Boolean).join('\n');
+}
+
+function drugsBody(entry, labels, language) {
+  const analysis = entry.analysis;
+  if (!analysis || typeof analysis !== 'object') return `<p>${escapeHtml(analysis)}</p>`;
+
+  const rows = [
+    [labels.interactions, analysis.interactions, i => `${i.drugs.join(' + ')} (${severityLabel(i.severity, language)}): ${i.mechanism}${i.management ? ` - ${labels.management}: ${i.management}` : ''}`],
+    [labels.conditionConflicts, analysis.conditionConflicts, c => `${c.drug} / ${c.condition} (${severityLabel(c.severity, language)}): ${c.description}`],
+    [labels.allergyConflicts, analysis.allergyConflicts, a => `${a.drug} / ${a.allergy} (${severityLabel(a.severity, language)}): ${a.description}`],
+    [labels.duplicateTherapy, analysis.duplicateTherapy, d => `${d.drugs.join(' + ')}: ${d.description}`],
+    [labels.alternatives, analysis.alternatives, a => `${a.drug}: ${a.suggestion}`]
+  ];
+
+  return [
+    severityBanner(analysis.overallRisk, labels.overallRisk, null, language),
+    analysis.summary && `<p>${escapeHtml(analysis.summary)}</p>`,
+    ...rows.map(([title, items, format]) => section(title, Array.isArray(items) && items.length && list(items.map(format))))
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * The shared entry. `pdfAction` is where the PDF button posts (with the
+ * PIN the visitor entered, if any) when reports are enabled.
+ */
+function renderSharedEntry({ entry, share, language, pdfAction, pin }) {
+  const labels = { ...t(language, 'report'), ...t(language, 'share') };
+  const title = entry.type === 'drugs' ? labels.drugCheck : entry.type === 'image' ? labels.imageAnalysis : labels.entry;
+  const details = [
+    entry.age && `${labels.age}: ${entry.age}`,
+    entry.gender && `${labels.gender}: ${entry.gender}`,
+    entry.duration && `${labels.duration}: ${entry.duration}`
+  ].filter(Boolean);
+
+  const body = `
+<h1>${escapeHtml(labels.title)}</h1>
+<p class="meta">${escapeHtml(title)} · ${escapeHtml(new Date(entry.timestamp).toLocaleString(language))}<br>
+${escapeHtml(t(language, 'share.readOnly', { expires: new Date(share.expiresAt).toLocaleString(language) }))}</p>
+${entry.type === 'drugs'
+    ? section(labels.medicines, entry.medicines && entry.medicines.length && `<p>${escapeHtml(entry.medicines.join(', '))}</p>`)
+    : section(labels.symptoms, entry.symptoms && `<p>${escapeHtml(entry.symptoms)}</p>`)}
+${details.length ? `<p class="meta">${details.map(escapeHtml).join(' · ')}</p>` : ''}
+${entry.type === 'drugs' ? drugsBody(entry, labels, language) : analysisBody(entry, labels, language)}
+${pdfAction ? `<form class="actions" method="post" action="${escapeHtml(pdfAction)}">
+${pin ? `<input type="hidden" name="pin" value="${escapeHtml(pin)}">` : ''}
+<button type="submit">${escapeHtml(labels.downloadPdf)}</button>
+</form>` : ''}
+<div class="disclaimer"><strong>${escapeHtml(labels.disclaimerTitle)}:</strong> ${escapeHtml(labels.disclaimer)}</div>`;
+
+  return layout(language, labels.title, body);
+}
+
+function renderPinForm({ language, action, attemptsLeft }) {
+  const labels = t(language, 'share', { attemptsLeft });
+  const body = `
+<h1>${escapeHtml(labels.pinTitle)}</h1>
+<p class="meta">${escapeHtml(labels.pinPrompt)}</p>
+${attemptsLeft !== undefined ? `<p class="error">${escapeHtml(labels.wrongPin)}</p>` : ''}
+<form method="post" action="${escapeHtml(action)}">
+<input name="pin" type="password" inputmode="numeric" autocomplete="off" pattern="[0-9]{4,8}" aria-label="${escapeHtml(labels.pinLabel)}" required autofocus>
+<button type="submit">${escapeHtml(labels.pinSubmit)}</button>
+</form>`;
+
+  return layout(language, labels.pinTitle, body);
+}
+
+function renderUnavailable({ language }) {
+  const labels = t(language, 'share');
+  return layout(language, labels.unavailable, `
+<h1>${escapeHtml(labels.unavailable)}</h1>
+<p class="meta">${escapeHtml(labels.unavailableHint)}</p>`);
+}
+
+module.exports = { renderSharedEntry, renderPinForm, renderUnavailable, escapeHtml };
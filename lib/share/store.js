@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Share links. Kept in memory and, when `file` is set, written to one JSON
+// file (temp file + rename, one write at a time). Like login tokens, share
+// tokens are stored only as SHA-256 hashes and PINs only as scrypt hashes.
+
+// Accesses kept per share, newest last
+const MAX_ACCESS_LOG = 50;
+
+class ShareStore {
+  constructor({ file } = {}) {
+    this.file = file || null;
+    this.shares = new Map();
+    this.writes = Promise.resolve();
+    if (this.file) this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    if (!fs.existsSync(this.file)) return;
+
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    (data.shares || []).forEach(share => this.shares.set(share.hash, share));
+  }
+
+  save() {
+    if (!this.file) return Promise.resolve();
+
+    const snapshot = JSON.stringify({ shares: [...this.shares.values()] });
+    this.writes = this.writes.catch(() => {}).then(async () => {
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot, { mode: 0o600 });
+      await fs.promises.rename(tmp, this.file);
+    });
+    return this.writes;
+  }
+
+  /**
+   * Stores a share of one history entry and returns { token, share }. The
+   * raw token is only returned here; `pinHash` is optional.
+   */
+  async create({ ownerId, entryId, language, ttlMs, pinHash = null }) {
+    this.prune();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const share = {
+      id: uuidv4(),
+      hash: hashToken(token),
+      ownerId,
+      entryId,
+      language,
+      pinHash,
+      failedPins: 0,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+      revokedAt: null,
+      accessLog: []
+    };
+    this.shares.set(share.hash, share);
+    await this.save();
+    return { token, share };
+  }
+
+  // The share for a raw token, expired or revoked ones included (see isActive)
+  async findByToken(token) {
+    return this.shares.get(hashToken(token)) || null;
+  }
+
+  // The owner's shares, newest first
+  async listByOwner(ownerId) {
+    return [...this.shares.values()]
+      .filter(share => share.ownerId === ownerId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // `tokenOrId` is the raw token or the share id from listByOwner
+  async revoke(ownerId, tokenOrId) {
+    const share = this.shares.get(hashToken(tokenOrId))
+      || [...this.shares.values()].find(s => s.id === tokenOrId);
+    if (!share || share.ownerId !== ownerId || share.revokedAt) return null;
+
+    share.revokedAt = new Date().toISOString();
+    await this.save();
+    return share;
+  }
+
+  // Shares of a deleted history entry stop working with it
+  async revokeEntry(ownerId, entryId) {
+    const now = new Date().toISOString();
+    let revoked = 0;
+    for (const share of this.shares.values()) {
+      if (share.ownerId === ownerId && (!entryId || share.entryId === entryId) && !share.revokedAt) {
+        share.revokedAt = now;
+        revoked++;
+      }
+    }
+    if (revoked) await this.save();
+    return revoked;
+  }
+
+  // Counts a PIN attempt before the (slow) hash check, so parallel guesses
+  // can't all get past the limit. Returns false once `max` attempts are used.
+  async reservePinAttempt(share, max) {
+    if (share.failedPins >= max) return false;
+    share.failedPins++;
+    await this.save();
+    return true;
+  }
+
+  // A correct PIN gives back the attempt it reserved
+  async releasePinAttempt(share) {
+    share.failedPins = Math.max(0, share.failedPins - 1);
+    await this.save();
+  }
+
+  // outcome: viewed | pdf | pin_required | wrong_pin | locked | expired | revoked
+  async logAccess(share, outcome, changes = {}) {
+    Object.assign(share, changes);
+    share.accessLog.push({ at: new Date().toISOString(), outcome });
+    if (share.accessLog.length > MAX_ACCESS_LOG) share.accessLog.splice(0, share.accessLog.length - MAX_ACCESS_LOG);
+    await this.save();
+  }
+
+  // Drops shares that expired or were revoked more than a day ago
+  prune() {
+    const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+    for (const [hash, share] of this.shares) {
+      const ended = share.revokedAt ? Date.parse(share.revokedAt) : Date.parse(share.expiresAt);
+      if (ended <= cutoff) this.shares.delete(hash);
+    }
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = ShareStore;
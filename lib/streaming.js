@@ -0,0 +1,72 @@
+// Server-Sent Events helpers for the streaming endpoints
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Switches a response to an event stream. Returns { send(event, data),
+ * close(), closed() }; sends are dropped once the client has gone away,
+ * so the caller can finish its work (and record history) regardless.
+ */
+function openEventStream(res) {
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx-style proxies from buffering the whole stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comment lines keep idle mobile connections and proxies from timing out
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, HEARTBEAT_MS);
+
+  const stop = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  // The response (not the request) closes when the client disconnects
+  res.on('close', stop);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      stop();
+      res.end();
+    },
+    closed: () => closed
+  };
+}
+
+/**
+ * Complete string items of the JSON array under `key` in a partial model
+ * reply, e.g. the recommendations received so far. Items still being
+ * written are left out.
+ */
+function partialStringArray(text, key) {
+  const start = text.match(new RegExp(`"${key}"\\s*:\\s*\\[`));
+  if (!start) return [];
+
+  const items = [];
+  const item = /\s*,?\s*"((?:[^"\\]|\\.)*)"/y;
+  item.lastIndex = start.index + start[0].length;
+
+  let match;
+  while ((match = item.exec(text))) {
+    try {
+      items.push(JSON.parse(`"${match[1]}"`));
+    } catch (error) {
+      break;
+    }
+  }
+  return items;
+}
+
+module.exports = { openEventStream, partialStringArray };
@@ -0,0 +1,217 @@
+const { SEVERITY_CODES } = require('./severity');
+const { RISK_LEVELS } = require('./drugInteractions');
+const { promptText } = require('./providers/fixtures');
+const { logMessage } = require('./privacy');
+const { metrics } = require('./metrics');
+const { log } = require('./logger');
+
+// One output layer for every endpoint that needs JSON from the model.
+// Each response type has a schema that is sent as Gemini's responseSchema
+// (JSON mode) and checked again here, because other providers, recorded
+// fixtures and older models may ignore it. A reply that fails the checks
+// gets one repair prompt listing the problems; if that fails too the caller
+// falls back to its local answer. `parseStatus` records which happened.
+//
+// Schemas use only the keywords Gemini accepts: type, properties,
+// required, items, enum, nullable.
+
+const PARSE_STATUS = { PARSED: 'parsed', REPAIRED: 'repaired', FALLBACK: 'fallback' };
+
+const MAX_REPAIR_REPLY_CHARS = 6000;
+
+const string = { type: 'string' };
+const strings = { type: 'array', items: string };
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+
+const ANALYSIS_PROPERTIES = {
+  possibleConditions: strings,
+  severity: { type: 'string', enum: SEVERITY_CODES },
+  recommendations: strings,
+  requiresImmediateCare: { type: 'boolean' },
+  whenToSeeDoctor: string,
+  selfCareTips: strings
+};
+
+const risk = { type: 'string', enum: RISK_LEVELS };
+
+const SCHEMAS = {
+  analysis: object(ANALYSIS_PROPERTIES),
+
+  chat: object({
+    ...ANALYSIS_PROPERTIES,
+    clarifyingQuestions: strings,
+    changes: string
+  }),
+
+  image: object({
+    visualFindings: object({
+      description: string,
+      color: string,
+      estimatedSize: string,
+      borders: string,
+      infectionSigns: strings,
+      otherFindings: strings
+    }, ['description']),
+    ...ANALYSIS_PROPERTIES
+  }),
+
+  drugs: object({
+    overallRisk: risk,
+    interactions: { type: 'array', items: object({ drugs: strings, severity: risk, mechanism: string, management: string }, ['drugs', 'severity', 'mechanism']) },
+    conditionConflicts: { type: 'array', items: object({ drug: string, condition: string, severity: risk, description: string, management: string }, ['drug', 'condition', 'severity', 'description']) },
+    allergyConflicts: { type: 'array', items: object({ drug: string, allergy: string, severity: risk, description: string, management: string }, ['drug', 'allergy', 'severity', 'description']) },
+    duplicateTherapy: { type: 'array', items: object({ drugs: strings, drugClass: string, description: string }, ['drugs', 'description']) },
+    alternatives: { type: 'array', items: object({ drug: string, suggestion: string }) },
+    summary: string
+  }),
+
+  transcript: object({
+    transcript: string,
+    language: string
+  })
+};
+
+/**
+ * Checks a value against a schema. Returns a list of problems such as
+ * "$.severity must be one of LOW, MEDIUM, HIGH, EMERGENCY" (empty when
+ * valid). Enum values match case-insensitively; the routes' normalizers
+ * turn them into the canonical codes.
+ */
+function validate(value, schema, path = '$') {
+  if (value === null && schema.nullable) return [];
+
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path} must be an object`];
+      const missing = (schema.required || [])
+        .filter(key => value[key] === undefined || value[key] === null)
+        .map(key => `${path}.${key} is required`);
+      const invalid = Object.entries(schema.properties || {})
+        .filter(([key]) => value[key] !== undefined && value[key] !== null)
+        .flatMap(([key, property]) => validate(value[key], property, `${path}.${key}`));
+      return [...missing, ...invalid];
+    }
+    case 'array':
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      return value.flatMap((item, index) => validate(item, schema.items, `${path}[${index}]`));
+    case 'string':
+      if (typeof value !== 'string') return [`${path} must be a string`];
+      if (schema.enum && !schema.enum.some(option => option.toLowerCase() === value.trim().toLowerCase())) {
+        return [`${path} must be one of ${schema.enum.join(', ')}`];
+      }
+      return [];
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${path} must be true or false`];
+    case 'number':
+    case 'integer':
+      return typeof value === 'number' && Number.isFinite(value) ? [] : [`${path} must be a number`];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Strict JSON parse of a model reply. Markdown fences and text around the
+ * outermost object are tolerated; the JSON itself is never rewritten, so
+ * apostrophes and colons in the text survive. Returns { value } or { error }.
+ */
+function parseJson(text) {
+  const cleaned = String(text || '').replace(/^﻿/, '').replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end < start) return { error: 'reply contains no JSON object' };
+
+  try {
+    return { value: JSON.parse(cleaned.slice(start, end + 1)) };
+  } catch (error) {
+    return { error: `invalid JSON: ${error.message}` };
+  }
+}
+
+// { data, errors } for a reply; data is null unless the reply matches the schema
+function parseOutput(type, text) {
+  const { value, error } = parseJson(text);
+  if (error) return { data: null, errors: [error] };
+
+  const errors = validate(value, SCHEMAS[type]);
+  return { data: errors.length ? null : value, errors };
+}
+
+// generationConfig with the model's native JSON mode and the response schema
+function structuredConfig(type, generationConfig = {}) {
+  return { ...generationConfig, responseMimeType: 'application/json', responseSchema: SCHEMAS[type] };
+}
+
+function repairPrompt(type, prompt, text, errors) {
+  return [
+    'Your previous reply could not be used because it does not match the required JSON format.',
+    '',
+    'Problems:',
+    ...errors.slice(0, 20).map(error => `- ${error}`),
+    '',
+    'Original request:',
+    promptText(prompt),
+    '',
+    'Previous reply:',
+    String(text || '').slice(0, MAX_REPAIR_REPLY_CHARS),
+    '',
+    'Return ONLY the corrected JSON object, with no other text. Keep the medical content and its language; fix only the structure.',
+    `JSON schema: ${JSON.stringify(SCHEMAS[type])}`
+  ].join('\n');
+}
+
+/**
+ * Validates a finished reply (from generate or stream) and, if it does not
+ * match the schema, sends one repair prompt. Returns { data, text, model,
+ * parseStatus, errors }; data is null when parseStatus is 'fallback'.
+ */
+async function completeStructured(llm, options) {
+  const result = await validateOrRepair(llm, options);
+  metrics.structuredOutput.inc({ type: options.type, status: result.parseStatus });
+  return result;
+}
+
+async function validateOrRepair(llm, { type, task, model, prompt, generationConfig, text, resultModel }) {
+  const first = parseOutput(type, text);
+  if (first.data) return { data: first.data, text, model: resultModel || model, parseStatus: PARSE_STATUS.PARSED, errors: [] };
+
+  log.info(`🔧 ${type} reply failed validation (${logMessage(first.errors.slice(0, 3).join('; '))}), asking for a repair`);
+  try {
+    const repair = await llm.generate({
+      task,
+      model,
+      prompt: repairPrompt(type, prompt, text, first.errors),
+      generationConfig: structuredConfig(type, { ...generationConfig, temperature: 0 })
+    });
+
+    const second = parseOutput(type, repair.text);
+    if (second.data) {
+      return { data: second.data, text: repair.text, model: repair.model, parseStatus: PARSE_STATUS.REPAIRED, errors: first.errors };
+    }
+    log.info(`⚠️ ${type} repair failed validation too (${logMessage(second.errors.slice(0, 3).join('; '))})`);
+    return { data: null, text, model: resultModel || model, parseStatus: PARSE_STATUS.FALLBACK, errors: second.errors };
+  } catch (error) {
+    log.error(`❌ ${type} repair request failed:`, logMessage(error.message));
+    return { data: null, text, model: resultModel || model, parseStatus: PARSE_STATUS.FALLBACK, errors: first.errors };
+  }
+}
+
+/**
+ * llm.generate in JSON mode for a response type, with validation and one
+ * repair attempt. Provider errors are thrown as before.
+ */
+async function generateStructured(llm, { type, task, model, prompt, generationConfig }) {
+  const result = await llm.generate({ task, model, prompt, generationConfig: structuredConfig(type, generationConfig) });
+  return completeStructured(llm, { type, task, model, prompt, generationConfig, text: result.text, resultModel: result.model });
+}
+
+module.exports = {
+  PARSE_STATUS,
+  SCHEMAS,
+  validate,
+  parseJson,
+  parseOutput,
+  structuredConfig,
+  completeStructured,
+  generateStructured
+};
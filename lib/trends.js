@@ -0,0 +1,188 @@
+const { LANGUAGES, t } = require('./i18n');
+const { SEVERITY_CODES, severityLevel, severityLabel } = require('./severity');
+const { normalizeText, tokenize, containsPhrase } = require('./redFlags');
+
+// Symptom trends across a session's history (GET /api/history/:sessionId/trends).
+// Analyses are grouped by symptom (trends.terms, matched in any language
+// word by word like the red flags, so "no fever" is not a fever) and by the
+// conditions the model suggested. Two or more entries in a group
+// make a trend, classified as worsening, improving, recurring or stable.
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const RECURRING_COUNT = 3;
+const MEDIUM = 1;
+
+// Phrases per symptom, merged from every locale's trends.terms and
+// tokenized once; `*` works as in redFlags.terms ("cough*" = coughing)
+const TERMS = {};
+LANGUAGES.forEach(language => {
+  Object.entries(t(language, 'trends.terms')).forEach(([symptom, terms]) => {
+    TERMS[symptom] = [...(TERMS[symptom] || []), ...terms.map(term => tokenize(term)).filter(phrase => phrase.length)];
+  });
+});
+
+// The fallback's "see a doctor" placeholder is not a condition to group by
+const GENERIC_CONDITIONS = new Set(
+  LANGUAGES.flatMap(language => t(language, 'fallback.conditions')).map(condition => conditionKey(condition))
+);
+
+// Ordering of patterns in the response, most urgent first
+const PATTERNS = ['worsening', 'recurring', 'stable', 'improving'];
+
+function day(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// "Migraine (likely)" and "migraine" are the same condition
+function conditionKey(condition) {
+  return normalizeText(condition)
+    .replace(/\([^)]*\)/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * One point per analysis or image entry, oldest first. A follow-up
+ * conversation counts once, with the severity of its latest version.
+ */
+function episodes(entries) {
+  const followups = entries.filter(e => e.type === 'followup');
+
+  return entries
+    .filter(e => (e.type === 'analysis' || e.type === 'image') && e.analysis)
+    .map(entry => {
+      const turns = followups
+        .filter(f => f.conversationId === entry.id)
+        .sort((a, b) => a.version - b.version);
+      const analysis = turns.length ? turns[turns.length - 1].analysis : entry.analysis;
+      const level = severityLevel(analysis.severity);
+
+      return {
+        entryId: entry.id,
+        timestamp: entry.timestamp,
+        type: entry.type,
+        symptoms: entry.symptoms || '',
+        tokens: tokenize([entry.symptoms, ...turns.map(turn => turn.message)].filter(Boolean).join('\n')),
+        level,
+        severity: level === -1 ? null : SEVERITY_CODES[level],
+        conditions: Array.isArray(analysis.possibleConditions) ? analysis.possibleConditions : [],
+        versions: turns.length + 1
+      };
+    })
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+function classify(levels) {
+  const known = levels.filter(level => level !== -1);
+  const first = known[0];
+  const last = known[known.length - 1];
+
+  if (known.length >= 2 && last > first && last === Math.max(...known)) return 'worsening';
+  if (known.length >= 2 && last < first) return 'improving';
+  if (levels.length >= RECURRING_COUNT) return 'recurring';
+  return 'stable';
+}
+
+function buildGroups(points, language) {
+  const groups = new Map();
+  const add = (key, kind, label, point) => {
+    if (!groups.has(key)) groups.set(key, { key, kind, label, points: [] });
+    const group = groups.get(key);
+    if (!group.points.includes(point)) group.points.push(point);
+  };
+
+  points.forEach(point => {
+    Object.entries(TERMS).forEach(([symptom, phrases]) => {
+      if (containsPhrase(point.tokens, phrases)) {
+        add(`symptom:${symptom}`, 'symptom', t(language, `trends.symptoms.${symptom}`), point);
+      }
+    });
+    point.conditions.forEach(condition => {
+      const key = conditionKey(condition);
+      if (key && !GENERIC_CONDITIONS.has(key)) add(`condition:${key}`, 'condition', condition, point);
+    });
+  });
+
+  // Symptom groups come first, so they win over a condition covering the same entries
+  const seen = new Set();
+  return [...groups.values()]
+    .filter(group => group.points.length >= 2)
+    .filter(group => {
+      const entries = group.points.map(p => p.entryId).sort().join(',');
+      if (seen.has(entries)) return false;
+      seen.add(entries);
+      return true;
+    })
+    .map(group => {
+      const levels = group.points.map(p => p.level);
+      const known = group.points.filter(p => p.level !== -1);
+      const first = known[0];
+      const last = known[known.length - 1];
+      return {
+        key: group.key,
+        kind: group.kind,
+        label: group.label,
+        count: group.points.length,
+        pattern: classify(levels),
+        firstSeen: group.points[0].timestamp,
+        lastSeen: group.points[group.points.length - 1].timestamp,
+        firstSeverity: first ? first.severity : null,
+        latestSeverity: last ? last.severity : null,
+        maxLevel: Math.max(...levels),
+        points: group.points.map(p => ({
+          entryId: p.entryId,
+          timestamp: p.timestamp,
+          severity: p.severity,
+          severityLabel: severityLabel(p.severity, language)
+        }))
+      };
+    })
+    .sort((a, b) => PATTERNS.indexOf(a.pattern) - PATTERNS.indexOf(b.pattern) || b.count - a.count);
+}
+
+// Worsening trends, and recurring ones at MEDIUM or above, call for a doctor
+function needsEscalation(group) {
+  return group.pattern === 'worsening' || (group.pattern === 'recurring' && group.maxLevel >= MEDIUM);
+}
+
+/**
+ * Trends over the last `days` days of history entries.
+ * Returns { days, from, to, timeline, groups, summary, escalationAdvised, escalationAdvice, escalationReasons }.
+ */
+function analyzeTrends(entries, { days = DEFAULT_DAYS, now = Date.now(), language = 'en' } = {}) {
+  const windowDays = Math.min(Math.max(parseInt(days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+  const from = now - windowDays * 24 * 60 * 60 * 1000;
+  const points = episodes(entries).filter(p => Date.parse(p.timestamp) >= from);
+  const groups = buildGroups(points, language);
+  const escalating = groups.filter(needsEscalation);
+
+  const lines = groups.map(group => t(language, `trends.${group.pattern}`, {
+    label: group.label,
+    count: group.count,
+    since: day(group.firstSeen),
+    from: severityLabel(group.firstSeverity, language),
+    to: severityLabel(group.latestSeverity, language)
+  }));
+  if (lines.length === 0) lines.push(t(language, 'trends.none', { days: windowDays }));
+
+  const escalationAdvice = t(language, escalating.length ? 'trends.escalate' : 'trends.noEscalation');
+
+  return {
+    days: windowDays,
+    from: new Date(from).toISOString(),
+    to: new Date(now).toISOString(),
+    timeline: points.map(({ text, level, ...point }) => ({
+      ...point,
+      severityLabel: severityLabel(point.severity, language),
+      groups: groups.filter(g => g.points.some(p => p.entryId === point.entryId)).map(g => g.key)
+    })),
+    groups: groups.map(({ maxLevel, ...group }) => group),
+    summary: [...lines, escalationAdvice].join(' '),
+    escalationAdvised: escalating.length > 0,
+    escalationAdvice,
+    escalationReasons: escalating.map(group => group.key)
+  };
+}
+
+module.exports = { analyzeTrends, DEFAULT_DAYS, MAX_DAYS };
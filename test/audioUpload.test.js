@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { detectAudioType, audioUpload, MAX_AUDIO_BYTES } = require('../lib/audioUpload');
+
+const OGG = Buffer.concat([Buffer.from('OggS'), Buffer.alloc(40)]);
+const WAV = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt '), Buffer.alloc(32)]);
+const WEBM = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.alloc(8), Buffer.from('webm'), Buffer.alloc(32)]);
+const MKV = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.alloc(8), Buffer.from('matroska'), Buffer.alloc(32)]);
+
+// Starts an app whose only route reports what audioUpload produced
+async function withServer(fn) {
+  const app = express();
+  app.post('/transcribe', audioUpload, (req, res) => {
+    const { data, ...audio } = req.audio;
+    res.json({ success: true, audio });
+  });
+  const server = app.listen(0);
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/transcribe`);
+  } finally {
+    server.close();
+  }
+}
+
+function form(field, buffer, language) {
+  const body = new FormData();
+  if (language) body.append('language', language);
+  if (buffer) body.append(field, new Blob([buffer]), 'voice-input.webm');
+  return body;
+}
+
+test('detects recordings by magic bytes, not by name', () => {
+  assert.strictEqual(detectAudioType(OGG), 'audio/ogg');
+  assert.strictEqual(detectAudioType(WAV), 'audio/wav');
+  assert.strictEqual(detectAudioType(WEBM), 'audio/webm');
+  assert.strictEqual(detectAudioType(MKV), null);
+  assert.strictEqual(detectAudioType(Buffer.from('ID3 mp3 file')), null);
+  assert.strictEqual(detectAudioType(null), null);
+});
+
+test('accepts one recording as req.audio', async () => {
+  await withServer(async url => {
+    const response = await fetch(url, { method: 'POST', body: form('audio', OGG) });
+    assert.deepStrictEqual(await response.json(), {
+      success: true,
+      audio: { name: 'voice-input.webm', mimeType: 'audio/ogg', bytes: OGG.length }
+    });
+  });
+});
+
+test('rejects missing, unsupported and oversized uploads with localized errors', async () => {
+  await withServer(async url => {
+    const missing = await fetch(url, { method: 'POST', body: form('audio', null, 'es') });
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual((await missing.json()).code, 'AUDIO_REQUIRED');
+
+    const wrongField = await fetch(url, { method: 'POST', body: form('file', OGG) });
+    assert.strictEqual((await wrongField.json()).code, 'AUDIO_REQUIRED');
+
+    const mp3 = await fetch(url, { method: 'POST', body: form('audio', Buffer.from('ID3 not a supported recording')) });
+    assert.strictEqual(mp3.status, 415);
+    assert.strictEqual((await mp3.json()).code, 'UNSUPPORTED_AUDIO_TYPE');
+
+    const large = await fetch(url, { method: 'POST', body: form('audio', Buffer.alloc(MAX_AUDIO_BYTES + 1)) });
+    assert.strictEqual(large.status, 413);
+    assert.strictEqual((await large.json()).code, 'AUDIO_TOO_LARGE');
+  });
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const AuthStore = require('../lib/auth/store');
+const { hashPassword, verifyPassword } = require('../lib/auth/passwords');
+const auth = require('../lib/auth');
+
+async function listen(app) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('passwords verify against their own hash only', async () => {
+  const hash = await hashPassword('correct horse');
+  assert.match(hash, /^scrypt\$16384\$8\$1\$/);
+  assert.strictEqual(await verifyPassword('correct horse', hash), true);
+  assert.strictEqual(await verifyPassword('wrong horse', hash), false);
+  assert.strictEqual(await verifyPassword('correct horse', 'garbage'), false);
+});
+
+test('register validates input and rejects duplicate emails', async () => {
+  const store = new AuthStore();
+  await assert.rejects(auth.register(store, { email: 'nope', password: 'long enough' }), { code: 'INVALID_EMAIL', status: 400 });
+  await assert.rejects(auth.register(store, { email: 'a@b.co', password: 'short' }), { code: 'WEAK_PASSWORD', status: 400 });
+
+  const { user, token } = await auth.register(store, { email: ' A@B.co ', password: 'long enough', displayName: ' Sam ' });
+  assert.deepStrictEqual(auth.publicUser(user), { id: user.id, email: 'a@b.co', displayName: 'Sam', createdAt: user.createdAt });
+  assert.ok(token);
+  await assert.rejects(auth.register(store, { email: 'a@b.co', password: 'long enough' }), { code: 'EMAIL_TAKEN', status: 409 });
+});
+
+test('concurrent sign-ups for one email create a single account', async () => {
+  const store = new AuthStore();
+  const results = await Promise.allSettled([1, 2, 3].map(() => auth.register(store, { email: 'same@b.co', password: 'long enough' })));
+
+  assert.strictEqual(results.filter(r => r.status === 'fulfilled').length, 1);
+  results.filter(r => r.status === 'rejected').forEach(r => assert.strictEqual(r.reason.code, 'EMAIL_TAKEN'));
+  assert.strictEqual(store.users.size, 1);
+});
+
+test('login returns a fresh token and rejects bad credentials', async () => {
+  const store = new AuthStore();
+  const { user } = await auth.register(store, { email: 'a@b.co', password: 'long enough' });
+
+  const result = await auth.login(store, { email: 'A@B.CO', password: 'long enough' });
+  assert.strictEqual(result.user.id, user.id);
+  assert.strictEqual((await store.findToken(result.token)).userId, user.id);
+
+  await assert.rejects(auth.login(store, { email: 'a@b.co', password: 'wrong password' }), { code: 'INVALID_CREDENTIALS', status: 401 });
+  await assert.rejects(auth.login(store, { email: 'x@b.co', password: 'long enough' }), { code: 'INVALID_CREDENTIALS', status: 401 });
+});
+
+test('tokens expire, can be revoked and are stored only as hashes', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-')), 'users.json');
+  const store = new AuthStore({ file });
+  const user = await store.createUser({ email: 'a@b.co', credentials: [] });
+
+  const expired = await store.createToken(user.id, -1000);
+  assert.strictEqual(await store.findToken(expired), null);
+
+  const token = await store.createToken(user.id, 60000);
+  assert.ok(!fs.readFileSync(file, 'utf8').includes(token));
+
+  const reloaded = new AuthStore({ file });
+  assert.strictEqual((await reloaded.findToken(token)).userId, user.id);
+  assert.strictEqual(await reloaded.revokeToken(token), true);
+  assert.strictEqual(await reloaded.findToken(token), null);
+});
+
+test('middleware accepts bearer tokens and cookies and scopes sessions to their owner', async () => {
+  const store = new AuthStore();
+  const { user, token } = await auth.register(store, { email: 'a@b.co', password: 'long enough' });
+
+  const app = express();
+  app.use(auth.authenticate(store));
+  app.get('/me', auth.requireUser, (req, res) => res.json({ id: req.user.id }));
+  app.get('/history/:sessionId', auth.requireSessionOwner, (req, res) => res.json({ ok: true }));
+  const { server, url } = await listen(app);
+
+  try {
+    const anonymous = await fetch(`${url}/me?language=es`);
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual((await anonymous.json()).code, 'SIGN_IN_REQUIRED');
+
+    const bearer = await fetch(`${url}/me`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.deepStrictEqual(await bearer.json(), { id: user.id });
+
+    const cookie = { Cookie: `other=1; ${auth.COOKIE_NAME}=${encodeURIComponent(token)}` };
+    assert.strictEqual((await fetch(`${url}/history/${user.id}`, { headers: cookie })).status, 200);
+    const other = await fetch(`${url}/history/someone-else`, { headers: cookie });
+    assert.strictEqual(other.status, 404);
+    assert.strictEqual((await other.json()).code, 'NOT_FOUND');
+
+    const invalid = await fetch(`${url}/me`, { headers: { Authorization: 'Bearer not-a-token' } });
+    assert.strictEqual(invalid.status, 401);
+
+    // A malformed cookie, ours or another app's, leaves the request anonymous
+    for (const header of [`${auth.COOKIE_NAME}=%E0%A4`, `other=%; ${auth.COOKIE_NAME}=${encodeURIComponent(token)}`]) {
+      const response = await fetch(`${url}/me`, { headers: { Cookie: header } });
+      assert.strictEqual(response.status, header.startsWith('other') ? 200 : 401);
+    }
+  } finally {
+    server.close();
+  }
+});
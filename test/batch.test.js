@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { log } = require('../lib/logger');
+const { parseCsv, formatCsv } = require('../lib/batch/csv');
+const JobQueue = require('../lib/batch/queue');
+const { BatchError, readCases, normalizeCases, sortResults, publicJob, resultsCsv } = require('../lib/batch');
+
+// Job logs carry emoji, which the test runner cannot pass through stdout
+test.before(() => {
+  test.mock.method(log, 'info', () => {});
+  test.mock.method(log, 'error', () => {});
+});
+test.after(() => test.mock.restoreAll());
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('CSV parsing handles quotes, escaped quotes, line breaks and blank rows', () => {
+  const text = '\uFEFFid,symptoms,age\r\nA1,"cough, fever",34\r\n\r\nA2,"says ""dizzy""\nwhen standing",\n';
+  assert.deepStrictEqual(parseCsv(text), [
+    ['id', 'symptoms', 'age'],
+    ['A1', 'cough, fever', '34'],
+    ['A2', 'says "dizzy"\nwhen standing', '']
+  ]);
+  assert.throws(() => parseCsv('symptoms\n"never closed'), /Unterminated/);
+});
+
+test('CSV output quotes where needed and defuses spreadsheet formulas', () => {
+  assert.strictEqual(
+    formatCsv(['a', 'b', 'c'], [['x, y', ['one', 'two'], '=HYPERLINK("x")'], [null, 'say "hi"', '-1']]),
+    'a,b,c\r\n"x, y",one; two,"\'=HYPERLINK(""x"")"\r\n,"say ""hi""",\'-1\r\n'
+  );
+});
+
+test('cases come from a JSON array, { cases }, { csv } or a CSV body', () => {
+  const csv = 'Symptoms,ID,Age\nchest pain,bed-4,61\n';
+  assert.deepStrictEqual(readCases(csv), [{ symptoms: 'chest pain', reference: 'bed-4', age: '61' }]);
+  assert.deepStrictEqual(readCases({ csv }), readCases(csv));
+  assert.deepStrictEqual(readCases({ cases: [{ symptoms: 'rash' }] }), [{ symptoms: 'rash' }]);
+
+  for (const body of [{}, 'age\n40\n', 'symptoms\n', '"open']) {
+    assert.throws(() => readCases(body), error => error instanceof BatchError && error.code === 'INVALID_BATCH' && error.status === 400);
+  }
+});
+
+test('cases are numbered and every invalid field is reported', () => {
+  const { cases, invalidCases } = normalizeCases([
+    { symptoms: ' sore throat ', age: '7', language: 'ES', reference: 'r1' },
+    { symptoms: 'hi', age: 200 },
+    'not a case',
+    { symptoms: 'headache', gender: { value: 'x' } }
+  ], 'fr');
+
+  assert.deepStrictEqual(cases[0], {
+    index: 1, reference: 'r1', symptoms: 'sore throat', age: 7, gender: '', duration: '', language: 'es'
+  });
+  assert.strictEqual(cases[1].language, 'fr');
+  assert.deepStrictEqual(invalidCases, [
+    { case: 2, fields: ['symptoms', 'age'] },
+    { case: 3, fields: ['symptoms'] },
+    { case: 4, fields: ['gender'] }
+  ]);
+
+  assert.throws(() => normalizeCases([]), { code: 'INVALID_BATCH' });
+  assert.throws(() => normalizeCases(Array(201).fill({ symptoms: 'cough' })), { code: 'TOO_MANY_CASES', status: 413 });
+});
+
+test('results sort Emergency first, failed cases last, then by case number', () => {
+  const results = [
+    { index: 1, status: 'failed' },
+    { index: 2, status: 'done', analysis: { severity: 'LOW' } },
+    { index: 3, status: 'done', analysis: { severity: 'EMERGENCY' } },
+    { index: 4, status: 'done', analysis: { severity: 'LOW' } },
+    { index: 5, status: 'done', analysis: { severity: 'HIGH' } }
+  ];
+  assert.deepStrictEqual(sortResults(results).map(r => r.index), [3, 5, 2, 4, 1]);
+
+  const csv = resultsCsv(results);
+  assert.ok(csv.startsWith('\uFEFFcase,reference,status,severity,'));
+  assert.strictEqual(csv.split('\r\n')[1].split(',')[0], '3');
+});
+
+test('the queue runs jobs in order with at most `concurrency` cases in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const order = [];
+  const queue = new JobQueue({
+    concurrency: 2,
+    processCase: async (item, job) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      order.push(`${job.language}${item.index}`);
+      await tick();
+      inFlight--;
+      if (item.symptoms === 'boom') throw new Error('model down');
+      return { ...item, status: 'done' };
+    }
+  });
+
+  const cases = symptoms => symptoms.map((s, i) => ({ index: i + 1, symptoms: s, language: 'en' }));
+  const first = queue.create({ language: 'a', cases: cases(['x', 'boom', 'y']) });
+  const second = queue.create({ language: 'b', cases: cases(['z']) });
+  assert.strictEqual(queue.pending(), 2);
+
+  while (queue.pending()) await tick();
+
+  assert.strictEqual(peak, 2);
+  assert.deepStrictEqual(order, ['a1', 'a2', 'a3', 'b1']);
+  assert.deepStrictEqual(publicJob(first), {
+    ...publicJob(first), status: 'completed', total: 3, completed: 3, failed: 1, progress: 100
+  });
+  assert.deepStrictEqual(first.results.find(r => r.index === 2), {
+    index: 2, symptoms: 'boom', language: 'en', status: 'failed', error: 'Internal server error'
+  });
+  assert.strictEqual(second.status, 'completed');
+  assert.strictEqual(queue.get(first.id), first);
+});
+
+test('finished jobs are dropped after the retention time', async () => {
+  const queue = new JobQueue({ retentionMs: 0, processCase: async item => item });
+  const job = queue.create({ language: 'en', cases: [{ index: 1 }] });
+  while (queue.pending()) await tick();
+
+  queue.create({ language: 'en', cases: [{ index: 1 }] });
+  assert.strictEqual(queue.get(job.id), null);
+});
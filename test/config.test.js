@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FEATURES, CORE_FEATURES, ConfigError, loadConfig, enabledFeatures } = require('../lib/config');
+
+function configFile(values) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-')), 'config.json');
+  fs.writeFileSync(file, typeof values === 'string' ? values : JSON.stringify(values));
+  return file;
+}
+
+test('defaults apply when nothing is set', () => {
+  const config = loadConfig({});
+
+  assert.strictEqual(config.server.port, 3000);
+  assert.strictEqual(config.llm.retries, 2);
+  assert.strictEqual(config.history.store, 'file');
+  assert.strictEqual(config.auth.store, 'file');
+  assert.strictEqual(config.privacy.logLevel, 'metadata');
+  assert.ok(Object.keys(FEATURES).every(name => config.features[name] === true));
+  assert.ok(Object.isFrozen(config.llm));
+});
+
+test('environment values are parsed by type, and empty ones count as unset', () => {
+  const config = loadConfig({
+    PORT: '8080',
+    ENABLE_VOICE: 'off',
+    ENABLE_PDF: 'Yes',
+    MAX_IMAGE_MB: '2.5',
+    HISTORY_STORE: 'MEMORY',
+    LLM_RETRIES: ''
+  });
+
+  assert.strictEqual(config.server.port, 8080);
+  assert.strictEqual(config.features.voice, false);
+  assert.strictEqual(config.features.pdf, true);
+  assert.strictEqual(config.images.maxMb, 2.5);
+  assert.strictEqual(config.history.store, 'memory');
+  assert.strictEqual(config.auth.store, 'memory');
+  assert.strictEqual(config.llm.retries, 2);
+});
+
+test('the environment wins over the config file', () => {
+  const file = configFile({ server: { port: 4000 }, features: { chat: false, drugs: false } });
+  const config = loadConfig({ CONFIG_FILE: file, ENABLE_DRUGS: 'true' });
+
+  assert.strictEqual(config.source, file);
+  assert.strictEqual(config.server.port, 4000);
+  assert.strictEqual(config.features.chat, false);
+  assert.strictEqual(config.features.drugs, true);
+});
+
+test('every invalid value is reported at once', () => {
+  const file = configFile({ llm: { retries: 'many' }, features: { teleport: true } });
+
+  assert.throws(() => loadConfig({
+    CONFIG_FILE: file,
+    PORT: '70000',
+    ENABLE_CHAT: 'maybe',
+    LOG_PRIVACY: 'loud',
+    MAX_IMAGES: '2.5',
+    LLM_PROVIDER: 'gemini',
+    GEMINI_API_KEY: ''
+  }), error => {
+    assert.ok(error instanceof ConfigError);
+    assert.deepStrictEqual(error.issues, [
+      `features.teleport in ${file} is not a known setting`,
+      'PORT must be at most 65535 (got "70000")',
+      'ENABLE_CHAT must be true or false (got "maybe")',
+      `llm.retries in ${file} must be an integer (got "many")`,
+      'MAX_IMAGES must be an integer (got "2.5")',
+      'LOG_PRIVACY must be one of metadata, redacted, none (got "loud")',
+      'LLM_PROVIDER=gemini needs GEMINI_API_KEY'
+    ]);
+    return true;
+  });
+});
+
+test('unreadable config files and secrets are reported without the value', () => {
+  assert.throws(() => loadConfig({ CONFIG_FILE: configFile('[1, 2]') }), /must contain a JSON object/);
+  assert.throws(() => loadConfig({ CONFIG_FILE: configFile('{ nope') }), /could not be read/);
+
+  const file = configFile({ gemini: { apiKey: 12345 } });
+  assert.throws(() => loadConfig({ CONFIG_FILE: file }), error => {
+    assert.deepStrictEqual(error.issues, [`gemini.apiKey in ${file} must be a string`]);
+    return true;
+  });
+});
+
+test('enabledFeatures lists core features and the enabled optional ones', () => {
+  const config = loadConfig({ ENABLE_VOICE: 'false', ENABLE_FHIR: '0' });
+  const features = enabledFeatures(config);
+
+  assert.deepStrictEqual(features.slice(0, CORE_FEATURES.length), CORE_FEATURES);
+  assert.ok(!features.includes('voice') && !features.includes('fhir'));
+  assert.ok(features.includes('image') && features.includes('pdf'));
+});
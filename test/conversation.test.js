@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_CLARIFYING_QUESTIONS,
+  normalizeClarifyingQuestions,
+  normalizeAnswers,
+  findConversation,
+  latestVersion,
+  conversationText,
+  earlierRedFlags,
+  describeConversation
+} = require('../lib/conversation');
+const { evaluateRedFlags, withEarlierFlags, applyRedFlags } = require('../lib/redFlags');
+
+const ENTRIES = [
+  { id: 'a1', type: 'analysis', symptoms: 'headache', analysis: { severity: 'LOW' }, timestamp: '2026-01-01T00:00:00Z' },
+  { id: 'd1', type: 'drugs', medicines: ['aspirin'] },
+  { id: 'f2', type: 'followup', conversationId: 'a1', version: 2, message: 'now with fever', answers: [], clarifyingQuestions: ['How high?'], analysis: { severity: 'MEDIUM' } },
+  { id: 'a2', type: 'analysis', symptoms: 'cough', analysis: { severity: 'LOW' } },
+  { id: 'f3', type: 'followup', conversationId: 'a1', version: 3, message: '', answers: [{ question: 'How high?', answer: '39C' }], clarifyingQuestions: [], analysis: { severity: 'HIGH' } }
+];
+
+test('normalizes clarifying questions and caps their number', () => {
+  assert.deepStrictEqual(normalizeClarifyingQuestions(' Since when? '), ['Since when?']);
+  assert.deepStrictEqual(normalizeClarifyingQuestions(['a', '', 'b', 'c', 'd']).length, MAX_CLARIFYING_QUESTIONS);
+  assert.deepStrictEqual(normalizeClarifyingQuestions({ q: 'x' }), []);
+});
+
+test('pairs plain-string answers with the questions asked and drops empty ones', () => {
+  assert.deepStrictEqual(normalizeAnswers(['3 days', '', { answer: 'yes' }], ['How long?', 'Any fever?', 'Any rash?']), [
+    { question: 'How long?', answer: '3 days' },
+    { question: 'Any rash?', answer: 'yes' }
+  ]);
+  assert.deepStrictEqual(normalizeAnswers('3 days'), []);
+});
+
+test('finds a conversation from any of its entries or the latest one', () => {
+  const fromFollowup = findConversation(ENTRIES, 'f2');
+  assert.strictEqual(fromFollowup.conversationId, 'a1');
+  assert.deepStrictEqual(fromFollowup.turns.map(turn => turn.id), ['f2', 'f3']);
+
+  assert.strictEqual(findConversation(ENTRIES).conversationId, 'a1');
+  assert.strictEqual(findConversation(ENTRIES, 'a2').turns.length, 0);
+  assert.strictEqual(findConversation(ENTRIES, 'd1'), null);
+  assert.strictEqual(findConversation([], undefined), null);
+});
+
+test('reports the newest version of a conversation', () => {
+  assert.deepStrictEqual(latestVersion(findConversation(ENTRIES, 'a1')), { version: 3, analysis: { severity: 'HIGH' }, clarifyingQuestions: [] });
+  assert.deepStrictEqual(latestVersion(findConversation(ENTRIES, 'a2')), { version: 1, analysis: { severity: 'LOW' }, clarifyingQuestions: [] });
+});
+
+test('collects everything the patient said for red-flag checks', () => {
+  const text = conversationText(findConversation(ENTRIES, 'a1'), { message: 'chest pain now', answers: [{ answer: 'left arm' }] });
+
+  assert.strictEqual(text, 'headache\nnow with fever\n39C\nchest pain now\nleft arm');
+});
+
+test('a follow-up never drops below red flags an earlier version raised', () => {
+  const v1 = applyRedFlags({ severity: 'LOW' }, evaluateRedFlags({ symptoms: 'pregnant, some bleeding' }), 'en');
+  const conversation = findConversation([
+    { id: 'a1', type: 'analysis', symptoms: 'some bleeding', analysis: v1 },
+    { id: 'f2', type: 'followup', conversationId: 'a1', version: 2, message: 'feeling calmer', answers: [], analysis: { severity: 'MEDIUM', redFlags: [] } }
+  ]);
+  assert.strictEqual(v1.severity, 'EMERGENCY');
+  assert.deepStrictEqual(earlierRedFlags(conversation).map(flag => flag.id), ['pregnancy_bleeding_or_pain']);
+
+  // The text alone no longer mentions the pregnancy, so it fires nothing
+  const now = evaluateRedFlags({ symptoms: conversationText(conversation, { message: 'it is better' }) });
+  assert.strictEqual(now.level, -1);
+
+  const triage = withEarlierFlags(now, earlierRedFlags(conversation), 'es');
+  const v3 = applyRedFlags({ severity: 'MEDIUM', recommendations: [] }, triage, 'es');
+  assert.strictEqual(v3.severity, 'EMERGENCY');
+  assert.strictEqual(v3.requiresImmediateCare, true);
+  assert.deepStrictEqual(v3.redFlags.map(flag => flag.id), ['pregnancy_bleeding_or_pain']);
+  assert.notStrictEqual(v3.redFlags[0].description, v1.redFlags[0].description);
+});
+
+test('describes every version, starting with the original analysis', () => {
+  const described = describeConversation(findConversation(ENTRIES, 'a1'));
+
+  assert.strictEqual(described.symptoms, 'headache');
+  assert.deepStrictEqual(described.versions.map(v => [v.version, v.entryId, v.analysis.severity]), [[1, 'a1', 'LOW'], [2, 'f2', 'MEDIUM'], [3, 'f3', 'HIGH']]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { emptyDrugAnalysis, localizeDrugAnalysis, normalizeDrugAnalysis, normalizeRisk } = require('../lib/drugInteractions');
+
+test('normalizes risk levels to the severity codes', () => {
+  assert.strictEqual(normalizeRisk(' high '), 'HIGH');
+  assert.strictEqual(normalizeRisk('severe'), 'MEDIUM');
+  assert.strictEqual(normalizeRisk('EMERGENCY'), 'MEDIUM');
+  assert.strictEqual(normalizeRisk(undefined, 'LOW'), 'LOW');
+});
+
+test('validates every section into a fixed shape and drops incomplete items', () => {
+  const analysis = normalizeDrugAnalysis({
+    overallRisk: 'medium',
+    interactions: [
+      { drugs: ['Warfarin', ' Aspirin '], severity: 'high', mechanism: 'Both thin the blood', management: 'Avoid' },
+      { drugs: ['Warfarin'], severity: 'low' },
+      'not an object'
+    ],
+    conditionConflicts: [{ drug: 'Ibuprofen', condition: 'Kidney disease', severity: 'medium', description: 'Nephrotoxic' }, { drug: 'X' }],
+    allergyConflicts: [{ drug: 'Amoxicillin', allergy: 'Penicillin', description: 'Cross-reactivity' }],
+    duplicateTherapy: [{ drugs: ['Tylenol', 'Paracetamol'], drugClass: 'Paracetamol', description: 'Same ingredient' }],
+    alternatives: [{ drug: 'Aspirin', suggestion: 'Ask about paracetamol' }, { drug: 'Aspirin' }],
+    summary: ' Bleeding risk '
+  });
+
+  assert.deepStrictEqual(analysis.interactions, [
+    { drugs: ['Warfarin', 'Aspirin'], severity: 'HIGH', mechanism: 'Both thin the blood', management: 'Avoid' }
+  ]);
+  assert.strictEqual(analysis.conditionConflicts.length, 1);
+  assert.strictEqual(analysis.conditionConflicts[0].management, '');
+  assert.strictEqual(analysis.allergyConflicts[0].severity, 'HIGH');
+  assert.strictEqual(analysis.duplicateTherapy.length, 1);
+  assert.strictEqual(analysis.alternatives.length, 1);
+  assert.strictEqual(analysis.summary, 'Bleeding risk');
+});
+
+test('overall risk is never lower than the worst finding', () => {
+  assert.strictEqual(normalizeDrugAnalysis({
+    overallRisk: 'Low',
+    interactions: [{ drugs: ['A', 'B'], severity: 'High' }]
+  }).overallRisk, 'HIGH');
+
+  assert.strictEqual(normalizeDrugAnalysis({
+    overallRisk: 'Low',
+    duplicateTherapy: [{ drugs: ['A', 'B'] }]
+  }).overallRisk, 'MEDIUM');
+
+  assert.strictEqual(normalizeDrugAnalysis({ overallRisk: 'nonsense' }).overallRisk, 'LOW');
+});
+
+test('rejects non-objects and builds empty results for fallbacks', () => {
+  assert.strictEqual(normalizeDrugAnalysis(null), null);
+  assert.strictEqual(normalizeDrugAnalysis('text'), null);
+
+  const empty = emptyDrugAnalysis('Unavailable');
+  assert.strictEqual(empty.overallRisk, 'UNKNOWN');
+  assert.strictEqual(empty.summary, 'Unavailable');
+  assert.deepStrictEqual(empty.interactions, []);
+});
+
+test('adds localized labels next to the risk codes', () => {
+  const analysis = localizeDrugAnalysis(normalizeDrugAnalysis({
+    overallRisk: 'LOW',
+    interactions: [{ drugs: ['A', 'B'], severity: 'HIGH' }],
+    allergyConflicts: [{ drug: 'A', allergy: 'B' }]
+  }), 'es');
+
+  assert.strictEqual(analysis.overallRisk, 'HIGH');
+  assert.strictEqual(analysis.overallRiskLabel, 'Alta');
+  assert.strictEqual(analysis.interactions[0].severityLabel, 'Alta');
+  assert.strictEqual(analysis.allergyConflicts[0].severityLabel, 'Alta');
+});
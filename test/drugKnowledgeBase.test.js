@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeDrugName, checkInteractionsOffline, crossCheckAnalysis } = require('../lib/drugKnowledgeBase');
+
+test('maps brands, synonyms and dosages to generic names and classes', () => {
+  assert.deepStrictEqual(normalizeDrugName('Advil 200mg tablets'), {
+    input: 'Advil 200mg tablets', generics: ['ibuprofen'], classes: ['nsaid'], known: true
+  });
+  assert.deepStrictEqual(normalizeDrugName('Paracetamol').generics, ['acetaminophen']);
+  assert.deepStrictEqual(normalizeDrugName('Ibuprofeno').generics, ['ibuprofen']);
+  assert.strictEqual(normalizeDrugName('Unobtainium').known, false);
+});
+
+test('finds a high-risk interaction between an NSAID and an anticoagulant', () => {
+  const result = checkInteractionsOffline({ medicines: ['Advil', 'Warfarin'] });
+
+  assert.strictEqual(result.overallRisk, 'HIGH');
+  assert.strictEqual(result.interactions.length, 1);
+  assert.deepStrictEqual(result.interactions[0].drugs, ['Advil', 'Warfarin']);
+  assert.strictEqual(result.interactions[0].severity, 'HIGH');
+  assert.deepStrictEqual(result.unknownMedicines, []);
+});
+
+test('flags the same ingredient twice as duplicate therapy, not an interaction', () => {
+  const result = checkInteractionsOffline({ medicines: ['Tylenol', 'Paracetamol'] });
+
+  assert.deepStrictEqual(result.interactions, []);
+  assert.strictEqual(result.duplicateTherapy.length, 1);
+  assert.strictEqual(result.duplicateTherapy[0].drugClass, 'acetaminophen');
+  assert.strictEqual(result.overallRisk, 'MEDIUM');
+});
+
+test('checks conditions and allergies, including cross-reactivity', () => {
+  const kidney = checkInteractionsOffline({ medicines: ['Ibuprofen'], conditions: 'chronic kidney disease' });
+  assert.strictEqual(kidney.conditionConflicts[0].condition, 'Kidney disease');
+
+  const penicillin = checkInteractionsOffline({ medicines: ['Amoxicillin'], allergies: 'penicillin' });
+  assert.strictEqual(penicillin.allergyConflicts[0].severity, 'HIGH');
+
+  const aspirin = checkInteractionsOffline({ medicines: ['Naproxen'], allergies: 'aspirin' });
+  assert.strictEqual(aspirin.allergyConflicts.length, 1);
+});
+
+test('reports unknown medicines and says nothing was found', () => {
+  const result = checkInteractionsOffline({ medicines: ['Unobtainium', 'Vitamin Q'], language: 'es' });
+
+  assert.strictEqual(result.overallRisk, 'LOW');
+  assert.deepStrictEqual(result.unknownMedicines, ['Unobtainium', 'Vitamin Q']);
+  assert.match(result.summary, /No se encontraron/);
+  assert.match(result.summary, /Unobtainium, Vitamin Q/);
+});
+
+test('cross-check adds high-risk interactions the model missed or under-rated', () => {
+  const offline = checkInteractionsOffline({ medicines: ['Advil', 'Warfarin'] });
+
+  const missed = crossCheckAnalysis({ overallRisk: 'LOW', interactions: [], summary: 'Looks fine' }, offline);
+  assert.strictEqual(missed.missed.length, 1);
+  assert.strictEqual(missed.analysis.overallRisk, 'HIGH');
+  assert.strictEqual(missed.analysis.interactions[0].source, 'knowledge-base');
+  assert.match(missed.analysis.summary, /did not mention.*Looks fine$/);
+
+  const underRated = crossCheckAnalysis({
+    overallRisk: 'LOW',
+    interactions: [{ drugs: ['ibuprofen', 'warfarin'], severity: 'LOW', mechanism: 'm', management: '' }],
+    summary: ''
+  }, offline);
+  assert.strictEqual(underRated.analysis.interactions.length, 1);
+  assert.strictEqual(underRated.analysis.interactions[0].severity, 'HIGH');
+
+  const agreed = { overallRisk: 'HIGH', interactions: [{ drugs: ['Warfarin', 'Advil'], severity: 'HIGH' }], summary: '' };
+  assert.strictEqual(crossCheckAnalysis(agreed, offline).analysis, agreed);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { historyToBundle, bundleToProfile, validateBundle, validateResource } = require('../lib/fhir');
+const { applyProfileFields, emptyProfile } = require('../lib/profile');
+
+const ENTRIES = [
+  {
+    id: 'a1',
+    type: 'analysis',
+    timestamp: '2024-03-01T10:00:00.000Z',
+    symptoms: 'headache and nausea',
+    duration: '2 days',
+    model: 'gemini-1.5-flash',
+    analysis: { severity: 'MEDIUM', possibleConditions: ['Migraine', 'Tension headache'] }
+  },
+  {
+    id: 'a2',
+    type: 'analysis',
+    timestamp: '2024-03-02T10:00:00.000Z',
+    symptoms: 'cough',
+    model: 'rule-based',
+    analysis: { severity: 'LOW', possibleConditions: ['Common cold'] }
+  },
+  { id: 'd1', type: 'drugs', timestamp: '2024-03-03T10:00:00.000Z', medicines: ['Aspirin', 'warfarin'], allergies: 'latex' }
+];
+
+const PROFILE = {
+  ...emptyProfile(),
+  age: 34,
+  gender: 'female',
+  pregnant: true,
+  medications: ['warfarin'],
+  allergies: ['penicillin'],
+  conditions: ['asthma'],
+  weightKg: 60
+};
+
+function resources(bundle, type) {
+  return bundle.entry.map(e => e.resource).filter(r => r.resourceType === type);
+}
+
+test('export builds a valid collection bundle from history and profile', () => {
+  const bundle = historyToBundle({ entries: ENTRIES, user: { id: 'u1' }, profile: PROFILE, aiModels: ['gemini-1.5-flash'] });
+
+  assert.strictEqual(bundle.type, 'collection');
+  assert.deepStrictEqual(validateBundle(bundle), []);
+  assert.deepStrictEqual(resources(bundle, 'Patient')[0].identifier, [{ system: 'urn:healthvision:user', value: 'u1' }]);
+
+  const conditions = resources(bundle, 'Condition');
+  assert.deepStrictEqual(conditions.map(c => c.code.text), ['asthma', 'Migraine', 'Tension headache', 'Common cold']);
+  assert.strictEqual(conditions[1].verificationStatus.coding[0].code, 'provisional');
+  assert.strictEqual(conditions[1].severity.coding[0].display, 'Moderate');
+
+  const medicines = resources(bundle, 'MedicationStatement').map(m => [m.medicationCodeableConcept.text, m.status]);
+  assert.deepStrictEqual(medicines, [['warfarin', 'active'], ['Aspirin', 'unknown']]);
+  assert.deepStrictEqual(resources(bundle, 'AllergyIntolerance').map(a => a.code.text), ['penicillin', 'latex']);
+});
+
+test('model output carries provenance naming the model as a device', () => {
+  const bundle = historyToBundle({ entries: ENTRIES, aiModels: ['gemini-1.5-flash'] });
+
+  const devices = resources(bundle, 'Device');
+  assert.deepStrictEqual(devices.map(d => [d.deviceName[0].name, d.type.text]), [
+    ['gemini-1.5-flash', 'AI language model'],
+    ['rule-based', 'Rule-based fallback']
+  ]);
+
+  const [provenance] = resources(bundle, 'Provenance');
+  assert.strictEqual(provenance.target.length, 3);
+  assert.strictEqual(provenance.agent[0].who.display, 'gemini-1.5-flash');
+});
+
+test('an exported bundle imports back into the same profile fields', () => {
+  const bundle = historyToBundle({ entries: [], profile: PROFILE });
+  const { fields, imported } = bundleToProfile(bundle);
+
+  assert.deepStrictEqual(fields, {
+    gender: 'female',
+    age: 34,
+    weightKg: 60,
+    pregnant: true,
+    medications: ['warfarin'],
+    allergies: ['penicillin'],
+    conditions: ['asthma']
+  });
+  assert.strictEqual(imported.MedicationStatement, 1);
+});
+
+test('import skips inactive records and converts units', () => {
+  const bundle = {
+    resourceType: 'Bundle',
+    type: 'collection',
+    entry: [
+      { resource: { resourceType: 'Patient', birthDate: '1990-06-15' } },
+      { fullUrl: 'urn:uuid:med', resource: { resourceType: 'Medication', code: { text: 'Metformin' } } },
+      { resource: { resourceType: 'MedicationStatement', status: 'active', medicationReference: { reference: 'urn:uuid:med' }, subject: { reference: 'x' } } },
+      { resource: { resourceType: 'MedicationStatement', status: 'stopped', medicationCodeableConcept: { text: 'Ibuprofen' }, subject: { reference: 'x' } } },
+      {
+        resource: {
+          resourceType: 'Condition',
+          clinicalStatus: { coding: [{ code: 'resolved' }] },
+          code: { text: 'Broken arm' },
+          subject: { reference: 'x' }
+        }
+      },
+      {
+        resource: {
+          resourceType: 'Observation',
+          status: 'final',
+          code: { coding: [{ system: 'http://loinc.org', code: '29463-7' }] },
+          valueQuantity: { value: 150, unit: 'lbs' }
+        }
+      },
+      { resource: { resourceType: 'Encounter', status: 'finished' } }
+    ]
+  };
+
+  const { fields, skipped } = bundleToProfile(bundle, { now: Date.parse('2024-06-14T00:00:00Z') });
+  assert.deepStrictEqual(fields, { age: 33, medications: ['Metformin'], weightKg: 68 });
+  assert.deepStrictEqual(skipped, { MedicationStatement: 1, Condition: 1, Encounter: 1 });
+});
+
+test('malformed bundles and resources are reported with paths', () => {
+  assert.deepStrictEqual(bundleToProfile({ resourceType: 'Patient' }).issues, [{ path: 'resourceType', message: 'must be Bundle' }]);
+
+  const { issues } = bundleToProfile({
+    resourceType: 'Bundle',
+    type: 'collection',
+    entry: [{ resource: { resourceType: 'Patient', gender: 'robot', birthDate: '15/06/1990' } }]
+  });
+  assert.deepStrictEqual(issues.map(i => i.path), ['entry[0].resource.gender', 'entry[0].resource.birthDate']);
+
+  const observation = { resourceType: 'Observation', status: 'final', code: { text: 'x' }, valueString: 'a', valueQuantity: { value: 1 } };
+  assert.deepStrictEqual(validateResource(observation).map(i => i.message), ['only one type may be given']);
+});
+
+test('imported fields are added to the stored profile', () => {
+  const profile = applyProfileFields({ ...PROFILE }, { medications: ['Warfarin', 'metformin'], age: 35, unknown: 'x' });
+
+  assert.deepStrictEqual(profile.medications, ['warfarin', 'metformin']);
+  assert.strictEqual(profile.age, 35);
+  assert.strictEqual(profile.unknown, undefined);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore, paginateHistory, MemoryHistoryStore, FileHistoryStore } = require('../lib/history');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+}
+
+function entry(id) {
+  return { id: `entry-${id}`, timestamp: new Date(2026, 0, id).toISOString(), symptoms: `symptom ${id}` };
+}
+
+const STORES = {
+  memory: () => new MemoryHistoryStore({ maxEntries: 3 }),
+  file: () => new FileHistoryStore({ dir: tempDir(), maxEntries: 3 })
+};
+
+for (const [name, create] of Object.entries(STORES)) {
+  test(`${name} store keeps entries per session, oldest first`, async () => {
+    const store = create();
+    await store.append('a', entry(1));
+    await store.append('a', entry(2));
+    await store.append('b', entry(3));
+
+    assert.deepStrictEqual((await store.all('a')).map(e => e.id), ['entry-1', 'entry-2']);
+    assert.deepStrictEqual((await store.all('b')).map(e => e.id), ['entry-3']);
+    assert.deepStrictEqual(await store.all('missing'), []);
+    assert.strictEqual((await store.get('a', 'entry-2')).symptoms, 'symptom 2');
+    assert.strictEqual(await store.get('b', 'entry-2'), null);
+  });
+
+  test(`${name} store drops the oldest entries past maxEntries`, async () => {
+    const store = create();
+    for (let i = 1; i <= 5; i++) await store.append('a', entry(i));
+
+    assert.deepStrictEqual((await store.all('a')).map(e => e.id), ['entry-3', 'entry-4', 'entry-5']);
+  });
+
+  test(`${name} store deletes single entries and whole sessions`, async () => {
+    const store = create();
+    await store.append('a', entry(1));
+    await store.append('a', entry(2));
+
+    assert.strictEqual(await store.deleteEntry('a', 'entry-1'), true);
+    assert.strictEqual(await store.deleteEntry('a', 'entry-1'), false);
+    assert.strictEqual(await store.deleteSession('a'), 1);
+    assert.deepStrictEqual(await store.all('a'), []);
+  });
+}
+
+test('file store survives a restart and serializes concurrent appends', async () => {
+  const dir = tempDir();
+  const store = new FileHistoryStore({ dir, maxEntries: 100 });
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.append('a', entry(i + 1))));
+
+  const reopened = new FileHistoryStore({ dir, maxEntries: 100 });
+  assert.strictEqual((await reopened.all('a')).length, 20);
+});
+
+test('file store never uses the session id as a file name', async () => {
+  const dir = tempDir();
+  const store = new FileHistoryStore({ dir });
+  await store.append('../../etc/passwd', entry(1));
+
+  const files = fs.readdirSync(dir);
+  assert.strictEqual(files.length, 1);
+  assert.match(files[0], /^[0-9a-f]{64}\.json$/);
+});
+
+test('createHistoryStore picks the store type and rejects unknown ones', () => {
+  assert.ok(createHistoryStore({ type: 'memory' }) instanceof MemoryHistoryStore);
+  assert.ok(createHistoryStore({ type: 'file', dir: tempDir() }) instanceof FileHistoryStore);
+  assert.throws(() => createHistoryStore({ type: 'redis' }), /Unknown HISTORY_STORE/);
+});
+
+test('paginateHistory returns newest-first pages and clamps the page', async () => {
+  const store = new MemoryHistoryStore();
+  for (let i = 1; i <= 25; i++) await store.append('a', entry(i));
+
+  const first = await paginateHistory(store, 'a', { page: 1, limit: 10 });
+  assert.strictEqual(first.count, 25);
+  assert.strictEqual(first.totalPages, 3);
+  assert.deepStrictEqual(first.history.slice(0, 2).map(e => e.id), ['entry-25', 'entry-24']);
+
+  const last = await paginateHistory(store, 'a', { page: 99, limit: 10 });
+  assert.strictEqual(last.page, 3);
+  assert.strictEqual(last.history.length, 5);
+
+  const empty = await paginateHistory(store, 'missing');
+  assert.deepStrictEqual({ page: empty.page, totalPages: empty.totalPages, history: empty.history }, { page: 1, totalPages: 1, history: [] });
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LANGUAGE, LANGUAGES, resolveLanguage, t } = require('../lib/i18n');
+
+// Every key path of a catalog section, e.g. "severity.LOW"
+function keyPaths(value, prefix = '') {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return [prefix];
+  return Object.entries(value).flatMap(([key, child]) => keyPaths(child, prefix ? `${prefix}.${key}` : key));
+}
+
+test('loads one language per locale file', () => {
+  assert.deepStrictEqual([...LANGUAGES].sort(), ['ar', 'en', 'es', 'fr', 'hi']);
+  assert.strictEqual(DEFAULT_LANGUAGE, 'en');
+});
+
+test('resolves unsupported languages to English', () => {
+  assert.strictEqual(resolveLanguage('fr'), 'fr');
+  assert.strictEqual(resolveLanguage('de'), 'en');
+  assert.strictEqual(resolveLanguage(undefined), 'en');
+});
+
+test('looks up strings, falls back to English and then to the key', () => {
+  assert.strictEqual(t('es', 'severity.HIGH'), 'Alta');
+  assert.strictEqual(t('de', 'severity.HIGH'), 'High');
+  assert.strictEqual(t('en', 'no.such.key'), 'no.such.key');
+});
+
+test('fills placeholders in strings and whole sections', () => {
+  assert.match(t('en', 'errors.batch.TOO_MANY_CASES', { maxCases: 50 }), /up to 50 cases/);
+  assert.match(t('en', 'errors.batch', { maxCases: 50 }).TOO_MANY_CASES, /up to 50 cases/);
+});
+
+test('every locale file has exactly the English keys', () => {
+  const load = language => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'lib', 'i18n', 'locales', `${language}.json`), 'utf8'));
+  const english = keyPaths(load('en')).sort();
+  LANGUAGES.forEach(language => {
+    assert.deepStrictEqual(keyPaths(load(language)).sort(), english, language);
+  });
+});
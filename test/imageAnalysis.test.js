@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeVisualFindings, applyVisualFindings } = require('../lib/imageAnalysis');
+
+test('normalizes visual findings and drops empty ones', () => {
+  assert.deepStrictEqual(normalizeVisualFindings({
+    description: ' Raised red patch ',
+    color: 'red',
+    estimatedSize: 42,
+    infectionSigns: 'pus',
+    otherFindings: ['', ' scaling ', null]
+  }), {
+    description: 'Raised red patch',
+    color: 'red',
+    estimatedSize: '',
+    borders: '',
+    infectionSigns: ['pus'],
+    otherFindings: ['scaling']
+  });
+
+  assert.strictEqual(normalizeVisualFindings({ description: ' ', infectionSigns: [] }), null);
+  assert.strictEqual(normalizeVisualFindings('a rash'), null);
+});
+
+test('visible infection raises a LOW result to MEDIUM', () => {
+  const infected = applyVisualFindings({ severity: 'LOW' }, { description: 'wound', infectionSigns: ['spreading redness'] }, 'fr');
+  assert.strictEqual(infected.severity, 'MEDIUM');
+  assert.strictEqual(infected.severityLabel, 'Moyenne');
+  assert.deepStrictEqual(infected.visualFindings.infectionSigns, ['spreading redness']);
+
+  const high = applyVisualFindings({ severity: 'HIGH' }, { infectionSigns: ['pus'] });
+  assert.strictEqual(high.severity, 'HIGH');
+
+  const clean = applyVisualFindings({ severity: 'LOW' }, { description: 'small mole' });
+  assert.strictEqual(clean.severity, 'LOW');
+  assert.strictEqual(applyVisualFindings({ severity: 'LOW' }, null).visualFindings, null);
+});
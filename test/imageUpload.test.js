@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const sharp = require('sharp');
+const { ImageUploadError, detectImageType, imageErrorMessage, imageUpload, prepareImage, MAX_IMAGES } = require('../lib/imageUpload');
+
+function png(width = 40, height = 30) {
+  return sharp({ create: { width, height, channels: 3, background: '#ff0000' } }).png().toBuffer();
+}
+
+// Starts an app whose only route reports what imageUpload produced
+async function withServer(fn) {
+  const app = express();
+  app.post('/upload', imageUpload, (req, res) => {
+    res.json({ success: true, images: req.images.map(({ data, ...image }) => image) });
+  });
+  const server = app.listen(0);
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/upload`);
+  } finally {
+    server.close();
+  }
+}
+
+function form(files, language) {
+  const body = new FormData();
+  if (language) body.append('language', language);
+  files.forEach(([field, buffer, name]) => body.append(field, new Blob([buffer]), name));
+  return body;
+}
+
+test('detects images by magic bytes, not by name', async () => {
+  assert.strictEqual(detectImageType(await png()), 'image/png');
+  assert.strictEqual(detectImageType(await sharp(await png()).jpeg().toBuffer()), 'image/jpeg');
+  assert.strictEqual(detectImageType(await sharp(await png()).webp().toBuffer()), 'image/webp');
+  assert.strictEqual(detectImageType(Buffer.from('GIF89a this is not allowed')), null);
+  assert.strictEqual(detectImageType(Buffer.from('short')), null);
+});
+
+test('re-encodes images without metadata and within the size limit', async () => {
+  const tagged = await sharp({ create: { width: 3000, height: 1000, channels: 3, background: '#00ff00' } })
+    .jpeg()
+    .withMetadata({ exif: { IFD0: { Copyright: 'secret location' } } })
+    .toBuffer();
+  assert.ok((await sharp(tagged).metadata()).exif);
+
+  const image = await prepareImage({ buffer: tagged, originalname: 'rash.jpg', size: tagged.length });
+  const metadata = await sharp(image.data).metadata();
+
+  assert.strictEqual(image.mimeType, 'image/jpeg');
+  assert.strictEqual(image.width, 1600);
+  assert.strictEqual(image.height, 533);
+  assert.strictEqual(metadata.exif, undefined);
+});
+
+test('rejects unsupported and corrupt files with their error codes', async () => {
+  await assert.rejects(prepareImage({ buffer: Buffer.from('%PDF-1.7 not an image') }), error =>
+    error instanceof ImageUploadError && error.code === 'UNSUPPORTED_IMAGE_TYPE' && error.status === 415);
+
+  const truncated = (await png()).subarray(0, 40);
+  await assert.rejects(prepareImage({ buffer: truncated }), error => error.code === 'INVALID_IMAGE' && error.status === 422);
+});
+
+test('localizes error messages and falls back to English', () => {
+  assert.match(imageErrorMessage('IMAGE_REQUIRED', 'es'), /imagen/);
+  assert.strictEqual(imageErrorMessage('IMAGE_REQUIRED', 'xx'), imageErrorMessage('IMAGE_REQUIRED', 'en'));
+});
+
+test('middleware accepts `image` and `images` fields', async () => {
+  const buffer = await png();
+  await withServer(async url => {
+    const response = await fetch(url, { method: 'POST', body: form([['image', buffer, 'a.png'], ['images', buffer, 'b.png']]) });
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(data.images.map(image => image.name), ['a.png', 'b.png']);
+  });
+});
+
+test('middleware answers with localized error codes', async () => {
+  const buffer = await png();
+  await withServer(async url => {
+    const missing = await fetch(url, { method: 'POST', body: form([], 'fr') });
+    assert.strictEqual(missing.status, 400);
+    assert.deepStrictEqual(await missing.json(), { success: false, code: 'IMAGE_REQUIRED', error: imageErrorMessage('IMAGE_REQUIRED', 'fr') });
+
+    const tooMany = Array.from({ length: MAX_IMAGES + 1 }, (_, i) => ['images', buffer, `${i}.png`]);
+    const many = await fetch(url, { method: 'POST', body: form(tooMany) });
+    assert.strictEqual((await many.json()).code, 'TOO_MANY_IMAGES');
+
+    const spoofed = await fetch(url, { method: 'POST', body: form([['image', Buffer.from('<svg onload="alert(1)"></svg> padding'), 'x.png']]) });
+    assert.strictEqual(spoofed.status, 415);
+  });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeMedication, findByName, medicationNames, medicationCalendar } = require('../lib/medications');
+
+const TODAY = '2024-03-06'; // a Wednesday
+
+test('a medication gets daily defaults from its name alone', () => {
+  const { medication, errors } = normalizeMedication({ name: ' Metformin ' }, null, TODAY);
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(medication.name, 'Metformin');
+  assert.strictEqual(medication.frequency, 'daily');
+  assert.deepStrictEqual(medication.times, ['08:00']);
+  assert.strictEqual(medication.startDate, TODAY);
+  assert.ok(medication.id);
+});
+
+test('times and weekdays are normalized; weekly defaults to the start weekday', () => {
+  const { medication } = normalizeMedication({ name: 'A', times: '20:00, 08:00 08:00' }, null, TODAY);
+  assert.deepStrictEqual(medication.times, ['08:00', '20:00']);
+
+  const weekly = normalizeMedication({ name: 'B', frequency: 'weekly' }, null, TODAY).medication;
+  assert.deepStrictEqual(weekly.daysOfWeek, ['WE']);
+  const chosen = normalizeMedication({ name: 'B', frequency: 'weekly', daysOfWeek: 'monday, fri' }, null, TODAY).medication;
+  assert.deepStrictEqual(chosen.daysOfWeek, ['MO', 'FR']);
+  assert.deepStrictEqual(normalizeMedication({ name: 'C', daysOfWeek: ['MO'] }, null, TODAY).medication.daysOfWeek, []);
+});
+
+test('invalid fields are all reported', () => {
+  const { errors } = normalizeMedication({
+    dose: 'x'.repeat(51),
+    frequency: 'hourly',
+    interval: 0,
+    times: '25:00',
+    startDate: '2024-02-30',
+    daysOfWeek: 'XX'
+  }, null, TODAY);
+  assert.deepStrictEqual(errors.sort(), ['daysOfWeek', 'dose', 'frequency', 'interval', 'name', 'startDate', 'times']);
+
+  const backwards = normalizeMedication({ name: 'A', startDate: '2024-03-10', endDate: '2024-03-01' }, null, TODAY);
+  assert.deepStrictEqual(backwards.errors, ['endDate']);
+});
+
+test('an update keeps the id and creation time of the existing medication', () => {
+  const { medication: existing } = normalizeMedication({ name: 'A', dose: '5 mg' }, null, TODAY);
+  const { medication, errors } = normalizeMedication({ dose: '10 mg' }, existing, TODAY);
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(medication.id, existing.id);
+  assert.strictEqual(medication.createdAt, existing.createdAt);
+  assert.deepStrictEqual([medication.name, medication.dose], ['A', '10 mg']);
+});
+
+test('names are matched case-insensitively', () => {
+  const medications = [normalizeMedication({ name: 'Ibuprofen' }, null, TODAY).medication];
+
+  assert.strictEqual(findByName(medications, ' IBUPROFEN ').name, 'Ibuprofen');
+  assert.strictEqual(findByName(medications, 'aspirin'), null);
+  assert.deepStrictEqual(medicationNames(medications), ['Ibuprofen']);
+});
+
+test('the calendar has one recurring reminder per medicine and time', () => {
+  const medications = [
+    normalizeMedication({ name: 'Metformin', dose: '500 mg', times: ['08:00', '20:00'], notes: 'with food, not fasting', endDate: '2024-06-30' }, null, TODAY).medication,
+    normalizeMedication({ name: 'Vitamin D', frequency: 'weekly', interval: 2, daysOfWeek: 'SU' }, null, TODAY).medication,
+    normalizeMedication({ name: 'Paracetamol', frequency: 'as_needed' }, null, TODAY).medication
+  ];
+  const ics = medicationCalendar(medications, { now: new Date('2024-03-06T12:00:00Z') });
+  const lines = ics.split('\r\n');
+
+  assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 3);
+  assert.ok(lines.includes('DTSTART:20240306T200000'));
+  assert.ok(lines.includes('RRULE:FREQ=DAILY;UNTIL=20240630T235959'));
+  assert.ok(lines.includes('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=SU'));
+  assert.ok(lines.includes('DESCRIPTION:Dose: 500 mg\\nwith food\\, not fasting'));
+  assert.ok(!ics.includes('Paracetamol'));
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+});
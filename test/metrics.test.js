@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { Registry, registry, metrics, trackRequests, observeModelCall, updateCircuitStates } = require('../lib/metrics');
+const { REQUEST_ID_HEADER, log, requestContext, currentRequestId } = require('../lib/logger');
+const { ResilientProvider } = require('../lib/providers');
+
+// Writes made synchronously inside fn, instead of to the real stream
+function captureWrites(stream, fn) {
+  const written = [];
+  const write = stream.write;
+  stream.write = chunk => written.push(String(chunk));
+  try {
+    fn();
+  } finally {
+    stream.write = write;
+  }
+  return written;
+}
+
+test('renders counters, gauges and histograms in the exposition format', () => {
+  const local = new Registry();
+  const counter = local.counter({ name: 'c_total', help: 'A counter.', labels: ['kind'] });
+  const gauge = local.gauge({ name: 'g', help: 'A gauge.' });
+  const histogram = local.histogram({ name: 'h_seconds', help: 'A histogram.', labels: ['kind'], buckets: [0.1, 1] });
+
+  counter.inc({ kind: 'say "hi"\n' });
+  counter.inc({ kind: 'say "hi"\n' }, 2);
+  gauge.set({}, 5);
+  histogram.observe({ kind: 'a' }, 0.05);
+  histogram.observe({ kind: 'a' }, 0.5);
+  histogram.observe({ kind: 'a' }, 3);
+
+  assert.strictEqual(local.render(), [
+    '# HELP c_total A counter.',
+    '# TYPE c_total counter',
+    'c_total{kind="say \\"hi\\"\\n"} 3',
+    '',
+    '# HELP g A gauge.',
+    '# TYPE g gauge',
+    'g 5',
+    '',
+    '# HELP h_seconds A histogram.',
+    '# TYPE h_seconds histogram',
+    'h_seconds_bucket{kind="a",le="0.1"} 1',
+    'h_seconds_bucket{kind="a",le="1"} 2',
+    'h_seconds_bucket{kind="a",le="+Inf"} 3',
+    'h_seconds_sum{kind="a"} 3.55',
+    'h_seconds_count{kind="a"} 3',
+    ''
+  ].join('\n'));
+});
+
+test('model calls and circuit states are recorded through the provider hook', async () => {
+  const provider = { name: 'fake', generate: async ({ model }) => ({ text: 'ok', model }) };
+  const resilient = new ResilientProvider(provider, { onCall: observeModelCall });
+  await resilient.generate({ task: 'metrics-test', model: 'metrics-model' });
+  updateCircuitStates([{ model: 'metrics-model', state: 'open' }]);
+
+  const output = registry.render();
+  assert.match(output, /healthvision_model_calls_total\{model="metrics-model",task="metrics-test",outcome="success"\} 1/);
+  assert.match(output, /healthvision_model_call_duration_seconds_count\{model="metrics-model",task="metrics-test"\} 1/);
+  assert.match(output, /healthvision_model_circuit_state\{model="metrics-model"\} 2/);
+});
+
+test('requests are counted by route pattern and get a request ID', async () => {
+  const app = express();
+  app.use(requestContext());
+  app.use(trackRequests());
+  app.get('/api/things/:id', (req, res) => res.json({ id: currentRequestId() }));
+  app.use((req, res) => res.status(404).end());
+
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const writes = [];
+  const event = log.event;
+  log.event = (message, fields) => writes.push(fields);
+  try {
+    const first = await fetch(`${url}/api/things/secret-session`);
+    const requestId = first.headers.get(REQUEST_ID_HEADER);
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    assert.deepStrictEqual(await first.json(), { id: requestId });
+
+    const kept = await fetch(`${url}/api/things/2`, { headers: { [REQUEST_ID_HEADER]: 'proxy-id-12345' } });
+    assert.strictEqual(kept.headers.get(REQUEST_ID_HEADER), 'proxy-id-12345');
+    const replaced = await fetch(`${url}/nowhere`, { headers: { [REQUEST_ID_HEADER]: 'bad id!' } });
+    assert.notStrictEqual(replaced.headers.get(REQUEST_ID_HEADER), 'bad id!');
+  } finally {
+    log.event = event;
+    server.close();
+  }
+
+  const output = metrics.httpRequests.render();
+  assert.match(output, /method="GET",route="\/api\/things\/:id",status="200"\} 2/);
+  assert.match(output, /route="unmatched",status="404"/);
+  assert.doesNotMatch(output, /secret-session/);
+  assert.deepStrictEqual(writes.map(fields => fields.route), ['/api/things/:id', '/api/things/:id', 'unmatched']);
+});
+
+test('text logs are console-style lines; json logs are one object per line', () => {
+  const text = captureWrites(process.stdout, () => log.info('plain %d', 1));
+  assert.deepStrictEqual(text, ['plain 1\n']);
+
+  const previous = process.env.LOG_FORMAT;
+  const modules = ['../lib/config', '../lib/logger'].map(name => require.resolve(name));
+  process.env.LOG_FORMAT = 'json';
+  try {
+    modules.forEach(name => delete require.cache[name]);
+    const json = require('../lib/logger');
+    const lines = captureWrites(process.stderr, () => json.log.error('failed', new Error('boom')));
+    const entry = JSON.parse(lines[0]);
+    assert.strictEqual(entry.level, 'error');
+    assert.strictEqual(entry.msg, 'failed');
+    assert.strictEqual(entry.error.message, 'boom');
+  } finally {
+    modules.forEach(name => delete require.cache[name]);
+    if (previous === undefined) delete process.env.LOG_FORMAT;
+    else process.env.LOG_FORMAT = previous;
+  }
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { emptyProfile, normalizeProfile, mergeProfile, toList } = require('../lib/profile');
+
+test('normalizeProfile accepts valid fields and clears missing ones', () => {
+  const { profile, errors } = normalizeProfile({
+    age: '42',
+    gender: ' female ',
+    pregnant: true,
+    conditions: 'asthma; diabetes',
+    allergies: ['penicillin', ' ', 'latex'],
+    weightKg: 65.5
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(profile, {
+    ...emptyProfile(),
+    age: 42,
+    gender: 'female',
+    pregnant: true,
+    conditions: ['asthma', 'diabetes'],
+    allergies: ['penicillin', 'latex'],
+    weightKg: 65.5
+  });
+});
+
+test('normalizeProfile reports each invalid field', () => {
+  const { errors } = normalizeProfile({
+    age: 200,
+    heightCm: 'tall',
+    pregnant: 'yes',
+    gender: 'x'.repeat(31),
+    medications: ['y'.repeat(101)],
+    conditions: Array.from({ length: 51 }, (_, i) => `c${i}`)
+  });
+
+  assert.deepStrictEqual(errors.sort(), ['age', 'conditions', 'gender', 'heightCm', 'medications', 'pregnant']);
+});
+
+test('mergeProfile prefers typed values and combines lists without duplicates', () => {
+  const stored = { ...emptyProfile(), age: 70, gender: 'male', allergies: ['Penicillin', 'latex'], pregnant: false };
+  const { values, profileFieldsUsed } = mergeProfile(stored, { age: 30, allergies: 'penicillin' }, ['age', 'gender', 'allergies', 'pregnant']);
+
+  assert.deepStrictEqual(values, { age: 30, gender: 'male', allergies: ['penicillin', 'latex'], pregnant: false });
+  assert.deepStrictEqual(profileFieldsUsed, ['gender', 'allergies']);
+});
+
+test('mergeProfile reads flags posted as form strings', () => {
+  const fields = ['pregnant', 'breastfeeding'];
+  assert.deepStrictEqual(mergeProfile(null, { pregnant: 'true', breastfeeding: 'on' }, fields).values, { pregnant: true, breastfeeding: true });
+  assert.deepStrictEqual(mergeProfile({ pregnant: true }, { pregnant: 'false' }, fields).values, { pregnant: false, breastfeeding: false });
+  assert.deepStrictEqual(mergeProfile({ pregnant: true }, {}, fields), { values: { pregnant: true, breastfeeding: false }, profileFieldsUsed: ['pregnant'] });
+});
+
+test('mergeProfile without a stored profile keeps the request as is', () => {
+  const { values, profileFieldsUsed } = mergeProfile(null, { medications: 'aspirin' }, ['medications', 'age', 'pregnant']);
+
+  assert.deepStrictEqual(values, { medications: ['aspirin'], age: '', pregnant: false });
+  assert.deepStrictEqual(profileFieldsUsed, []);
+  assert.deepStrictEqual(toList('a,\nb;c'), ['a', 'b', 'c']);
+});
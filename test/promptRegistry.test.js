@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getConfig, ConfigError } = require('../lib/config');
+const { PromptRegistry, templateParts, fillTemplate } = require('../lib/prompts/registry');
+const { buildAnalyzePrompt, buildVoicePrompt } = require('../lib/prompts');
+
+const TEMPLATES = path.join(__dirname, '..', 'lib', 'prompts', 'templates');
+
+// Settings as in the config, with per-template overrides
+function settings(overrides = {}) {
+  const base = getConfig().prompts;
+  return Object.fromEntries(Object.entries(base).map(([id, value]) =>
+    [id, typeof value === 'object' ? { ...value, ...overrides[id] } : value]));
+}
+
+// A copy of the shipped templates plus `files` ({ 'voice/v2.json': {...} })
+function templateDir(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hv-prompts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.cpSync(TEMPLATES, dir, { recursive: true });
+  Object.entries(files).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  });
+  return dir;
+}
+
+const voiceV2 = { id: 'voice', version: 2, languages: { en: { text: 'Read aloud in {language}: {text}' } } };
+
+test('placeholders are filled once and unknown ones are left alone', () => {
+  assert.strictEqual(fillTemplate('{a} and {b} {missing}', { a: '{b}', b: null }), '{b} and  {missing}');
+});
+
+test('a language without its own parts uses English', () => {
+  const template = { languages: { en: { text: 'en' }, fr: { text: 'fr' } } };
+  assert.strictEqual(templateParts(template, 'fr').text, 'fr');
+  assert.strictEqual(templateParts(template, 'hi').text, 'en');
+});
+
+test('the shipped templates load and the newest released version is used by default', () => {
+  const registry = new PromptRegistry({ dir: TEMPLATES, settings: settings() });
+  const described = registry.describe();
+
+  assert.deepStrictEqual(Object.keys(described), ['analyze', 'image', 'drugs', 'chat', 'transcribe', 'voice']);
+  assert.deepStrictEqual(described.analyze, { version: 1, versions: [1, 2] });
+  assert.deepStrictEqual(registry.select('analyze', 'user-1'), { template: registry.current('analyze'), variant: null });
+});
+
+test('the shipped analyze candidate has every language and can be pinned', () => {
+  const registry = new PromptRegistry({ dir: TEMPLATES, settings: settings({ analyze: { version: 2 } }) });
+  const candidate = registry.current('analyze');
+
+  assert.strictEqual(candidate.version, 2);
+  assert.strictEqual(candidate.candidate, true);
+  assert.deepStrictEqual(Object.keys(candidate.languages).sort(), ['ar', 'en', 'es', 'fr', 'hi']);
+  Object.values(candidate.languages).forEach(({ text }) => assert.match(text, /\{symptoms\}[\s\S]*\{format\}/));
+});
+
+test('an A/B test keeps each key in one group and splits keys by candidatePercent', () => {
+  const registry = new PromptRegistry({ dir: TEMPLATES, settings: settings({ analyze: { candidate: 2, candidatePercent: 20 } }) });
+  const keys = Array.from({ length: 2000 }, (_, i) => `user-${i}`);
+  const variants = keys.map(key => registry.select('analyze', key));
+
+  keys.slice(0, 50).forEach((key, i) => {
+    for (let repeat = 0; repeat < 3; repeat++) assert.deepStrictEqual(registry.select('analyze', key), variants[i]);
+  });
+  variants.forEach(({ template, variant }) => assert.strictEqual(template.version, variant === 'candidate' ? 2 : 1));
+
+  const share = variants.filter(({ variant }) => variant === 'candidate').length / keys.length;
+  assert.ok(share > 0.17 && share < 0.23, `candidate share ${share}`);
+
+  for (const [candidatePercent, expected] of [[0, 'control'], [100, 'candidate']]) {
+    const fixed = new PromptRegistry({ dir: TEMPLATES, settings: settings({ analyze: { candidate: 2, candidatePercent } }) });
+    assert.ok(keys.slice(0, 200).every(key => fixed.select('analyze', key).variant === expected));
+  }
+});
+
+test('builders report the template they used', () => {
+  const { prompt, template } = buildVoicePrompt({ text: 'Rest and drink fluids.', language: 'es' });
+  assert.match(prompt, /Rest and drink fluids\./);
+  assert.match(prompt, /Español|Spanish/);
+  assert.deepStrictEqual(template, { id: 'voice', version: 1 });
+  assert.strictEqual(buildAnalyzePrompt({ symptoms: 'cough' }).template.id, 'analyze');
+});
+
+test('a pinned version is used over the newest', t => {
+  const dir = templateDir(t, { 'voice/v2.json': voiceV2 });
+  assert.strictEqual(new PromptRegistry({ dir, settings: settings() }).current('voice').version, 2);
+  assert.strictEqual(new PromptRegistry({ dir, settings: settings({ voice: { version: 1 } }) }).current('voice').version, 1);
+});
+
+test('every template problem is reported as a config error', t => {
+  const dir = templateDir(t, {
+    'voice/v2.json': { id: 'voice', version: 3, candidate: 'yes', languages: { en: { text: 1 } } },
+    'drugs/v2.json': '{ not json',
+    'chat/v2.json': { id: 'chat', version: 2, languages: { fr: { text: 'x' } } }
+  });
+
+  assert.throws(
+    () => new PromptRegistry({ dir, settings: settings({ analyze: { version: 4 }, image: { candidate: 1 } }) }),
+    error => {
+      assert.ok(error instanceof ConfigError);
+      const issues = error.issues.join('\n');
+      assert.match(issues, /PROMPT_ANALYZE_VERSION=4 but there is no analyze\/v4\.json/);
+      assert.match(issues, /PROMPT_IMAGE_CANDIDATE=1 is already the version in use/);
+      assert.match(issues, /drugs\/v2\.json could not be read/);
+      assert.match(issues, /chat\/v2\.json needs languages\.en/);
+      assert.match(issues, /voice\/v2\.json has version 3, expected 2/);
+      assert.match(issues, /voice\/v2\.json needs languages\.en\.text/);
+      assert.match(issues, /voice\/v2\.json has a candidate flag that is not true or false/);
+      return true;
+    }
+  );
+});
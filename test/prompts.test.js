@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildAnalyzePrompt, buildImagePrompt, buildDrugPrompt, buildChatPrompt, buildTranscriptionPrompt } = require('../lib/prompts');
+
+test('analysis prompt includes the details given and the JSON shape', () => {
+  const { prompt } = buildAnalyzePrompt({ symptoms: 'headache', age: 40, duration: '2 days', language: 'en' });
+
+  assert.match(prompt, /SYMPTOMS: "headache"/);
+  assert.match(prompt, /AGE: 40/);
+  assert.doesNotMatch(prompt, /GENDER/);
+  assert.match(prompt, /"severity": "LOW or MEDIUM or HIGH or EMERGENCY"/);
+});
+
+test('image prompt asks for visual findings in the requested language', () => {
+  const { prompt } = buildImagePrompt({ symptoms: 'itchy rash', age: 30, imageCount: 2, language: 'es' });
+
+  assert.match(prompt, /estas 2 fotos/);
+  assert.match(prompt, /DESCRIPCIÓN DEL PACIENTE: "itchy rash"/);
+  assert.match(prompt, /"visualFindings"/);
+  assert.match(prompt, /"LOW o MEDIUM o HIGH o EMERGENCY"/);
+});
+
+test('image prompt falls back to the description alone without images', () => {
+  const { prompt } = buildImagePrompt({ symptoms: '', imageCount: 0, language: 'xx' });
+
+  assert.match(prompt, /could not be analyzed/);
+  assert.match(prompt, /"No description provided"/);
+});
+
+test('drug prompt lists the medicines, conditions and allergies', () => {
+  const { prompt } = buildDrugPrompt({ medicines: ['aspirin', 'warfarin'], allergies: 'penicillin', language: 'fr' });
+
+  assert.match(prompt, /aspirin, warfarin/);
+  assert.match(prompt, /Allergies: penicillin/);
+  assert.doesNotMatch(prompt, /Conditions/);
+});
+
+test('stored profile details are added as a labelled block', () => {
+  const { prompt } = buildAnalyzePrompt({
+    symptoms: 'headache',
+    profile: { conditions: ['asthma'], medications: [], weightKg: 70, pregnant: true },
+    language: 'en'
+  });
+
+  assert.match(prompt, /PATIENT PROFILE:\n/);
+  assert.match(prompt, /asthma/);
+  assert.match(prompt, /70 kg/);
+  assert.match(prompt, /Currently pregnant/);
+  assert.doesNotMatch(buildAnalyzePrompt({ symptoms: 'headache', language: 'en' }).prompt, /PATIENT PROFILE/);
+
+  const { prompt: drugPrompt } = buildDrugPrompt({ medicines: ['ibuprofen'], profile: { age: 80, breastfeeding: true }, language: 'en' });
+  assert.match(drugPrompt, /AGE: 80/);
+  assert.match(drugPrompt, /Currently breastfeeding/);
+});
+
+test('chat prompt replays earlier answers and the current message', () => {
+  const { prompt } = buildChatPrompt({
+    symptoms: 'headache',
+    analysis: { severity: 'LOW', possibleConditions: ['Tension headache'] },
+    version: 2,
+    exchanges: [{ clarifyingQuestions: ['Any fever?', 'Since when?'], answers: [{ question: 'Any fever?', answer: 'yes, 39C' }], message: 'it got worse' }],
+    language: 'en'
+  });
+
+  assert.match(prompt, /SYMPTOMS: "headache"/);
+  assert.match(prompt, /"Tension headache"/);
+  assert.match(prompt, /- Any fever\? → yes, 39C/);
+  assert.match(prompt, /- Since when\? → /);
+  assert.match(prompt, /"it got worse"/);
+  assert.match(prompt, /"clarifyingQuestions"/);
+});
+
+test('transcription prompt asks for the transcript and its language as JSON', () => {
+  const { prompt } = buildTranscriptionPrompt({ language: 'fr' });
+
+  assert.match(prompt, /"transcript":/);
+  assert.match(prompt, /"language": "en"/);
+  assert.notStrictEqual(prompt, buildTranscriptionPrompt({ language: 'en' }).prompt);
+});
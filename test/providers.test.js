@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProvider, MockProvider, RecordingProvider, RedactingProvider, ResilientProvider } = require('../lib/providers');
+const { promptKey, promptText } = require('../lib/providers/fixtures');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'providers-test-'));
+}
+
+test('mock answers every task with a usable default', async () => {
+  const provider = new MockProvider();
+  const analysis = JSON.parse((await provider.generate({ task: 'analyze', model: 'm', prompt: 'headache' })).text);
+
+  assert.ok(Array.isArray(analysis.possibleConditions));
+  assert.strictEqual((await provider.generate({ task: 'voice', model: 'm', prompt: 'x' })).model, 'm');
+  assert.deepStrictEqual(provider.calls.map(call => call.task), ['analyze', 'voice']);
+});
+
+test('mock prefers scripted responses, then exact, then partial fixtures', async () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({ task: 'voice', promptKey: promptKey('exact prompt'), response: 'exact' }));
+  fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify({ task: 'drugs', contains: 'WARFARIN', response: 'partial' }));
+  fs.writeFileSync(path.join(dir, 'c.json'), '{ not json');
+  const provider = new MockProvider({ fixturesDir: dir });
+  provider.script('drugs', 'scripted').script('drugs', request => `fn:${request.prompt}`);
+
+  const ask = async prompt => (await provider.generate({ task: 'drugs', prompt })).text;
+  assert.strictEqual(await ask('exact prompt'), 'scripted');
+  assert.strictEqual(await ask('exact prompt'), 'fn:exact prompt');
+  assert.strictEqual(await ask('exact prompt'), 'exact');
+  assert.strictEqual(await ask('aspirin and warfarin'), 'partial');
+  assert.match(await ask('aspirin and ibuprofen'), /Mock drug interaction/);
+});
+
+test('mock throws for { error } responses', async () => {
+  const provider = new MockProvider().script('image', { error: 'quota exceeded' });
+
+  await assert.rejects(provider.generate({ task: 'image', prompt: 'x' }), /quota exceeded/);
+});
+
+test('prompt keys cover text and inline image parts', () => {
+  const image = { inlineData: { mimeType: 'image/png', data: 'AAAA' } };
+
+  assert.strictEqual(promptKey(['describe', image]), promptKey([{ text: 'describe' }, image]));
+  assert.notStrictEqual(promptKey(['describe', image]), promptKey(['describe']));
+  assert.strictEqual(promptText(['a', { text: 'b' }, image]), 'a\nb\n');
+});
+
+test('recording provider writes fixtures the mock replays', async () => {
+  const dir = tempDir();
+  const recorder = new RecordingProvider(new MockProvider().script('voice', 'recorded answer'), { dir });
+  await recorder.generate({ task: 'voice', model: 'm', prompt: 'say hello' });
+
+  const replay = new MockProvider({ fixturesDir: dir });
+  assert.strictEqual((await replay.generate({ task: 'voice', model: 'm', prompt: 'say hello' })).text, 'recorded answer');
+});
+
+test('createProvider picks the provider from options and environment', () => {
+  assert.strictEqual(createProvider({ apiKey: '' }), null);
+  const provider = createProvider({ type: 'mock', fixturesDir: tempDir(), fallbackModels: ['backup'] });
+  assert.ok(provider instanceof ResilientProvider);
+  assert.ok(provider.provider instanceof RedactingProvider);
+  assert.ok(provider.provider.provider instanceof MockProvider);
+  assert.deepStrictEqual(provider.fallbackModels, ['backup']);
+  assert.strictEqual(createProvider({ type: 'gemini', apiKey: '' }), null);
+  assert.throws(() => createProvider({ type: 'openai' }), /Unknown LLM_PROVIDER/);
+});
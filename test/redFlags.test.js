@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateRedFlags, withEarlierFlags, applyRedFlags, parseDurationDays, HIGH, EMERGENCY } = require('../lib/redFlags');
+
+function flagIds(input) {
+  return evaluateRedFlags({ language: 'en', ...input }).flags.map(flag => flag.id);
+}
+
+test('fires nothing for an ordinary complaint', () => {
+  const triage = evaluateRedFlags({ symptoms: 'Runny nose and a mild sore throat', age: 30 });
+
+  assert.strictEqual(triage.level, -1);
+  assert.strictEqual(triage.requiresImmediateCare, false);
+  assert.deepStrictEqual(triage.flags, []);
+});
+
+test('chest pain is HIGH, with cardiac signs it is an emergency', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'I have chest pain' }), ['chest_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'Chest pain radiating to my left arm' }), ['cardiac_chest_pain']);
+
+  const triage = evaluateRedFlags({ symptoms: 'Chest pain and cold sweat' });
+  assert.strictEqual(triage.level, EMERGENCY);
+  assert.strictEqual(triage.requiresImmediateCare, true);
+});
+
+test('matches phrases in every language, ignoring accents and case', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'Tengo DOLOR TORÁCICO desde ayer' }), ['chest_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'Visage affaissé et difficulté à parler' }), ['stroke_signs']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'أريد أن أموت' }), ['suicidal_ideation']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'सीने में दर्द' }), ['chest_pain']);
+});
+
+test('anaphylaxis needs both swelling and breathing trouble', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'Hives after eating peanuts' }), []);
+  assert.deepStrictEqual(flagIds({ symptoms: 'Hives and difficulty breathing after peanuts' }), ['anaphylaxis']);
+});
+
+test('fever rules depend on age and duration', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'fever', age: 0.1 }), ['infant_fever']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'fever', age: 0.5 }), ['young_child_fever']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'my baby has a fever' }), ['young_child_fever']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'fever', age: 30, duration: '1 week' }), ['prolonged_fever']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'fever', age: 30, duration: '2 days' }), []);
+  assert.deepStrictEqual(flagIds({ symptoms: 'fever and a stiff neck', age: 20 }), ['meningitis_signs']);
+});
+
+test('ages in months, weeks or days count as under a year', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'fever', age: '2 months' }), ['infant_fever']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'fever', age: '6 weeks' }), ['infant_fever']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'fiebre', age: '3 semanas' }), ['infant_fever']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'fièvre', age: '10 jours' }), ['infant_fever']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'fever', age: '5 months' }), ['young_child_fever']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'fever', age: '2' }), []);
+  assert.deepStrictEqual(flagIds({ symptoms: 'fever', age: '-1 months' }), []);
+});
+
+test('pregnancy with bleeding or abdominal pain is an emergency', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'I am pregnant and have some bleeding' }), ['pregnancy_bleeding_or_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'I am pregnant and tired' }), []);
+});
+
+test('pregnancy from the stored profile counts without being mentioned', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'some bleeding', pregnant: true }), ['pregnancy_bleeding_or_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'some bleeding', pregnant: 'yes' }), []);
+});
+
+test('matches inflected and reordered phrases', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'trouble breathing after bee sting, lips swelling' }), ['anaphylaxis']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'My throat is swelling and I am wheezing' }), ['anaphylaxis']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'I feel like ending my life' }), ['suicidal_ideation']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'Crushing pain in my chest, sweating a lot' }), ['cardiac_chest_pain']);
+});
+
+test('matches whole words, not parts of words', () => {
+  // "blood" inside "bloodshot", "fever" inside "feverfew"-style compounds
+  assert.deepStrictEqual(flagIds({ symptoms: 'pregnant, bloodshot eyes', age: 30 }), []);
+  assert.deepStrictEqual(flagIds({ symptoms: 'hayfever' }), []);
+});
+
+test('normalizes Arabic alef and hamza forms and attached prefixes', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'أريد أن أنتحر' }), ['suicidal_ideation']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'اريد ان انتحر' }), ['suicidal_ideation']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'ألم بالصدر وتعرق' }), ['cardiac_chest_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'إيذاء نفسي' }), ['suicidal_ideation']);
+});
+
+test('ignores negated symptoms', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'no chest pain' }), []);
+  assert.deepStrictEqual(flagIds({ symptoms: "I don't have any chest pain, just a cough" }), []);
+  assert.deepStrictEqual(flagIds({ symptoms: "Je n'ai pas de douleur thoracique" }), []);
+  assert.deepStrictEqual(flagIds({ symptoms: 'sin dolor en el pecho' }), []);
+  assert.deepStrictEqual(flagIds({ symptoms: 'لا يوجد ألم في الصدر' }), []);
+  assert.deepStrictEqual(flagIds({ symptoms: 'सीने में दर्द नहीं है' }), []);
+  assert.deepStrictEqual(flagIds({ symptoms: "I don't want to die" }), []);
+});
+
+test('negation does not reach past the clause', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'no fever but chest pain' }), ['chest_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'No tengo fiebre, pero no puedo respirar' }), ['severe_breathing_difficulty']);
+  assert.deepStrictEqual(flagIds({ symptoms: "my son hasn't stopped having seizures" }), ['loss_of_consciousness']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'बुखार उतर नहीं रहा', age: 0.1 }), ['infant_fever']);
+});
+
+test('"and" ends a negated clause in every language', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: 'no appetite and chest pain' }), ['chest_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'no energy and face drooping on one side' }), ['stroke_signs']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'not eating and coughing up blood' }), ['severe_bleeding']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'sin apetito y dolor en el pecho' }), ['chest_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: "pas d'appétit et douleur thoracique" }), ['chest_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'لا شهية وألم في الصدر' }), ['chest_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'बिना भूख और सीने में दर्द' }), ['chest_pain']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'no chest pain and no fever' }), []);
+});
+
+test('phrases that contain a negation still match', () => {
+  assert.deepStrictEqual(flagIds({ symptoms: "I can't breathe" }), ['severe_breathing_difficulty']);
+  assert.deepStrictEqual(flagIds({ symptoms: "I don't want to live anymore" }), ['suicidal_ideation']);
+  assert.deepStrictEqual(flagIds({ symptoms: 'जीना नहीं चाहता' }), ['suicidal_ideation']);
+});
+
+test('earlier flags are added once and a specific rule still replaces its generic one', () => {
+  const triage = withEarlierFlags(evaluateRedFlags({ symptoms: 'chest pain and cold sweat' }), [
+    { id: 'chest_pain' },
+    { id: 'cardiac_chest_pain' },
+    { id: 'severe_bleeding' },
+    { id: 'retired_rule' }
+  ]);
+
+  assert.deepStrictEqual(triage.flags.map(flag => flag.id), ['cardiac_chest_pain', 'severe_bleeding']);
+  assert.strictEqual(triage.level, EMERGENCY);
+  assert.strictEqual(withEarlierFlags(evaluateRedFlags({ symptoms: 'cough' }), []).level, -1);
+});
+
+test('describes fired rules in the requested language', () => {
+  const triage = evaluateRedFlags({ symptoms: 'chest pain', language: 'es' });
+
+  assert.strictEqual(triage.flags[0].level, HIGH);
+  assert.match(triage.flags[0].description, /pecho/i);
+});
+
+test('parses durations in every language to days', () => {
+  assert.strictEqual(parseDurationDays('2 days'), 2);
+  assert.strictEqual(parseDurationDays('12 hours'), 0.5);
+  assert.strictEqual(parseDurationDays('3 semanas'), 21);
+  assert.strictEqual(parseDurationDays('1 mois'), 30);
+  assert.strictEqual(parseDurationDays('2 सप्ताह'), 14);
+  assert.strictEqual(parseDurationDays('3 أسابيع'), 21);
+  assert.strictEqual(parseDurationDays('سنة 1'), 365);
+  assert.strictEqual(parseDurationDays('a while'), null);
+});
+
+test('applyRedFlags raises severity, never lowers it, and puts the action first', () => {
+  const triage = evaluateRedFlags({ symptoms: 'crushing chest pain and sweating' });
+  const raised = applyRedFlags({ severity: 'LOW', recommendations: ['Rest'], whenToSeeDoctor: 'Within 24-48 hours' }, triage, 'en');
+
+  assert.strictEqual(raised.severity, 'EMERGENCY');
+  assert.strictEqual(raised.severityLabel, 'Emergency');
+  assert.strictEqual(raised.requiresImmediateCare, true);
+  assert.match(raised.recommendations[0], /emergency/i);
+  assert.strictEqual(raised.recommendations[1], 'Rest');
+  assert.strictEqual(raised.whenToSeeDoctor, raised.recommendations[0]);
+  assert.deepStrictEqual(raised.redFlags.map(flag => flag.id), ['cardiac_chest_pain']);
+
+  const high = evaluateRedFlags({ symptoms: 'chest pain' });
+  assert.strictEqual(applyRedFlags({ severity: 'EMERGENCY' }, high, 'en').severity, 'EMERGENCY');
+});
+
+test('keeps the model guidance when the severity is not raised', () => {
+  const triage = evaluateRedFlags({ symptoms: 'chest pain', age: 40 });
+  const result = applyRedFlags({ severity: 'EMERGENCY', recommendations: [], whenToSeeDoctor: 'Call an ambulance' }, triage, 'en');
+
+  assert.strictEqual(result.whenToSeeDoctor, 'Call an ambulance');
+});
+
+test('applyRedFlags leaves an analysis without red flags unchanged', () => {
+  const analysis = { severity: 'LOW', recommendations: ['Rest'] };
+  const result = applyRedFlags(analysis, evaluateRedFlags({ symptoms: 'sneezing' }), 'en');
+
+  assert.deepStrictEqual(result, { ...analysis, redFlags: [] });
+});
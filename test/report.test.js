@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { createReport } = require('../lib/report');
+
+function render(options) {
+  return new Promise((resolve, reject) => {
+    const doc = createReport(options);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks).toString('latin1')));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+// Text shown with the built-in fonts, one string per line: content streams
+// are inflated and the hex strings of each TJ array joined
+function pdfText(pdf) {
+  const lines = [];
+  const streams = pdf.matchAll(/stream\n([\s\S]*?)\nendstream/g);
+  for (const [, data] of streams) {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(data, 'latin1')).toString('latin1');
+    } catch (error) {
+      continue;
+    }
+    for (const [, array] of content.matchAll(/\[([^\]]*)\] TJ/g)) {
+      lines.push([...array.matchAll(/<([0-9a-f]*)>/g)].map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1')).join(''));
+    }
+  }
+  return lines;
+}
+
+const ENTRY = {
+  timestamp: '2026-01-05T10:00:00.000Z',
+  age: 34,
+  gender: 'female',
+  symptoms: 'Headache and fever for two days',
+  analysis: {
+    severity: 'Medium',
+    possibleConditions: ['Viral infection', 'Influenza'],
+    recommendations: ['Drink plenty of fluids', 'Rest'],
+    whenToSeeDoctor: 'Within 24-48 hours if not improving'
+  }
+};
+
+test('builds a PDF with the analysis, patient details and page numbers', async () => {
+  const pdf = await render({ entries: [ENTRY], sessionId: 'session-1', language: 'en' });
+  const text = pdfText(pdf);
+
+  assert.ok(pdf.startsWith('%PDF-'));
+  assert.ok(text.includes('HealthVision AI - Health Report'));
+  assert.ok(text.includes('Session: session-1'));
+  assert.ok(text.includes('Age: 34'));
+  assert.ok(text.includes('Severity: Medium'));
+  assert.ok(text.some(line => line.endsWith('  Viral infection')));
+  assert.ok(text.includes('Page 1 of 1'));
+});
+
+test('numbers every page of a multi-analysis report', async () => {
+  const entries = Array.from({ length: 6 }, () => ENTRY);
+  const text = pdfText(await render({ entries, language: 'en' }));
+
+  assert.ok(text.some(line => line.startsWith('Analysis 6/6 - ')));
+  const footers = text.filter(line => /^Page \d+ of \d+$/.test(line));
+  assert.ok(footers.length > 1);
+  assert.ok(footers.every(line => line.endsWith(`of ${footers.length}`)));
+});
+
+test('uses the report labels of the requested language', async () => {
+  const text = pdfText(await render({ entries: [ENTRY], language: 'es' }));
+
+  assert.ok(text.some(line => line.startsWith('Gravedad')));
+  assert.ok(text.some(line => /^Página 1 de 1$/.test(line)));
+});
+
+test('says so when there is nothing to report', async () => {
+  const text = pdfText(await render({ entries: [], language: 'en' }));
+
+  assert.ok(text.some(line => /no analyses/i.test(line)));
+});
+
+test('renders image and drug-check history entries in their own sections', async () => {
+  const entries = [
+    ENTRY,
+    { type: 'image', timestamp: ENTRY.timestamp, symptoms: 'Red rash', analysis: 'Looks like contact dermatitis' },
+    { type: 'drugs', timestamp: ENTRY.timestamp, medicines: ['aspirin', 'warfarin'], analysis: 'Bleeding risk' }
+  ];
+  const text = pdfText(await render({ entries, language: 'en' }));
+
+  assert.ok(text.some(line => line.startsWith('Analysis - ')));
+  assert.ok(text.includes('Image Analysis'));
+  assert.ok(text.includes('Symptoms: Red rash'));
+  assert.ok(text.includes('Medicines: aspirin, warfarin'));
+});
+
+test('renders structured drug checks section by section', async () => {
+  const drugCheck = {
+    medicines: ['warfarin', 'aspirin'],
+    analysis: {
+      overallRisk: 'High',
+      interactions: [{ drugs: ['warfarin', 'aspirin'], severity: 'High', mechanism: 'Bleeding risk', management: '' }],
+      conditionConflicts: [],
+      allergyConflicts: [],
+      duplicateTherapy: [],
+      alternatives: [{ drug: 'aspirin', suggestion: 'Ask about paracetamol' }],
+      summary: 'Avoid this combination'
+    }
+  };
+  const text = pdfText(await render({ drugCheck, language: 'en' }));
+
+  assert.ok(text.some(line => line.startsWith('Overall Risk: High')));
+  assert.ok(text.includes('Avoid this combination'));
+  assert.ok(text.some(line => line.endsWith('warfarin + aspirin (High): Bleeding risk')));
+  assert.ok(text.some(line => line.endsWith('aspirin: Ask about paracetamol')));
+});
+
+test('renders structured image results with their visual findings', async () => {
+  const entries = [{
+    type: 'image',
+    timestamp: ENTRY.timestamp,
+    symptoms: 'Red rash',
+    analysis: {
+      ...ENTRY.analysis,
+      visualFindings: { description: 'Raised red patch', color: 'red', estimatedSize: '2 cm', borders: '', infectionSigns: ['pus'], otherFindings: [] }
+    }
+  }];
+  const text = pdfText(await render({ entries, language: 'en' }));
+
+  assert.ok(text.includes('Visual Findings'));
+  assert.ok(text.includes('Raised red patch'));
+  assert.ok(text.includes('Estimated Size: 2 cm'));
+  assert.ok(!text.some(line => line.startsWith('Borders')));
+  assert.ok(text.includes('Signs of Infection'));
+  assert.ok(text.some(line => line.startsWith('Severity: Medium')));
+});
+
+test('renders follow-up versions with their answers and message', async () => {
+  const followUp = {
+    ...ENTRY,
+    type: 'followup',
+    version: 2,
+    symptoms: undefined,
+    answers: [{ question: 'Any fever?', answer: 'Yes' }],
+    message: 'It got worse overnight'
+  };
+  const text = pdfText(await render({ entries: [ENTRY, followUp], language: 'en' }));
+
+  assert.ok(text.some(line => line.startsWith('Analysis 2/2 (version 2)')));
+  assert.ok(text.some(line => line.endsWith('Any fever? Yes')));
+  assert.ok(text.some(line => line.endsWith('It got worse overnight')));
+});
+
+const ARABIC_ENTRY = {
+  type: 'analysis',
+  timestamp: '2026-01-05T10:00:00.000Z',
+  age: 34,
+  gender: 'female',
+  symptoms: 'صداع وحمى منذ يومين (38.5)',
+  analysis: {
+    severity: 'MEDIUM',
+    possibleConditions: ['عدوى فيروسية', 'Influenza A'],
+    recommendations: ['اشرب الكثير من السوائل', 'خذ قسطًا من الراحة'],
+    whenToSeeDoctor: 'خلال 24-48 ساعة إذا لم تتحسن'
+  }
+};
+
+test('builds an Arabic report with the bundled Arabic font', async () => {
+  const pdf = await render({ entries: [ARABIC_ENTRY], sessionId: 'session-1', language: 'ar' });
+
+  assert.ok(pdf.startsWith('%PDF-'));
+  assert.match(pdf, /\/BaseFont \/[A-Z]{6}\+NotoSansArabic-Regular/);
+  assert.match(pdf, /\/BaseFont \/[A-Z]{6}\+NotoSansArabic-Bold/);
+});
+
+test('builds a Hindi report with the bundled Devanagari font', async () => {
+  const entry = { ...ARABIC_ENTRY, symptoms: 'सिरदर्द और बुखार', analysis: { ...ARABIC_ENTRY.analysis, possibleConditions: ['वायरल संक्रमण'] } };
+  const pdf = await render({ entries: [entry], language: 'hi' });
+
+  assert.match(pdf, /\/BaseFont \/[A-Z]{6}\+NotoSansDevanagari-Regular/);
+});
+
+test('Latin-script reports keep the built-in font', async () => {
+  const pdf = await render({ entries: [ENTRY], language: 'en' });
+
+  assert.match(pdf, /\/BaseFont \/Helvetica/);
+  assert.doesNotMatch(pdf, /NotoSans/);
+});
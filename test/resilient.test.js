@@ -0,0 +1,164 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const { ResilientProvider, ModelTimeoutError, ModelUnavailableError } = require('../lib/providers');
+const { STATE, isTransient } = require('../lib/providers/resilient');
+const { log } = require('../lib/logger');
+
+const failure = (message, status) => Object.assign(new Error(message), status ? { status } : {});
+
+// Answers per model from a list of replies; an Error in the list is thrown
+function fakeProvider(replies) {
+  const calls = [];
+  const next = model => {
+    calls.push(model);
+    const reply = replies[model].shift();
+    if (reply instanceof Error) throw reply;
+    return reply;
+  };
+  return {
+    name: 'fake',
+    calls,
+    generate: async ({ model }) => ({ text: next(model), model }),
+    stream: async ({ model, onText }) => {
+      const reply = next(model);
+      reply.chunks.forEach(chunk => onText(chunk));
+      if (reply.error) throw reply.error;
+      return { text: reply.chunks.join(''), model };
+    }
+  };
+}
+
+// Keeps the retry and circuit log lines out of the test output
+test.before(() => {
+  mock.method(log, 'info', () => {});
+  mock.method(log, 'error', () => {});
+});
+test.after(() => mock.restoreAll());
+
+const options = { backoffMs: 0, retries: 2, failureThreshold: 3, cooldownMs: 1000 };
+
+test('transient errors are timeouts, 429, 5xx and network failures', () => {
+  assert.strictEqual(isTransient(new ModelTimeoutError('m', 10)), true);
+  assert.strictEqual(isTransient(failure('busy', 503)), true);
+  assert.strictEqual(isTransient(failure('fetch failed')), true);
+  assert.strictEqual(isTransient(failure('quota exceeded', 400)), false);
+  assert.strictEqual(isTransient(failure('bad request')), false);
+});
+
+test('transient errors are retried on the same model', async () => {
+  const provider = fakeProvider({ main: [failure('busy', 503), failure('busy', 503), 'ok'] });
+  const resilient = new ResilientProvider(provider, options);
+
+  assert.deepStrictEqual(await resilient.generate({ task: 'analyze', model: 'main' }), { text: 'ok', model: 'main' });
+  assert.deepStrictEqual(provider.calls, ['main', 'main', 'main']);
+});
+
+test('a permanent error falls through to the next model without retrying', async () => {
+  const provider = fakeProvider({ main: [failure('invalid', 400)], backup: ['from backup'] });
+  const resilient = new ResilientProvider(provider, { ...options, fallbackModels: ['backup'] });
+
+  const result = await resilient.generate({ task: 'analyze', model: 'main' });
+  assert.deepStrictEqual(result, { text: 'from backup', model: 'backup' });
+  assert.deepStrictEqual(provider.calls, ['main', 'backup']);
+});
+
+test('every model failing throws ModelUnavailableError with the attempts', async () => {
+  const provider = fakeProvider({ main: [failure('invalid', 400)], backup: [failure('denied', 403)] });
+  const resilient = new ResilientProvider(provider, { ...options, fallbackModels: ['backup'] });
+
+  await assert.rejects(resilient.generate({ task: 'analyze', model: 'main' }), error => {
+    assert.ok(error instanceof ModelUnavailableError);
+    assert.strictEqual(error.code, 'MODEL_UNAVAILABLE');
+    assert.deepStrictEqual(error.attempts.map(a => a.model), ['main', 'backup']);
+    return true;
+  });
+});
+
+test('slow calls time out', async () => {
+  const provider = {
+    name: 'slow',
+    generate: ({ signal }) => new Promise(resolve => {
+      const timer = setTimeout(() => resolve({ text: 'late' }), 200);
+      signal.addEventListener('abort', () => clearTimeout(timer));
+    })
+  };
+  const resilient = new ResilientProvider(provider, { ...options, retries: 0, timeoutMs: 20 });
+
+  await assert.rejects(resilient.generate({ task: 'analyze', model: 'main' }), error => {
+    assert.match(error.attempts[0].error, /did not respond within 20ms/);
+    return true;
+  });
+});
+
+test('repeated failures open the circuit until the cooldown has passed', async () => {
+  let now = 0;
+  const provider = fakeProvider({ main: [failure('busy', 503), failure('busy', 503), failure('busy', 503), 'recovered'], backup: ['b1', 'b2'] });
+  const resilient = new ResilientProvider(provider, { ...options, fallbackModels: ['backup'], now: () => now });
+
+  assert.strictEqual((await resilient.generate({ task: 'analyze', model: 'main' })).text, 'b1');
+  const state = () => resilient.status().find(breaker => breaker.model === 'main');
+  const main = state();
+  assert.strictEqual(main.state, STATE.OPEN);
+  assert.strictEqual(main.consecutiveFailures, 3);
+
+  // Skipped while open
+  assert.strictEqual((await resilient.generate({ task: 'analyze', model: 'main' })).text, 'b2');
+  assert.deepStrictEqual(provider.calls, ['main', 'main', 'main', 'backup', 'backup']);
+
+  now = 1000;
+  assert.strictEqual(state().state, STATE.HALF_OPEN);
+  assert.strictEqual((await resilient.generate({ task: 'analyze', model: 'main' })).text, 'recovered');
+  assert.strictEqual(state().state, STATE.CLOSED);
+});
+
+test('a stream that already sent text is not retried on another model', async () => {
+  const provider = fakeProvider({
+    main: [{ chunks: [], error: failure('busy', 503) }, { chunks: ['par'], error: failure('busy', 503) }],
+    backup: [{ chunks: ['never'] }]
+  });
+  const resilient = new ResilientProvider(provider, { ...options, fallbackModels: ['backup'] });
+  const received = [];
+
+  await assert.rejects(resilient.stream({ task: 'analyze', model: 'main', onText: chunk => received.push(chunk) }), /busy/);
+  assert.deepStrictEqual(received, ['par']);
+  assert.deepStrictEqual(provider.calls, ['main', 'main']);
+});
+
+test('a half-open circuit lets a single trial call through at a time', async () => {
+  let now = 0;
+  let release;
+  const calls = [];
+  const provider = {
+    name: 'gated',
+    generate: async ({ model }) => {
+      calls.push(model);
+      if (model === 'backup') return { text: 'from backup', model };
+      if (calls.filter(called => called === 'main').length <= 3) throw failure('busy', 503);
+      await new Promise(resolve => { release = resolve; });
+      return { text: 'recovered', model };
+    }
+  };
+  const resilient = new ResilientProvider(provider, { ...options, fallbackModels: ['backup'], now: () => now });
+
+  await resilient.generate({ task: 'analyze', model: 'main' });
+  now = 1000;
+  const trial = resilient.generate({ task: 'analyze', model: 'main' });
+  const others = await Promise.all([1, 2].map(() => resilient.generate({ task: 'analyze', model: 'main' })));
+
+  assert.deepStrictEqual(others.map(result => result.text), ['from backup', 'from backup']);
+  release();
+  assert.strictEqual((await trial).text, 'recovered');
+  assert.strictEqual(calls.filter(called => called === 'main').length, 4);
+});
+
+test('health status reports the error status or code, not the upstream message', async () => {
+  const provider = fakeProvider({ main: [failure('quota exceeded for project secret-123', 400)], backup: [Object.assign(new Error('connect ECONNREFUSED 10.0.0.1:443'), { code: 'ECONNREFUSED' })] });
+  const resilient = new ResilientProvider(provider, { ...options, retries: 0, fallbackModels: ['backup'] });
+
+  await assert.rejects(resilient.generate({ task: 'analyze', model: 'main' }));
+  const lastError = model => resilient.status().find(breaker => breaker.model === model).lastError;
+  assert.strictEqual(lastError('main'), 'HTTP 400');
+  assert.strictEqual(lastError('backup'), 'ECONNREFUSED');
+  assert.ok(resilient.status().every(breaker => !('probing' in breaker)));
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { severityLevel, severityCode, severityLabel, localizeSeverity } = require('../lib/severity');
+
+test('ranks severity codes and labels in any language', () => {
+  assert.strictEqual(severityLevel('LOW'), 0);
+  assert.strictEqual(severityLevel('Low'), 0);
+  assert.strictEqual(severityLevel('media'), 1);
+  assert.strictEqual(severityLevel('Élevée'), 2);
+  assert.strictEqual(severityLevel('आपातकालीन'), 3);
+  assert.strictEqual(severityLevel('unknown'), -1);
+  assert.strictEqual(severityLevel(undefined), -1);
+});
+
+test('maps labels to codes and codes to localized labels', () => {
+  assert.strictEqual(severityCode('Urgence'), 'EMERGENCY');
+  assert.strictEqual(severityCode('severe'), null);
+  assert.strictEqual(severityLabel('HIGH', 'es'), 'Alta');
+  assert.strictEqual(severityLabel('Alta', 'en'), 'High');
+});
+
+test('localizeSeverity sets the code and label, with a fallback for unknown values', () => {
+  assert.deepStrictEqual(localizeSeverity({ severity: 'Baja', note: 'x' }, 'fr'), { severity: 'LOW', severityLabel: 'Faible', note: 'x' });
+  assert.strictEqual(localizeSeverity({ severity: 'critical' }, 'en').severity, 'MEDIUM');
+  assert.strictEqual(localizeSeverity({}, 'en', 'HIGH').severity, 'HIGH');
+});
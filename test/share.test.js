@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createShareStore, createShare, openShare, publicShare, MAX_PIN_ATTEMPTS } = require('../lib/share');
+const { renderSharedEntry, renderPinForm, renderUnavailable } = require('../lib/share/page');
+
+const USER = { id: 'owner' };
+const ENTRY = {
+  id: 'entry',
+  type: 'analysis',
+  timestamp: '2024-03-01T10:00:00.000Z',
+  symptoms: '<script>alert(1)</script> headache',
+  age: 40,
+  analysis: { severity: 'HIGH', possibleConditions: ['Migraine'], recommendations: ['Rest'], requiresImmediateCare: false }
+};
+
+async function pinShare() {
+  const store = createShareStore({ type: 'memory' });
+  const { token, share } = await createShare(store, { user: { id: 'owner' }, entry: { id: 'entry' }, pin: '4321' });
+  return { store, token, share };
+}
+
+test('creating a share validates the expiry and PIN', async () => {
+  const store = createShareStore({ type: 'memory' });
+
+  await assert.rejects(createShare(store, { user: USER, entry: ENTRY, expiresInHours: 0 }), { code: 'INVALID_EXPIRY', status: 400 });
+  await assert.rejects(createShare(store, { user: USER, entry: ENTRY, expiresInHours: 24 * 31 }), { code: 'INVALID_EXPIRY' });
+  await assert.rejects(createShare(store, { user: USER, entry: ENTRY, pin: '12' }), { code: 'INVALID_PIN', status: 400 });
+
+  const { token, share } = await createShare(store, { user: USER, entry: ENTRY, expiresInHours: 2 });
+  const hours = (Date.parse(share.expiresAt) - Date.parse(share.createdAt)) / 3600000;
+  assert.ok(Math.abs(hours - 2) < 0.01);
+  assert.strictEqual(share.language, 'en');
+  assert.notStrictEqual(share.hash, token);
+});
+
+test('an open link is viewable and every access is logged', async () => {
+  const store = createShareStore({ type: 'memory' });
+  const { token, share } = await createShare(store, { user: USER, entry: ENTRY });
+
+  assert.strictEqual((await openShare(store, token)).status, 'ok');
+  assert.strictEqual((await openShare(store, token, { outcome: 'pdf' })).status, 'ok');
+  assert.strictEqual((await openShare(store, 'not-a-token')).status, 'unavailable');
+
+  const shown = publicShare(share);
+  assert.strictEqual(shown.views, 2);
+  assert.strictEqual(shown.status, 'active');
+  assert.ok(!('hash' in shown) && !('pinHash' in shown));
+});
+
+test('a PIN-protected link asks for the PIN and locks after too many wrong ones', async () => {
+  const { store, token } = await pinShare();
+
+  assert.strictEqual((await openShare(store, token)).status, 'pin_required');
+  assert.strictEqual((await openShare(store, token, { pin: '4321' })).status, 'ok');
+
+  for (let attempt = 1; attempt < MAX_PIN_ATTEMPTS; attempt++) {
+    const result = await openShare(store, token, { pin: '0000' });
+    assert.deepStrictEqual([result.status, result.attemptsLeft], ['wrong_pin', MAX_PIN_ATTEMPTS - attempt]);
+  }
+  assert.strictEqual((await openShare(store, token, { pin: '0000' })).status, 'unavailable');
+  assert.strictEqual((await openShare(store, token, { pin: '4321' })).status, 'unavailable');
+});
+
+test('revoked links and links of deleted entries stop working', async () => {
+  const store = createShareStore({ type: 'memory' });
+  const first = await createShare(store, { user: USER, entry: ENTRY });
+  const second = await createShare(store, { user: USER, entry: { id: 'other' } });
+
+  assert.strictEqual(await store.revoke('someone-else', first.token), null);
+  assert.ok(await store.revoke(USER.id, first.share.id));
+  assert.strictEqual((await openShare(store, first.token)).status, 'unavailable');
+  assert.strictEqual(publicShare(first.share).status, 'revoked');
+
+  assert.strictEqual(await store.revokeEntry(USER.id, 'other'), 1);
+  assert.strictEqual((await openShare(store, second.token)).status, 'unavailable');
+  assert.deepStrictEqual((await store.listByOwner(USER.id)).length, 2);
+});
+
+test('shared pages escape entry content and never show the session', async () => {
+  const store = createShareStore({ type: 'memory' });
+  const { share } = await createShare(store, { user: USER, entry: ENTRY });
+  const html = renderSharedEntry({ entry: ENTRY, share, language: 'en', pdfAction: '/s/abc/report.pdf', pin: '"1234' });
+
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt; headache'));
+  assert.ok(!html.includes('<script>'));
+  assert.match(html, /severity-banner severity-high/);
+  assert.match(html, /<li>Migraine<\/li>/);
+  assert.match(html, /name="pin" value="&quot;1234"/);
+  assert.ok(!html.includes(USER.id));
+
+  assert.match(renderPinForm({ language: 'en', action: '/s/abc', attemptsLeft: 2 }), /Wrong PIN\. 2 attempt\(s\) left\./);
+  assert.match(renderUnavailable({ language: 'ar' }), /<html lang="ar" dir="rtl">/);
+});
+
+test('parallel PIN guesses share the attempt limit', async () => {
+  const { store, token, share } = await pinShare();
+  const guesses = Array.from({ length: 20 }, (_, i) => openShare(store, token, { pin: String(1000 + i) }));
+
+  const results = await Promise.all(guesses);
+  assert.ok(results.every(result => result.status !== 'ok'));
+  assert.strictEqual(share.failedPins, MAX_PIN_ATTEMPTS);
+  assert.strictEqual((await openShare(store, token, { pin: '4321' })).status, 'unavailable');
+});
+
+test('a correct PIN does not reset earlier failures', async () => {
+  const { store, token, share } = await pinShare();
+
+  assert.strictEqual((await openShare(store, token, { pin: '0000' })).attemptsLeft, MAX_PIN_ATTEMPTS - 1);
+  assert.strictEqual((await openShare(store, token, { pin: '4321' })).status, 'ok');
+  assert.strictEqual(share.failedPins, 1);
+});
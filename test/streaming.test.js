@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { openEventStream, partialStringArray } = require('../lib/streaming');
+const { MockProvider } = require('../lib/providers');
+
+test('partialStringArray returns only the completed items', () => {
+  assert.deepStrictEqual(partialStringArray('{"severity": "LOW"', 'recommendations'), []);
+  assert.deepStrictEqual(partialStringArray('{"recommendations": ["Rest", "Drink', 'recommendations'), ['Rest']);
+  assert.deepStrictEqual(
+    partialStringArray('{"recommendations": ["Rest", "Say \\"hi\\"", "Fluids"], "x": 1', 'recommendations'),
+    ['Rest', 'Say "hi"', 'Fluids']
+  );
+});
+
+test('openEventStream writes named events and drops them after close', async () => {
+  const app = express();
+  app.get('/events', (req, res) => {
+    const stream = openEventStream(res);
+    stream.send('progress', { step: 1 });
+    stream.send('result', { ok: true });
+    stream.close();
+    assert.strictEqual(stream.closed(), true);
+    stream.send('late', {});
+  });
+
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/events`);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    assert.strictEqual(await response.text(),
+      'event: progress\ndata: {"step":1}\n\nevent: result\ndata: {"ok":true}\n\n');
+  } finally {
+    server.close();
+  }
+});
+
+test('mock stream sends the reply in chunks, and partial text before an error', async () => {
+  const provider = new MockProvider()
+    .script('analyze', 'x'.repeat(100))
+    .script('analyze', { error: 'cut off', partial: 'partial reply' });
+
+  const chunks = [];
+  const result = await provider.stream({ task: 'analyze', model: 'm', prompt: 'p', onText: chunk => chunks.push(chunk) });
+  assert.strictEqual(result.text, 'x'.repeat(100));
+  assert.deepStrictEqual(chunks.map(c => c.length), [40, 40, 20]);
+
+  const received = [];
+  await assert.rejects(
+    provider.stream({ task: 'analyze', model: 'm', prompt: 'p', onText: chunk => received.push(chunk) }),
+    /cut off/
+  );
+  assert.deepStrictEqual(received, ['partial reply']);
+});
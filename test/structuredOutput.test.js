@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MockProvider } = require('../lib/providers');
+const {
+  PARSE_STATUS,
+  SCHEMAS,
+  validate,
+  parseJson,
+  parseOutput,
+  structuredConfig,
+  generateStructured
+} = require('../lib/structuredOutput');
+
+const ANALYSIS = {
+  possibleConditions: ['Tension headache'],
+  severity: 'low',
+  recommendations: ['Rest'],
+  requiresImmediateCare: false,
+  whenToSeeDoctor: "If it doesn't improve: see a GP",
+  selfCareTips: []
+};
+
+test('parses JSON from fenced or chatty replies without rewriting it', () => {
+  assert.deepStrictEqual(parseJson('```json\n{"overallRisk": "Low"}\n```').value, { overallRisk: 'Low' });
+  assert.deepStrictEqual(parseJson('Here you go: {"a": "it\'s 5:00"} hope it helps').value, { a: "it's 5:00" });
+  assert.strictEqual(parseJson('no json here').error, 'reply contains no JSON object');
+  assert.match(parseJson('{ broken }').error, /^invalid JSON/);
+});
+
+test('validate lists every problem with its path', () => {
+  assert.deepStrictEqual(validate(ANALYSIS, SCHEMAS.analysis), []);
+  assert.deepStrictEqual(
+    validate({ ...ANALYSIS, severity: 'bad', recommendations: ['ok', 3], selfCareTips: undefined }, SCHEMAS.analysis),
+    [
+      '$.selfCareTips is required',
+      '$.severity must be one of LOW, MEDIUM, HIGH, EMERGENCY',
+      '$.recommendations[1] must be a string'
+    ]
+  );
+  assert.ok(validate({ visualFindings: {} }, SCHEMAS.image).includes('$.visualFindings.description is required'));
+});
+
+test('parseOutput returns data only for a valid reply', () => {
+  assert.deepStrictEqual(parseOutput('analysis', JSON.stringify(ANALYSIS)), { data: ANALYSIS, errors: [] });
+  assert.deepStrictEqual(parseOutput('drugs', '{"overallRisk": "LOW"}').data, null);
+});
+
+test('structuredConfig asks for native JSON mode with the schema', () => {
+  assert.deepStrictEqual(structuredConfig('chat', { temperature: 0.5 }), {
+    temperature: 0.5,
+    responseMimeType: 'application/json',
+    responseSchema: SCHEMAS.chat
+  });
+});
+
+test('a valid reply is parsed without a repair request', async () => {
+  const llm = new MockProvider().script('analyze', JSON.stringify(ANALYSIS));
+  const result = await generateStructured(llm, { type: 'analysis', task: 'analyze', model: 'm', prompt: 'p' });
+
+  assert.strictEqual(result.parseStatus, PARSE_STATUS.PARSED);
+  assert.deepStrictEqual(result.data, ANALYSIS);
+  assert.strictEqual(llm.calls.length, 1);
+});
+
+test('an invalid reply gets one repair prompt listing the problems', async () => {
+  const llm = new MockProvider()
+    .script('analyze', '{"severity": "LOW"}')
+    .script('analyze', request => {
+      assert.match(request.prompt, /- \$\.possibleConditions is required/);
+      assert.match(request.prompt, /Original request:\np/);
+      assert.strictEqual(request.generationConfig.temperature, 0);
+      return JSON.stringify(ANALYSIS);
+    });
+  const result = await generateStructured(llm, { type: 'analysis', task: 'analyze', model: 'm', prompt: 'p' });
+
+  assert.strictEqual(result.parseStatus, PARSE_STATUS.REPAIRED);
+  assert.deepStrictEqual(result.data, ANALYSIS);
+  assert.ok(result.errors.includes('$.possibleConditions is required'));
+});
+
+test('a failed or invalid repair falls back without throwing', async () => {
+  const invalid = new MockProvider().script('analyze', 'nope').script('analyze', 'still nope');
+  const result = await generateStructured(invalid, { type: 'analysis', task: 'analyze', model: 'm', prompt: 'p' });
+  assert.strictEqual(result.parseStatus, PARSE_STATUS.FALLBACK);
+  assert.strictEqual(result.data, null);
+  assert.strictEqual(result.text, 'nope');
+
+  const failing = new MockProvider().script('analyze', 'nope').script('analyze', { error: 'quota' });
+  assert.strictEqual((await generateStructured(failing, { type: 'analysis', task: 'analyze', model: 'm', prompt: 'p' })).parseStatus, PARSE_STATUS.FALLBACK);
+
+  const down = new MockProvider().script('analyze', { error: 'offline' });
+  await assert.rejects(generateStructured(down, { type: 'analysis', task: 'analyze', model: 'm', prompt: 'p' }), /offline/);
+});
+
+test('transcripts need the text and a language', () => {
+  assert.deepStrictEqual(parseOutput('transcript', '{"transcript": "I have a cough", "language": "en"}').errors, []);
+  assert.deepStrictEqual(parseOutput('transcript', '{"transcript": "I have a cough"}').errors, ['$.language is required']);
+});
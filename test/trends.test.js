@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeTrends, MAX_DAYS } = require('../lib/trends');
+
+const NOW = Date.parse('2024-03-31T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+function entry(id, daysAgo, symptoms, severity, extra = {}) {
+  return {
+    id,
+    type: 'analysis',
+    timestamp: new Date(NOW - daysAgo * DAY).toISOString(),
+    symptoms,
+    analysis: { severity, possibleConditions: [] },
+    ...extra
+  };
+}
+
+test('no related entries means no trend and no escalation', () => {
+  const trends = analyzeTrends([entry('a', 1, 'headache', 'LOW'), entry('b', 2, 'rash', 'LOW')], { now: NOW });
+
+  assert.deepStrictEqual(trends.groups, []);
+  assert.strictEqual(trends.timeline.length, 2);
+  assert.strictEqual(trends.escalationAdvised, false);
+  assert.match(trends.summary, /No related entries in the last 30 days/);
+});
+
+test('a symptom getting more severe is worsening and advises a doctor', () => {
+  const trends = analyzeTrends([
+    entry('a', 10, 'Mild headache', 'LOW'),
+    entry('b', 5, 'My head hurts', 'MEDIUM'),
+    entry('c', 1, 'Migraine all day', 'HIGH')
+  ], { now: NOW });
+
+  const [group] = trends.groups;
+  assert.strictEqual(group.key, 'symptom:headache');
+  assert.strictEqual(group.pattern, 'worsening');
+  assert.strictEqual(group.count, 3);
+  assert.deepStrictEqual([group.firstSeverity, group.latestSeverity], ['LOW', 'HIGH']);
+  assert.strictEqual(trends.escalationAdvised, true);
+  assert.deepStrictEqual(trends.escalationReasons, ['symptom:headache']);
+  assert.match(trends.summary, /^Headache: 3 times since .*getting worse \(Low → High\)/);
+});
+
+test('improving and low recurring trends do not escalate', () => {
+  const improving = analyzeTrends([entry('a', 3, 'cough', 'HIGH'), entry('b', 1, 'cough', 'LOW')], { now: NOW });
+  assert.strictEqual(improving.groups[0].pattern, 'improving');
+  assert.strictEqual(improving.escalationAdvised, false);
+
+  const recurring = [1, 2, 3].map(n => entry(`r${n}`, n, 'feeling tired', 'LOW'));
+  assert.strictEqual(analyzeTrends(recurring, { now: NOW }).groups[0].pattern, 'recurring');
+  assert.strictEqual(analyzeTrends(recurring, { now: NOW }).escalationAdvised, false);
+
+  const medium = [1, 2, 3].map(n => entry(`m${n}`, n, 'feeling tired', 'MEDIUM'));
+  assert.strictEqual(analyzeTrends(medium, { now: NOW }).escalationAdvised, true);
+});
+
+test('symptoms match whole words and negated mentions do not count', () => {
+  const keys = entries => analyzeTrends(entries, { now: NOW }).groups.map(group => group.key);
+
+  assert.deepStrictEqual(keys([
+    entry('a', 3, 'Sore back, no fever', 'LOW'),
+    entry('b', 2, "Knee pain, I don't have a fever", 'LOW'),
+    entry('c', 1, 'Sin fiebre, solo cansancio', 'LOW')
+  ]), []);
+  assert.deepStrictEqual(keys([entry('a', 2, 'hayfever again', 'LOW'), entry('b', 1, 'hayfever', 'LOW')]), []);
+  assert.deepStrictEqual(keys([
+    entry('a', 3, 'Coughing at night', 'LOW'),
+    entry('b', 2, 'no fever but a bad cough', 'LOW'),
+    entry('c', 1, 'Toux sèche', 'LOW')
+  ]), ['symptom:cough']);
+});
+
+test('groups by suggested condition, skipping the generic fallback', () => {
+  const withConditions = (id, daysAgo, conditions) =>
+    entry(id, daysAgo, `entry ${id}`, 'LOW', { analysis: { severity: 'LOW', possibleConditions: conditions } });
+  const trends = analyzeTrends([
+    withConditions('a', 2, ['Migraine (likely)', 'Consult a healthcare provider for proper diagnosis']),
+    withConditions('b', 1, ['migraine', 'Consult a healthcare provider for proper diagnosis'])
+  ], { now: NOW });
+
+  assert.deepStrictEqual(trends.groups.map(g => g.key), ['condition:migraine']);
+});
+
+test('symptoms match in any language and labels follow the requested one', () => {
+  const trends = analyzeTrends([entry('a', 2, 'dolor de cabeza', 'LOW'), entry('b', 1, 'headache again', 'LOW')], {
+    now: NOW,
+    language: 'es'
+  });
+
+  assert.strictEqual(trends.groups[0].key, 'symptom:headache');
+  assert.strictEqual(trends.groups[0].points[0].severityLabel, 'Baja');
+});
+
+test('a follow-up conversation counts once with its latest severity', () => {
+  const trends = analyzeTrends([
+    entry('a', 3, 'sore throat', 'LOW'),
+    { id: 'f1', type: 'followup', conversationId: 'a', version: 2, timestamp: new Date(NOW - 2 * DAY).toISOString(), message: 'worse', analysis: { severity: 'HIGH' } },
+    entry('b', 1, 'scratchy throat', 'LOW')
+  ], { now: NOW });
+
+  assert.deepStrictEqual(trends.timeline.map(p => [p.entryId, p.severity, p.versions]), [['a', 'HIGH', 2], ['b', 'LOW', 1]]);
+  assert.strictEqual(trends.groups[0].pattern, 'improving');
+});
+
+test('only entries inside the window count, and days is clamped', () => {
+  const entries = [entry('old', 40, 'cough', 'LOW'), entry('new', 1, 'cough', 'LOW')];
+
+  assert.strictEqual(analyzeTrends(entries, { now: NOW }).timeline.length, 1);
+  assert.strictEqual(analyzeTrends(entries, { now: NOW, days: 60 }).groups.length, 1);
+  assert.strictEqual(analyzeTrends(entries, { now: NOW, days: 9999 }).days, MAX_DAYS);
+  assert.strictEqual(analyzeTrends(entries, { now: NOW, days: 'x' }).days, 30);
+});